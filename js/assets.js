@@ -73,6 +73,21 @@ $.getJSON('js/json/image.json', function(data){
   Graphics.jsonReady = true;
 })
 
+// Get card types of the deck, see src/card/definition.js
+$.getJSON('js/json/card.json', function(data){
+  CardDefinition.load(data);
+})
+
+// Get the puzzles, see src/scenario.js
+$.getJSON('js/json/puzzle.json', function(data){
+  Scenario.load(data);
+})
+
+// Get the stages of the campaign, see src/campaign.js
+$.getJSON('js/json/campaign.json', function(data){
+  Campaign.load(data);
+})
+
 // Window skins
 Graphics.WindowSkinSrc = [
   Graphics.DefaultWindowSkin,
@@ -1341,6 +1341,8 @@ class Sound{
   static playCancel(){this.playSE(this.Cancel);}
   static playSaveLoad(){this.playSE(this.SaveLoad);}
   static playDeal(){this.playSE(this.Deal);}
+  static playUnoCall(){this.playSE(this.UnoCall);}
+  static playUnoCatch(){this.playSE(this.UnoCatch);}
   static get volumeData(){return [this._masterVolume, this._bgmVolume, this._seVolume];}
   static get isBGMEnabled(){return this.audioEnable[0];}
   static get isSEEnabled(){return this.audioEnable[1];}
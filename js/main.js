@@ -64,7 +64,8 @@ function initializeApplication(){
  */
 function start(){
   // wait until initial data is ready
-  if(!DataManager.isReady() || !Graphics.jsonReady || !Sound.jsonReady){
+  if(!DataManager.isReady() || !Graphics.jsonReady || !Sound.jsonReady ||
+     !CardDefinition.isReady() || !Scenario.isReady() || !Campaign.isReady()){
     return setTimeout(start, 500);
   }
   debug_log("start")
@@ -116,6 +116,7 @@ class SceneManager{
     Input.initialize();
     GameManager.initialize();
     EventManager.initialize();
+    NetworkManager.initialize();
   }
   /*-------------------------------------------------------------------------*/
   static goto(sceneClass, args){
@@ -383,8 +384,26 @@ class DataManager{
  * @property {Number} initHP - Initial hitpoint
  * @property {Number} scoreGoal - Score needed to end the game
  * @property {Boolean} extraCardDisabled - Whether not using extra black cards
+ * @property {RuleSet} houseRules - The house rules turned on or off
+ * @property {Array.<Object>} deckPresets - The deck presets saved (see Deck)
+ * @property {String} deckPresetName - Name of the preset played, null for
+ *                                     the standard deck
+ * @property {Array.[Number,Number]} turnTimePeak - the min/max value of the
+ *                                                  turn time
+ * @property {Number} turnTime - Seconds the user has for a turn, 0 for no limit
+ * @property {Object} puzzlesCleared - The ids of the puzzles cleared (see Scenario)
+ * @property {Object} campaignProgress - {cleared, bestRank, bestScore} of each
+ *                                      stage played, by id (see Campaign)
+ * @property {Object} campaignStage - The stage being played, null if the game
+ *                                    isn't one of the campaign
+ * @property {Number} historySize - Matches kept in the match history
+ * @property {Object} achievements - When each achievement was unlocked, by id
+ *                                   (see Achievement)
  * 
  * @property {object} game - The PunoGame instance
+ * @property {ReplayRecorder} recorder - Records the replay of current game
+ * @property {AchievementTracker} tracker - Watches current game for the
+ *                                          achievements
  */
 class GameManager{
   /*-------------------------------------------------------------------------*/
@@ -401,12 +420,32 @@ class GameManager{
     this.scoreGoalPeak  = [100, 5000];
     this.scoreGoal      = 500;
     this.extraCardDisabled = false;
+    this.playerNumberPeak = [2, 8];
     this.playerNumber   = 4;
+    // Difficulty of CPU1~CPU7
+    this.cpuDifficulty  = new Array(this.playerNumberPeak[1] - 1).fill(Difficulty.NORMAL);
+    this.houseRules     = new RuleSet();
+    this.deckPresets    = [
+      {name: 'No Wilds', copies: {TRADE: 0, DISCARD_ALL: 0, WILD: 0, WILD_CHAOS: 0,
+                                  WILD_HIT_ALL: 0, WILD_DRAW_FOUR: 0}},
+      {name: 'Chaos Heavy', copies: {TRADE: 4, DISCARD_ALL: 4, WILD_CHAOS: 8,
+                                     WILD_HIT_ALL: 6, WILD_DRAW_FOUR: 6}},
+    ];
+    this.deckPresetName = null;
+    this.turnTimePeak   = [0, 60];
+    this.turnTime       = 0;
+    this.puzzlesCleared = {};
+    this.campaignProgress = {};
+    this.campaignStage  = null;
+    this.historySize    = 100;
+    this.achievements   = {};
     this.gameMode       = 0;
     this.maxHandNumber  = 15;
+    this.gameSeed       = undefined;
     this.importModules();
     this.initGameKeys();
     this.loadGameSettings();
+    this.loadGameSeed();
   }
 /*-------------------------------------------------------------------------*/
   static importModules(){
@@ -418,12 +457,27 @@ class GameManager{
     this.kInitHP = 'iniHP';
     this.kExtraCardDisabled = 'extraCardDisabled';
     this.kScoreGoal = 'scoreGoal';
+    this.kPlayerNumber = 'playerNumber';
+    this.kCPUDifficulty = 'cpuDifficulty';
+    this.kHouseRules = 'houseRules';
+    this.kDeckPresets = 'deckPresets';
+    this.kDeckPresetName = 'deckPresetName';
+    this.kTurnTime = 'turnTime';
+    this.kPuzzlesCleared = 'puzzlesCleared';
+    this.kCampaignProgress = 'campaignProgress';
+    this.kSavedGame = 'savedGame';
+    this.kMatchHistory = 'matchHistory';
+    this.kLifetimeStats = 'lifetimeStats';
+    this.kAchievements = 'achievements';
   }
   /**-------------------------------------------------------------------------
    * Load game setting from database
    */
   static loadGameSettings(){ 
-    let keys = [this.kInitCardNumber, this.kInitHP, this.kScoreGoal, this.kExtraCardDisabled];
+    let keys = [this.kInitCardNumber, this.kInitHP, this.kScoreGoal, this.kExtraCardDisabled,
+                this.kPlayerNumber, this.kCPUDifficulty, this.kHouseRules,
+                this.kDeckPresets, this.kDeckPresetName, this.kTurnTime,
+                this.kPuzzlesCleared, this.kCampaignProgress, this.kAchievements];
     for(let i=0;i<keys.length;++i){
       let k = keys[i];
       let ok = this.changeGameSetting(k, DataManager.getSetting(k));
@@ -433,10 +487,26 @@ class GameManager{
         else if(k == this.kInitHP){v = this.initHP;}
         else if(k == this.kScoreGoal){v = this.scoreGoal;}
         else if(k == this.kExtraCardDisabled){v = this.extraCardDisabled;}
+        else if(k == this.kPlayerNumber){v = this.playerNumber;}
+        else if(k == this.kCPUDifficulty){v = this.cpuDifficulty;}
+        else if(k == this.kHouseRules){v = this.houseRules.serialize();}
+        else if(k == this.kDeckPresets){v = this.deckPresets;}
+        else if(k == this.kDeckPresetName){v = this.deckPresetName;}
+        else if(k == this.kTurnTime){v = this.turnTime;}
+        else if(k == this.kPuzzlesCleared){v = this.puzzlesCleared;}
+        else if(k == this.kCampaignProgress){v = this.campaignProgress;}
+        else if(k == this.kAchievements){v = this.achievements;}
         DataManager.changeSetting(k, v);
       }
     }
   }
+  /**-------------------------------------------------------------------------
+   * Load fixed random seed from url (?seed=), to replay a reported game
+   */
+  static loadGameSeed(){
+    let seed = parseInt(new URL(document.URL).searchParams.get("seed"));
+    if(!isNaN(seed)){this.gameSeed = seed;}
+  }
   /*-------------------------------------------------------------------------*/
   static changeGameSetting(k, v){
     let ok = false;
@@ -449,11 +519,46 @@ class GameManager{
     else if(k == this.kScoreGoal){
       if(this.isScoreGoalValid(v)){this.scoreGoal = v; ok = true;}
     }
+    else if(k == this.kPlayerNumber){
+      if(this.isPlayerNumberValid(v)){this.playerNumber = v; ok = true;}
+    }
+    else if(k == this.kCPUDifficulty){
+      if(this.isDifficultyValid(v)){this.cpuDifficulty = v; ok = true;}
+    }
     else if(k == this.kExtraCardDisabled){
       ok = true;
       v = !!(v);
       this.extraCardDisabled = v;
     }
+    else if(k == this.kHouseRules){
+      if(isClassOf(v, Object)){
+        this.houseRules = new RuleSet(v);
+        v = this.houseRules.serialize();
+        ok = true;
+      }
+    }
+    else if(k == this.kDeckPresets){
+      if(isClassOf(v, Array)){
+        this.deckPresets = v.map(function(p){return Deck.parsePreset(p);});
+        v = this.deckPresets;
+        ok = true;
+      }
+    }
+    else if(k == this.kDeckPresetName){
+      if(v === null || typeof v === 'string'){this.deckPresetName = v; ok = true;}
+    }
+    else if(k == this.kTurnTime){
+      if(this.isTurnTimeValid(v)){this.turnTime = v; ok = true;}
+    }
+    else if(k == this.kPuzzlesCleared){
+      if(isClassOf(v, Object)){this.puzzlesCleared = v; ok = true;}
+    }
+    else if(k == this.kCampaignProgress){
+      if(isClassOf(v, Object)){this.campaignProgress = v; ok = true;}
+    }
+    else if(k == this.kAchievements){
+      if(isClassOf(v, Object)){this.achievements = v; ok = true;}
+    }
 
     if(ok){
       DataManager.changeSetting(k, v);
@@ -483,6 +588,26 @@ class GameManager{
     return validNumericCount(h, n) == 1;
   }
   /*-------------------------------------------------------------------------*/
+  static isPlayerNumberValid(n){
+    let h = function(n){
+      return n.between(this.playerNumberPeak[0], this.playerNumberPeak[1], false)
+    }.bind(this);
+    return validNumericCount(h, n) == 1;
+  }
+  /*-------------------------------------------------------------------------*/
+  static isTurnTimeValid(n){
+    let h = function(n){
+      return n.between(this.turnTimePeak[0], this.turnTimePeak[1], false)
+    }.bind(this);
+    return validNumericCount(h, n) == 1;
+  }
+  /*-------------------------------------------------------------------------*/
+  static isDifficultyValid(ar){
+    if(!isClassOf(ar, Array) || ar.length != this.cpuDifficulty.length){return false;}
+    let levels = Object.values(Difficulty);
+    return ar.every(function(d){return levels.indexOf(d) > -1;});
+  }
+  /*-------------------------------------------------------------------------*/
   static getCardImageById(cid){
     let color = '', id = '';
     
@@ -490,6 +615,166 @@ class GameManager{
   }
   /*-------------------------------------------------------------------------*/
   static get extraCardEnabled(){return !this.extraCardDisabled;}
+  /**-------------------------------------------------------------------------
+   * The image of a card, different copies may have different images
+   * @param {Card} card
+   */
+  static getCardImage(card){
+    let symbol = '';
+    switch(card.color){
+      case Color.RED:
+        symbol += 'Red'; break;
+      case Color.BLUE:
+        symbol += 'Blue'; break;
+      case Color.YELLOW:
+        symbol += 'Yellow'; break;
+      case Color.GREEN:
+        symbol += 'Green'; break;
+      case Color.WILD:
+        symbol += 'Wild'; break;
+      default:
+        throw new Error("Invalid card color: " + card.color);
+    }
+    switch(card.value){
+      case Value.REVERSE:
+        symbol += 'Reverse'; break;
+      case Value.SKIP:
+        symbol += 'Ban'; break;
+      case Value.DRAW_TWO:
+        symbol += 'Plus2'; break;
+      case Value.WILD_DRAW_FOUR:
+        symbol += 'Plus4'; break;
+      case Value.WILD:
+        symbol += 'Wild'; break;
+      case Value.TRADE:
+        symbol += 'Exchange'; break;
+      case Value.WILD_HIT_ALL:
+        symbol += 'Hit'; break;
+      case Value.DISCARD_ALL:
+        symbol += 'Discard'; break;
+      case Value.WILD_CHAOS:
+        symbol += 'Chaos'; break;
+      default:
+        symbol += card.value;
+    }
+    if(card.value > 9 && card.numID > 0){
+      let tmp = symbol + '_' + (card.numID + 1);
+      if(Graphics[tmp]){symbol = tmp;}
+    }
+    // debug_log("Card Image Symbol: " + symbol);
+    return Graphics[symbol];
+  }
+  /**-------------------------------------------------------------------------
+   * The deck preset played, null for the standard deck or one saved that
+   * can't be played anymore
+   */
+  static get deckPreset(){
+    let name = this.deckPresetName;
+    let preset = this.deckPresets.find(function(p){return p.name === name;});
+    return preset && this.isDeckPresetPlayable(preset) ? preset : null;
+  }
+  /**-------------------------------------------------------------------------
+   * Save a deck preset, it replaces the one of the same name
+   * @param {Object} preset - {name, copies} as in Deck
+   */
+  static saveDeckPreset(preset){
+    let presets = this.deckPresets.filter(function(p){return p.name !== preset.name;});
+    presets.push(preset);
+    this.changeGameSetting(this.kDeckPresets, presets);
+  }
+  /*-------------------------------------------------------------------------*/
+  static deleteDeckPreset(name){
+    let presets = this.deckPresets.filter(function(p){return p.name !== name;});
+    this.changeGameSetting(this.kDeckPresets, presets);
+    if(this.deckPresetName === name){
+      this.changeGameSetting(this.kDeckPresetName, null);
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * Whether the deck can deal the hands and choose the dealer with the
+   * largest table and hands of the game options
+   */
+  static isDeckPresetPlayable(preset){
+    let numPlayers = this.playerNumberPeak[1];
+    let numDealt = numPlayers * this.initCardPeak[1];
+    return Deck.isPlayable(false, preset, numDealt, numPlayers);
+  }
+  /*-------------------------------------------------------------------------*/
+  static isPuzzleCleared(id){
+    return !!this.puzzlesCleared[id];
+  }
+  /*-------------------------------------------------------------------------*/
+  static clearPuzzle(id){
+    let cleared = Object.assign({}, this.puzzlesCleared);
+    cleared[id] = true;
+    this.changeGameSetting(this.kPuzzlesCleared, cleared);
+  }
+  /**-------------------------------------------------------------------------
+   * The first stage is always open, the others once the one before is cleared
+   */
+  static isCampaignStageUnlocked(stage){
+    let stages = Campaign.all();
+    let index = stages.findIndex(function(st){return st.id === stage.id;});
+    if(index <= 0){return index == 0;}
+    let progress = this.campaignProgress[stages[index - 1].id];
+    return !!(progress && progress.cleared);
+  }
+  /**-------------------------------------------------------------------------
+   * Keep the best results of the stage played, it's cleared when won
+   * @param {Number} rank - rank of the user from 1
+   * @param {Number} score - score of the user
+   */
+  static recordCampaignResult(rank, score){
+    let id = this.campaignStage.id;
+    let progress = Object.assign({}, this.campaignProgress);
+    let last = progress[id] || {cleared: false, bestRank: rank, bestScore: score};
+    // The lowest score is the best in traditional mode
+    let best = this.campaignStage.mode == Mode.TRADITIONAL ? Math.min : Math.max;
+    progress[id] = {
+      cleared: last.cleared || rank == 1,
+      bestRank: Math.min(last.bestRank, rank),
+      bestScore: best(last.bestScore, score)
+    };
+    this.changeGameSetting(this.kCampaignProgress, progress);
+  }
+  /*-------------------------------------------------------------------------*/
+  static isAchievementUnlocked(id){
+    return !!this.achievements[id];
+  }
+  /**-------------------------------------------------------------------------
+   * Save the achievement unlocked and show it on the table
+   * @param {String} id - one of Achievement
+   */
+  static unlockAchievement(id){
+    let unlocked = Object.assign({}, this.achievements);
+    unlocked[id] = Date.now();
+    this.changeGameSetting(this.kAchievements, unlocked);
+    SceneManager.scene.processAchievement(id);
+  }
+  /**-------------------------------------------------------------------------
+   * The achievements are watched between the replay recorder and
+   * GameManager, puzzles don't count
+   */
+  static createTracker(){
+    this.tracker = new AchievementTracker(this, Object.keys(this.achievements),
+      this.unlockAchievement.bind(this));
+    return this.tracker;
+  }
+  /**-------------------------------------------------------------------------
+   * Turn a house rule on or off
+   * @param {String} rule - the key of the rule in RuleSet
+   */
+  static toggleHouseRule(rule){
+    let rules = this.houseRules.serialize();
+    rules[rule] = !rules[rule];
+    this.changeGameSetting(this.kHouseRules, rules);
+  }
+  /*-------------------------------------------------------------------------*/
+  static getModeName(mode){
+    let names = [Vocab.GameModeTraditional, Vocab.GameModeBattlePuno, Vocab.GameModeDeathMatch,
+                 Vocab.GameModeTeam, Vocab.GameModeBlitz];
+    return names[mode];
+  }
   /*-------------------------------------------------------------------------*/
   static changeGameMode(gm){
     this.gameMode = gm;
@@ -498,43 +783,175 @@ class GameManager{
    * Initialize game stage
    */
   static initStage(){
+    this.campaignStage = null;
+    this.recorder = new ReplayRecorder(this.createTracker());
+    let options = {
+      listener: this.recorder,
+      seed: this.gameSeed,
+      numPlayers: this.gameMode == Mode.TEAM ? PunoGame.numTeamPlayers : this.playerNumber,
+      difficulties: [Difficulty.NORMAL].concat(this.cpuDifficulty),
+      rules: this.houseRules.serialize(),
+      deckPreset: this.deckPreset,
+    };
     this.game = new PunoGame(this.initCardNumber, this.initHP, this.scoreGoal, 
-      this.extraCardDisabled, this.gameMode);
+      this.extraCardDisabled, this.gameMode, options);
+    this.recorder.attach(this.game);
+    this.tracker.attach(this.game);
+    return this.game;
+  }
+  /**-------------------------------------------------------------------------
+   * Initialize the game stage of a puzzle, a single round from its position
+   * @param {Object} puzzle - parsed by Scenario
+   */
+  static initPuzzleStage(puzzle){
+    this.recorder = new ReplayRecorder(this);
+    let options = {
+      listener: this.recorder,
+      seed: puzzle.seed,
+      numPlayers: puzzle.players.length,
+      rules: puzzle.rules,
+      scenario: puzzle,
+    };
+    this.game = new PunoGame(this.initCardNumber, puzzle.initHP, this.scoreGoal,
+      false, puzzle.mode, options);
+    this.recorder.attach(this.game);
+    return this.game;
+  }
+  /**-------------------------------------------------------------------------
+   * Initialize the game stage of a campaign stage, against its opponents
+   * @param {Object} stage - parsed by Campaign
+   */
+  static initCampaignStage(stage){
+    this.campaignStage = stage;
+    this.recorder = new ReplayRecorder(this.createTracker());
+    let options = {
+      listener: this.recorder,
+      seed: this.gameSeed,
+      numPlayers: stage.opponents.length + 1,
+      difficulties: [Difficulty.NORMAL].concat(stage.opponents.map(function(o){return o.difficulty;})),
+      names: stage.opponents.map(function(o){return o.name;}),
+      rules: stage.rules,
+      timeLimit: stage.timeLimit,
+    };
+    this.game = new PunoGame(stage.initCardNumber, stage.initHP, stage.scoreGoal,
+      false, stage.mode, options);
+    this.recorder.attach(this.game);
+    this.tracker.attach(this.game);
+    return this.game;
+  }
+  /**-------------------------------------------------------------------------
+   * Restore the game stage from saved data, the rules are the saved ones
+   * instead of current settings
+   * @param {Object} data - returned by PunoGame.serialize
+   */
+  static resumeStage(data){
+    this.recorder = new ReplayRecorder(this.createTracker());
+    this.game = PunoGame.deserialize(data, {listener: this.recorder});
+    // The replay starts from the restored table
+    this.recorder.attach(this.game);
+    this.tracker.attach(this.game);
+    this.recorder.recordDeal();
+    return this.game;
+  }
+  /**-------------------------------------------------------------------------
+   * Load a replay log as the game stage, it follows the log instead of
+   * playing
+   * @param {Object} log - recorded by ReplayRecorder
+   */
+  static loadReplay(log){
+    this.recorder = null;
+    this.game = new ReplayTable(log);
+    return this.game;
+  }
+  /**-------------------------------------------------------------------------
+   * The game stage of an online game, played by the server
+   * @param {Object} log - sent by the server when the game starts
+   */
+  static joinOnlineStage(log){
+    this.recorder = null;
+    this.game = new OnlineTable(log, NetworkManager.seat,
+      NetworkManager.send.bind(NetworkManager));
     return this.game;
   }
+  /*-------------------------------------------------------------------------*/
+  static get replayLog(){return this.recorder ? this.recorder.log : null;}
+  /*-------------------------------------------------------------------------*/
+  static saveGame(){
+    // Puzzles and campaign stages are started over instead
+    if(!this.game || this.game.gameOver || this.game.scenario || this.campaignStage){return ;}
+    DataManager.changeSetting(this.kSavedGame, this.game.serialize());
+  }
+  /*-------------------------------------------------------------------------*/
+  static clearSavedGame(){
+    DataManager.changeSetting(this.kSavedGame, null);
+  }
+  /*-------------------------------------------------------------------------*/
+  static get savedGame(){return DataManager.getSetting(this.kSavedGame);}
+  static hasSavedGame(){return !!this.savedGame;}
+  /**-------------------------------------------------------------------------
+   * The matches finished, the latest first
+   */
+  static get matchHistory(){
+    return DataManager.getSetting(this.kMatchHistory) || [];
+  }
+  /**-------------------------------------------------------------------------
+   * Totals of every match finished, they're kept when the oldest matches
+   * leave the history
+   */
+  static get lifetimeStats(){
+    return DataManager.getSetting(this.kLifetimeStats) || {
+      matches: 0, wins: 0, rounds: 0, damageDealt: 0, damageTaken: 0,
+      knockOuts: 0, cardsPlayed: {}, modes: {}
+    };
+  }
+  /**-------------------------------------------------------------------------
+   * Record the match finished in the history and the lifetime totals, the
+   * numbers are the user's
+   * @param {Array.<Object>} ranking - {name, hp, score} of the entries of
+   *                                   Window_Scoreboard.drawRank in order
+   * @param {Number} rank - rank of the user from 1
+   */
+  static recordMatch(ranking, rank){
+    let game = this.game, user = game.players[0];
+    let match = {
+      date: Date.now(),
+      mode: game.gameMode,
+      players: game.players.length,
+      initHP: game.initHP,
+      initCardNumber: game.initCardNumber,
+      scoreGoal: game.scoreGoal,
+      rules: game.rules.serialize(),
+      deckPreset: game.deckPreset ? game.deckPreset.name : null,
+      stage: this.campaignStage ? this.campaignStage.id : null,
+      ranking: ranking,
+      rank: rank,
+      rounds: game.roundCount,
+      damageDealt: user.stats.damageDealt,
+      damageTaken: user.stats.damageTaken,
+      knockOuts: user.stats.knockOuts,
+      cardsPlayed: Object.assign({}, user.stats.cardsPlayed)
+    };
+    let history = [match].concat(this.matchHistory).slice(0, this.historySize);
+    DataManager.changeSetting(this.kMatchHistory, history);
+    let total = this.lifetimeStats;
+    let won = (rank == 1) ? 1 : 0;
+    total.matches += 1;
+    total.wins += won;
+    for(let k of ['rounds', 'damageDealt', 'damageTaken', 'knockOuts']){total[k] += match[k];}
+    for(let name in match.cardsPlayed){
+      total.cardsPlayed[name] = (total.cardsPlayed[name] || 0) + match.cardsPlayed[name];
+    }
+    let mode = total.modes[match.mode] || {played: 0, won: 0};
+    total.modes[match.mode] = {played: mode.played + 1, won: mode.won + won};
+    DataManager.changeSetting(this.kLifetimeStats, total);
+  }
   /**-------------------------------------------------------------------------
    * Get the effect ID after card played
    * @param {Number} ext - extra information
    */
   static interpretCardAbility(card, ext){
-    if(ext == -1){return [];}
-    switch(card.value){
-      case Value.DRAW_TWO:
-        return [Effect.DRAW_TWO];
-      // ext=0: normal;  ext=1: reactive;
-      case Value.SKIP:
-        return !ext ? [Effect.SKIP] : [Effect.SKIP_PENALTY];
-      // ext=0: normal;  ext=1: reactive;
-      case Value.REVERSE:
-        return !ext ? [Effect.REVERSE] : [Effect.REVERSE_PENALTY];
-      // ext=0: reset;  ext=1: +10;
-      case Value.ZERO:
-        return !ext ? [Effect.CLEAR_DAMAGE] : [Effect.ADD_DAMAGE];
-      case Value.WILD:
-        return [Effect.CHOOSE_COLOR];
-      case Value.WILD_DRAW_FOUR:
-        return [Effect.CHOOSE_COLOR, Effect.DRAW_FOUR];
-      case Value.WILD_HIT_ALL:
-        return [Effect.CHOOSE_COLOR, Effect.HIT_ALL];
-      case Value.WILD_CHAOS:
-        return [Effect.WILD_CHAOS]
-      case Value.TRADE:
-        return [Effect.CHOOSE_COLOR, Effect.TRADE];
-      case Value.DISCARD_ALL:
-        return [Effect.CHOOSE_COLOR, Effect.DISCARD_ALL];
-      default:
-        return [Effect.ADD_DAMAGE];
-    }
+    if(!this.game){return getCardEffects(card, ext);}
+    return getCardEffects(card, ext, this.game.rules, this.game.gameMode);
   }
   /**-------------------------------------------------------------------------
    * Fired when a card is played onto table
@@ -548,13 +965,14 @@ class GameManager{
    * Value.REVERSE:
    *  0: Normal use, 1: Reactive use;
    * Value.ZERO: (Does not effect in traditional mode)
-   *  0: Clear damage, 1: +10 damage;
+   *  0: +10 damage, 1: Clear damage;
    * Value.WILD:
    * Value.WILD_DRAW_FOUR:
    * Value.WILD_HIT_ALL:
    * Value.DISCARD_ALL:
    *  ext = <Color Value>;
    * Value.TRADE:
+   * Value.SEVEN: (With the 7-0 rule)
    *  ext = Array.<Color Value, Player id that traded with>;
    * Value.WILD_CHAOS:
    *  ext = Array.<Color Value, Number Value>;
@@ -574,13 +992,21 @@ class GameManager{
     SceneManager.scene.onCardDraw(player_id, cards, show);
     return true;
   }
+  /**-------------------------------------------------------------------------
+   * Fired when the wind blows a card of a player to another
+   * @param {Number} player_id - The player id
+   * @param {Number} target_id - The player who gets the card
+   * @param {Card} card - The card blown
+   */
+  static onCardPass(player_id, target_id, card){
+    SceneManager.scene.onCardPass(player_id, target_id, card);
+  }
   /**-------------------------------------------------------------------------
    * Fired when a user's turn begins
    */
   static onUserTurnBegin(player_id){
     debug_log(`User ${player_id} turn start`)
     SceneManager.scene.processUserTurn(player_id);
-    this._inTurn = true;
   }
   /**-------------------------------------------------------------------------
    * Fired when other player/NPC's turn begins
@@ -589,14 +1015,44 @@ class GameManager{
   static onNPCTurnBegin(player_id){
     debug_log(`CPU ${player_id} turn start`)
     SceneManager.scene.processNPCTurn(player_id);
-    this._inTurn = true;
+  }
+  /**-------------------------------------------------------------------------
+   * Fired when a player plays out of turn with the jump-in rule
+   */
+  static onJumpIn(player_id){
+    debug_log(`Player ${player_id} jumps in`)
+    SceneManager.scene.processJumpIn(player_id);
+  }
+  /**-------------------------------------------------------------------------
+   * Fired when a player challenges a Wild Draw Four
+   * @param {Number} player_id - the challenger
+   * @param {Number} target_id - the player of the Wild Draw Four
+   * @param {Boolean} success - whether it was a bluff
+   */
+  static onChallenge(player_id, target_id, success){
+    debug_log(`Player ${player_id} challenges ${target_id}: ${success}`)
+    SceneManager.scene.processChallenge(player_id, target_id, success);
+  }
+  /*-------------------------------------------------------------------------*/
+  static onUnoCall(player_id){
+    debug_log(`Player ${player_id} calls PUNO`)
+    SceneManager.scene.processUnoCall(player_id);
+  }
+  /**-------------------------------------------------------------------------
+   * Fired when a player is caught without calling PUNO, it draws 2 cards
+   * @param {Number} player_id - the player who caught it
+   * @param {Number} target_id - the player caught
+   */
+  static onUnoCatch(player_id, target_id){
+    debug_log(`Player ${player_id} catches ${target_id}`)
+    SceneManager.scene.processUnoCatch(player_id, target_id);
   }
   /*-------------------------------------------------------------------------*/
   static onTurnEnd(player_id){
-    this._inTurn = false;
     if(player_id == 0){
       SceneManager.scene.processUserTurnEnd();
     }
+    this.saveGame();
   }
   /*-------------------------------------------------------------------------*/
   static changeColor(color_id){
@@ -611,7 +1067,14 @@ class GameManager{
   }
   /*-------------------------------------------------------------------------*/
   static isInTurn(){
-    return this._inTurn || false;
+    return !!(this.game && this.game.inTurn);
+  }
+  /*-------------------------------------------------------------------------*/
+  /**-------------------------------------------------------------------------
+   * Schedule engine functions to the frame updates so animations can catch up
+   */
+  static setTimeout(func, timer){
+    EventManager.setTimeout(func, timer);
   }
   /*-------------------------------------------------------------------------*/
   static isSceneBusy(){
@@ -627,9 +1090,11 @@ class GameManager{
   /*-------------------------------------------------------------------------*/
   static onRoundStart(){
     SceneManager.scene.processRoundStart();
+    this.saveGame();
   }
   /*-------------------------------------------------------------------------*/
   static processGameOver(){
+    if(!this.game.scenario && !this.campaignStage){this.clearSavedGame();}
     SceneManager.scene.processGameOver();
   }
   /*-------------------------------------------------------------------------*/
@@ -661,7 +1126,7 @@ class GameManager{
     let cardIndex = this.game.players[pid].hand.indexOf(card);
     this.game.discardPile.push(card);
     this.game.players[pid].discard(cardIndex);
-    GameManager.onCardPlay(pid, card, -1);
+    this.game.listener.onCardPlay(pid, card, -1);
   }
   /*-------------------------------------------------------------------------*/
   static onHPChange(pid, types){
@@ -743,4 +1208,110 @@ class EventManager{
     this.unregisterEventByIndex(this.symbolMap[sym]);
   }
   /*-------------------------------------------------------------------------*/
-}
\ No newline at end of file
+}
+/**-------------------------------------------------------------------------
+ * The connection to the game server of server.js for online play, shared
+ * by Scene_Lobby and Scene_OnlineGame. Messages are described in
+ * src/room.js.
+ * @namespace
+ * @property {Object} room - the room joined, as last sent by the server
+ * @property {Number} seat - the seat in the room
+ */
+class NetworkManager{
+  /*-------------------------------------------------------------------------*/
+  constructor(){
+    throw new Error("This is a static class")
+  }
+  /*-------------------------------------------------------------------------*/
+  static initialize(){
+    this.socket  = null;
+    this.handler = null;
+    this.room    = null;
+    this.seat    = null;
+    this.kNickname = 'nickname';
+  }
+  /**-------------------------------------------------------------------------
+   * The server runs on the same host as the page
+   */
+  static get serverURL(){
+    return 'ws://' + (location.host || 'localhost:8080');
+  }
+  /**-------------------------------------------------------------------------
+   * @param {Function} onOpen  - called once connected
+   * @param {Function} onClose - called when the connection fails or ends
+   */
+  static connect(onOpen, onClose){
+    if(this.isConnected()){return onOpen();}
+    try{
+      this.socket = new WebSocket(this.serverURL);
+    }
+    catch(e){
+      console.error(e);
+      return onClose();
+    }
+    this.socket.onopen  = onOpen;
+    this.socket.onclose = function(){
+      this.socket = null;
+      this.room = null;
+      this.seat = null;
+      onClose();
+    }.bind(this);
+    this.socket.onmessage = this.onMessage.bind(this);
+  }
+  /*-------------------------------------------------------------------------*/
+  static disconnect(){
+    if(!this.socket){return ;}
+    this.socket.onclose = null;
+    this.socket.close();
+    this.initialize();
+  }
+  /*-------------------------------------------------------------------------*/
+  static isConnected(){
+    return !!this.socket && this.socket.readyState == WebSocket.OPEN;
+  }
+  /*-------------------------------------------------------------------------*/
+  static send(message){
+    if(!this.isConnected()){return ;}
+    this.socket.send(JSON.stringify(message));
+  }
+  /**-------------------------------------------------------------------------
+   * The scene shown receives the messages
+   */
+  static setHandler(handler){
+    this.handler = handler;
+  }
+  /*-------------------------------------------------------------------------*/
+  static onMessage(e){
+    let message = null;
+    try{
+      message = JSON.parse(e.data);
+    }
+    catch(err){
+      return console.error("Invalid server message: " + e.data);
+    }
+    debug_log("Server: ", message);
+    if(message.type == 'joined' || message.type == 'start'){this.seat = message.seat;}
+    else if(message.type == 'room'){this.room = message.room;}
+    else if(message.type == 'kicked'){this.room = null; this.seat = null;}
+    if(this.handler){this.handler(message);}
+  }
+  /*-------------------------------------------------------------------------*/
+  static get nickname(){
+    return DataManager.getSetting(this.kNickname) || '';
+  }
+  /*-------------------------------------------------------------------------*/
+  static changeNickname(name){
+    DataManager.changeSetting(this.kNickname, name);
+  }
+  /*-------------------------------------------------------------------------*/
+  static isHost(){
+    return !!this.room && this.room.host == this.seat;
+  }
+  /*-------------------------------------------------------------------------*/
+  static leaveRoom(){
+    this.send({type: 'leave'});
+    this.room = null;
+    this.seat = null;
+  }
+  /*-------------------------------------------------------------------------*/
+}
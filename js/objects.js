@@ -208,6 +208,61 @@ class Sprite_DragBar extends SpriteCanvas{
   }
   /*-------------------------------------------------------------------------*/
 }
+/**----------------------------------------------------------------------------
+ * > A ring emptying clockwise as the time runs out, with the seconds left
+ *   in the middle
+ * @class
+ * @extends SpriteCanvas
+ */
+class Sprite_TimerRing extends SpriteCanvas{
+  /**------------------------------------------------------------------------
+   * @param {Number} x
+   * @param {Number} y
+   * @param {Number} size - width and height of the ring
+   */
+  constructor(x, y, size){
+    super(x, y, size, size);
+    this.ringWidth = 6;
+    this.maxTime   = 1;
+    this.timeLeft  = 0;
+    this.ringSprite = new PIXI.Graphics();
+    this.addChild(this.ringSprite);
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 18;
+    this.textSprite = this.drawText(0, 0, '', font, false);
+    this.setZ(0x1a);
+  }
+  /**------------------------------------------------------------------------
+   * @param {Number} time - frames left
+   * @param {Number} max - frames of the whole turn
+   */
+  setTime(time, max){
+    this.timeLeft = time;
+    this.maxTime  = max;
+    this.refresh();
+  }
+  /*-------------------------------------------------------------------------*/
+  refresh(){
+    super.refresh();
+    if(!this.ringSprite || !this.textSprite){return ;}
+    let r = (this._width - this.ringWidth) / 2;
+    let c = this._width / 2;
+    let rate = Math.max(0, this.timeLeft / this.maxTime);
+    let color = rate > 0.5 ? Graphics.color.LightGreen :
+                rate > 0.2 ? Graphics.color.Gold : Graphics.color.Red;
+    this.ringSprite.clear();
+    this.ringSprite.lineStyle(this.ringWidth, Graphics.color.Black, 0.5);
+    this.ringSprite.drawCircle(c, c, r);
+    if(rate > 0){
+      this.ringSprite.lineStyle(this.ringWidth, color);
+      this.ringSprite.moveTo(c, c - r);
+      this.ringSprite.arc(c, c, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * rate);
+    }
+    this.textSprite.text = Math.ceil(this.timeLeft / 60);
+    this.textSprite.setPOS(c - this.textSprite.width / 2, c - this.textSprite.height / 2);
+  }
+  /*-------------------------------------------------------------------------*/
+}
 /**
  * This object represent the deck durnig the game
  */
@@ -0,0 +1,127 @@
+/**-------------------------------------------------------------------------
+ * The map of the campaign (see Campaign): the stages are played in order,
+ * each one unlocks the next when won. The progress is saved through
+ * GameManager.
+ * @class Scene_CampaignMap
+ * @extends Scene_Base
+ */
+class Scene_CampaignMap extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.fadeDuration = 60;
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createMapWindow();
+    this.createStageWindow();
+    this.createBackButton();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    this.helpWindow.activate().render();
+    this.mapWindow.activate().render();
+    this.stageWindow.render();
+    this.backButton.activate().render();
+    this.helpWindow.setText(Vocab.HelpCampaign);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createMapWindow(){
+    let stages = Campaign.all();
+    let ww = Graphics.width - Graphics.padding * 2, wh = 260;
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    let win = new Window_CampaignMap(Graphics.padding, wy, ww, wh, stages);
+    win.setHelpWindow(this.helpWindow);
+    win.previewHandler = this.onStagePreview.bind(this);
+    for(let i=0;i<stages.length;++i){
+      win.setHandler(stages[i].id, this.onStageStart.bind(this, stages[i]));
+    }
+    this.mapWindow = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createStageWindow(){
+    let ww = 520;
+    let wx = (Graphics.width - ww) / 2;
+    let wy = this.mapWindow.y + this.mapWindow.height + Graphics.spacing;
+    let wh = Graphics.height - wy - Graphics.padding;
+    this.stageWindow = new Window_CampaignStage(wx, wy, ww, wh).setZ(0x10);
+    this.onStagePreview(this.getNextStage());
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x10);
+  }
+  /**-------------------------------------------------------------------------
+   * > The last stage unlocked, the one to play next
+   */
+  getNextStage(){
+    let stages = Campaign.all().filter(function(stage){
+      return GameManager.isCampaignStageUnlocked(stage);
+    });
+    return stages[stages.length - 1] || null;
+  }
+  /*-------------------------------------------------------------------------*/
+  onStagePreview(stage){
+    this.stageWindow.refreshStage(stage);
+  }
+  /*-------------------------------------------------------------------------*/
+  onStageStart(stage){
+    if(!GameManager.isCampaignStageUnlocked(stage)){return ;}
+    SceneManager.goto(Scene_CampaignGame, stage);
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Title);
+  }
+  /*-------------------------------------------------------------------------*/
+}
+/**-------------------------------------------------------------------------
+ * Plays a stage of the campaign on the game table of Scene_Game, with the
+ * background and window skin of the stage. The stage is given to
+ * SceneManager.goto.
+ * @class Scene_CampaignGame
+ * @extends Scene_Game
+ */
+class Scene_CampaignGame extends Scene_Game{
+  /**-------------------------------------------------------------------------
+   * @param {Object} stage - parsed by Campaign
+   */
+  prepare(stage){
+    this.stage = stage;
+    this.game  = GameManager.initCampaignStage(stage);
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    let skin = Graphics[this.stage.windowSkin];
+    this.selectionWindow.changeSkin(skin);
+    this.resultWindow.changeSkin(skin);
+  }
+  /*-------------------------------------------------------------------------*/
+  changeAmbient(amb_id){
+    this.bgiName = Graphics["Background" + this.stage.background];
+    this.changeAmbientMusic(amb_id);
+  }
+  /*-------------------------------------------------------------------------*/
+}
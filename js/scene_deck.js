@@ -0,0 +1,209 @@
+/**-------------------------------------------------------------------------
+ * Builds the deck presets played instead of the standard deck: the copies
+ * of each card type are changed in the lists, the presets are saved by
+ * name through GameManager and chosen in the game options.
+ * @class Scene_DeckBuilder
+ * @extends Scene_Base
+ * @property {Object} copies - copies of each card value name being built
+ * @property {Number} presetIndex - the preset loaded, -1 for the standard deck
+ */
+class Scene_DeckBuilder extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.rowNumber    = 10;
+    this.presetIndex  = -1;
+    this.fadeDuration = 60;
+    this.loadCopies(GameManager.deckPreset);
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createCardWindows();
+    this.createPreviewSprite();
+    this.createNameInput();
+    this.createCommandWindow();
+    this.createBackButton();
+    this.refreshDeck();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    let windows = [this.helpWindow, this.commandWindow, this.backButton].concat(this.cardWindows);
+    windows.forEach(function(win){win.activate().render();});
+    Graphics.renderSprite(this.previewSprite);
+    this.nameInput.render();
+    this.helpWindow.setText(Vocab.HelpDeckBuilder);
+  }
+  /*-------------------------------------------------------------------------*/
+  terminate(){
+    super.terminate();
+    this.nameInput.remove();
+    this.nameInput.dispose();
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  /**-------------------------------------------------------------------------
+   * One list every rowNumber card types, in the order of js/json/card.json
+   */
+  createCardWindows(){
+    let definitions = CardDefinition.all();
+    let ww = 280, wh = 460;
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    this.cardWindows = [];
+    for(let i=0;i<definitions.length;i+=this.rowNumber){
+      let wx = Graphics.padding + this.cardWindows.length * (ww + Graphics.spacing);
+      let win = new Window_DeckCards(wx, wy, ww, wh, definitions.slice(i, i + this.rowNumber));
+      win.setHelpWindow(this.helpWindow);
+      win.previewHandler = this.onCardPreview.bind(this);
+      for(let j=i;j<Math.min(i + this.rowNumber, definitions.length);++j){
+        win.setHandler(definitions[j].name, this.onCardAdd.bind(this, definitions[j]));
+      }
+      this.cardWindows.push(win.setZ(0x10));
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  createPreviewSprite(){
+    let last = this.cardWindows[this.cardWindows.length - 1];
+    let sx = last.x + last.width + Graphics.padding;
+    this.previewSprite = new Sprite();
+    this.previewSprite.setPOS(sx, last.y).setZ(0x10);
+    this.onCardPreview(CardDefinition.all()[0]);
+  }
+  /**-------------------------------------------------------------------------
+   * Inputs are canvases on the page instead of sprites, removed when
+   * the scene terminates
+   */
+  createNameInput(){
+    let ww = 300;
+    let wx = Graphics.width - ww - Graphics.padding;
+    let wy = this.cardWindows[0].y;
+    this.nameInput = Graphics.createInputCanvas(wx, wy, ww, 50, {
+      message: Vocab.DeckName,
+      handler: this.onSavePreset.bind(this)
+    });
+    let preset = GameManager.deckPreset;
+    this.nameInput.input.value(preset ? preset.name : '');
+  }
+  /*-------------------------------------------------------------------------*/
+  createCommandWindow(){
+    let ww = 300;
+    let wx = Graphics.width - ww - Graphics.padding;
+    let wy = this.cardWindows[0].y + 60;
+    let win = new Window_DeckCommand(wx, wy, ww, 200);
+    win.setHelpWindow(this.helpWindow);
+    win.setHandler(win.kLoad, this.onLoadPreset.bind(this));
+    win.setHandler(win.kSave, this.onSavePreset.bind(this));
+    win.setHandler(win.kDelete, this.onDeletePreset.bind(this));
+    win.setHandler(win.kReset, this.onResetDeck.bind(this));
+    this.commandWindow = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x10);
+  }
+  /**-------------------------------------------------------------------------
+   * > The copies of a preset, or of the standard deck with every card
+   * @param {Object} preset - as in Deck, null for the standard deck
+   */
+  loadCopies(preset){
+    this.copies = {};
+    let definitions = CardDefinition.all();
+    for(let i=0;i<definitions.length;++i){
+      this.copies[definitions[i].name] = Deck.copiesOf(definitions[i], false, preset);
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  get currentPreset(){
+    return {name: this.nameInput.input.value().trim(), copies: Object.assign({}, this.copies)};
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshDeck(){
+    let preset = this.currentPreset;
+    this.cardWindows.forEach(function(win){win.refreshCopies(preset.copies);});
+    this.commandWindow.refreshCount(Deck.countCards(false, preset),
+                                    GameManager.isDeckPresetPlayable(preset));
+  }
+  /**-------------------------------------------------------------------------
+   * > Show the art of the card type hovered
+   */
+  onCardPreview(definition){
+    let card = new Card(definition.colors[0], definition.value);
+    this.previewSprite.texture = Graphics.loadTexture(GameManager.getCardImage(card));
+  }
+  /**-------------------------------------------------------------------------
+   * > One more copy of each color, back to none after Deck.maxCopies
+   */
+  onCardAdd(definition){
+    let n = this.copies[definition.name];
+    this.copies[definition.name] = n >= Deck.maxCopies ? 0 : n + 1;
+    this.refreshDeck();
+  }
+  /**-------------------------------------------------------------------------
+   * > Load the next preset saved, after the last one comes the standard deck
+   */
+  onLoadPreset(){
+    let presets = GameManager.deckPresets;
+    this.presetIndex += 1;
+    if(this.presetIndex >= presets.length){this.presetIndex = -1;}
+    let preset = presets[this.presetIndex] || null;
+    this.loadCopies(preset);
+    this.nameInput.input.value(preset ? preset.name : '');
+    this.refreshDeck();
+    this.helpWindow.setText(preset ? preset.name : Vocab.StandardDeck);
+  }
+  /**-------------------------------------------------------------------------
+   * > Save the preset under the name entered, it is the one played next
+   */
+  onSavePreset(){
+    let preset = this.currentPreset;
+    if(!preset.name){
+      Sound.playBuzzer();
+      return this.helpWindow.setText(Vocab.DeckNameMissing);
+    }
+    if(!GameManager.isDeckPresetPlayable(preset)){
+      Sound.playBuzzer();
+      return this.helpWindow.setText(Vocab.DeckTooSmall);
+    }
+    Sound.playSaveLoad();
+    GameManager.saveDeckPreset(preset);
+    GameManager.changeGameSetting(GameManager.kDeckPresetName, preset.name);
+    this.helpWindow.setText(Vocab.DeckSaved);
+  }
+  /*-------------------------------------------------------------------------*/
+  onDeletePreset(){
+    let name = this.nameInput.input.value().trim();
+    let found = GameManager.deckPresets.some(function(p){return p.name === name;});
+    if(!found){return Sound.playBuzzer();}
+    GameManager.deleteDeckPreset(name);
+    this.presetIndex = -1;
+    this.helpWindow.setText(Vocab.DeckDeleted);
+  }
+  /*-------------------------------------------------------------------------*/
+  onResetDeck(){
+    this.loadCopies(null);
+    this.refreshDeck();
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Title);
+  }
+  /*-------------------------------------------------------------------------*/
+}
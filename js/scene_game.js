@@ -6,6 +6,12 @@
  * @property {String} meName  - Path to music effect (victory theme)
  * @property {Number} cardSpritePoolSize - Object pool size of card sprite
  * @property {boolean} playerPhase - Whether is user/player's turn
+ * @property {Number} revealedPlayer - Player whose hand is shown after a
+ *                                     challenge, -1 if none
+ * @property {Number} turnTimer - Frames left in the user's turn, -1 if the
+ *                                timer isn't running
+ * @property {Card} keyCard - Card of the hand highlighted with the arrow
+ *                            keys, null if none
  */
 class Scene_Game extends Scene_Base{
   /**-------------------------------------------------------------------------
@@ -19,10 +25,24 @@ class Scene_Game extends Scene_Base{
     this.discardPileSize    = 15;
     this.animationCount     = 0;
     this.playerPhase        = false;
+    this.revealedPlayer     = -1;
+    this.callSprites        = [];
+    this.toastSprites       = [];
+    this.turnTime           = 0;
+    this.turnTimer          = -1;
+    this.keyCard            = null;
+  }
+  /**-------------------------------------------------------------------------
+   * @param {Object} saveData - Continue the saved game if given
+   */
+  prepare(saveData){
+    if(!saveData){return ;}
+    this.game = GameManager.resumeStage(saveData);
+    this.resumed = true;
   }
   /*-------------------------------------------------------------------------*/
   create(){
-    this.changeAmbient(GameManager.gameMode);
+    this.changeAmbient(this.game.gameMode);
     super.create();
     this.createDeckSprite();
     this.createDiscardPile();
@@ -36,15 +56,31 @@ class Scene_Game extends Scene_Base{
     this.createDimBack();
     this.createScoreBoard();
     this.createNextButton();
+    this.createCallButtons();
+    this.createTurnTimer();
+    this.createMatchClock();
+    this.createLogWindow();
+    if(DebugMode){this.createSeedSprite();}
   }
   /*-------------------------------------------------------------------------*/
   start(){
     super.start();
     this.selectionWindow.render();
     this.nextButton.render();
+    this.unoButton.render();
+    this.catchButton.render();
     this.dimBack.render();
+    this.logButton.activate().render();
+    this.logWindow.render();
     Graphics.renderSprite(this.infoSprite);
-    EventManager.setTimeout(this.gameStart.bind(this), 90);
+    if(this.clockSprite){Graphics.renderSprite(this.clockSprite);}
+    if(this.seedSprite){Graphics.renderSprite(this.seedSprite);}
+    if(this.resumed){
+      EventManager.setTimeout(this.gameResume.bind(this), 90);
+    }
+    else{
+      EventManager.setTimeout(this.gameStart.bind(this), 90);
+    }
   }
   /*-------------------------------------------------------------------------*/
   playStageBGM(){
@@ -60,11 +96,44 @@ class Scene_Game extends Scene_Base{
     for(let i in this.players){
       this.players[i].lastHand = this.players[i].hand.slice();
     }
+    this.setupPlayers();
+  }
+  /*-------------------------------------------------------------------------*/
+  setupPlayers(){
     this.players = this.game.players;
     this.createNameSprites();
     this.createPenaltySprites();
+    this.createStatusSprites();
     this.createDummyWindow();
   }
+  /**-------------------------------------------------------------------------
+   * > Continue the saved game
+   */
+  gameResume(){
+    this.playStageBGM();
+    this.setupPlayers();
+    this.restoreTable();
+  }
+  /**-------------------------------------------------------------------------
+   * > Lay the cards of this.game on the table without dealing animation:
+   *   hands in their current order and the last played card on the pile
+   */
+  restoreTable(){
+    for(let i in this.players){
+      this.arrangeHandCards(parseInt(i));
+    }
+    let card = this.game.lastCard();
+    if(card){
+      let sx = this.discardPile.x + this.discardPile.width / 2;
+      let sy = this.discardPile.y + this.discardPile.height / 2;
+      this.assignCardSprite(card, sx, sy, true);
+      this.addDiscardCard(card, -1, null);
+    }
+    this.updateDamagePool();
+    this.updateHPBar();
+    this.updateDeckInfo();
+    this.updatePenaltyInfo(true);
+  }
   /*-------------------------------------------------------------------------*/
   randomBackground(draw=false){
     this.bgiName = Graphics["Background" + randInt(0, 3)];
@@ -178,47 +247,69 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   createHandCanvas(){
     this.handCanvas = [];
-    let maxNumbers  = [3, 2, 2, 3];
-    let counter     = [0, 0, 0, 0];
+    this.seatCounts = this.getSeatCounts(this.game.players.length);
     let sh = 225, sw = 350, sx, sy;
+    // Leave the corners to left/right hands if any
+    let margin = this.seatCounts[1] > 0 ? sh + Graphics.spacing : 0;
 
-    for(let i=0;i<GameManager.playerNumber;++i){
-      counter[i % 4] += 1;
-      let ssw = (i == 0) ? parseInt(Graphics.width * 0.6) : sw;
-      this.handCanvas.push(new SpriteCanvas(0, 0, ssw, sh));
-      this.handCanvas[i].playerIndex = i;
-      this.handCanvas[i].activate().render();
-    }
-
-    for(let i=0;i<4;++i){
-      let portion = Math.min(counter[i], maxNumbers[i]);
-      let partWidth  = Graphics.width  / portion;
-      let partHeight = Graphics.height / portion;
-      for(let j=0;j<counter[i];++j){
-        let index = i + (4 * j);
-        let hcs   = this.handCanvas[index];
-        // up/down
-        if(!(i&1)){
-          // Divide canvas space
-          sx = partWidth * j;
-          if(partWidth > hcs.width){sx = (partWidth - hcs.width) / 2;}
-          // Align bottom if i == 0 (down)
-          sy = (i == 0) ? Graphics.height - hcs.height : Graphics.spacing;
-        }
-        // left/right
-        else{
-          hcs.resize(sh, sw);
-          sy = partHeight * j;
-          if(partHeight > hcs.height){sy = (partHeight - hcs.height) / 2;}
-          // Align left if i == 1 (left)
-          sx = (i == 1) ? Graphics.spacing : Graphics.width - hcs.width;
-        }
-        hcs.setPOS(sx, sy).setZ(0x10);
-        if(DebugMode){hcs.fillRect(0, 0, hcs.width, hcs.height).setOpacity(0.5);}
+    for(let i=0;i<this.game.players.length;++i){
+      let [side, order] = this.getSeatPosition(i);
+      let count = this.seatCounts[side];
+      let ssw = sw;
+      // down
+      if(side == 0){
+        ssw = parseInt(Graphics.width * 0.6);
+        sx  = (Graphics.width - ssw) / 2;
+        sy  = Graphics.height - sh;
+      }
+      // up
+      else if(side == 2){
+        let partWidth = (Graphics.width - margin * 2) / count;
+        ssw = Math.min(sw, parseInt(partWidth) - Graphics.spacing * 6);
+        sx  = margin + partWidth * order + (partWidth - ssw) / 2;
+        sy  = Graphics.spacing;
+      }
+      // left/right
+      else{
+        let partHeight = Graphics.height / count;
+        ssw = Math.min(sw, parseInt(partHeight) - Graphics.spacing * 6);
+        sy  = partHeight * order + (partHeight - ssw) / 2;
+        sx  = (side == 1) ? Graphics.spacing : Graphics.width - sh;
       }
+      let hcs = new SpriteCanvas(0, 0, ssw, sh);
+      if(side&1){hcs.resize(sh, ssw);}
+      hcs.playerIndex = i;
+      hcs.side = side;
+      hcs.setPOS(sx, sy).setZ(0x10);
+      hcs.activate().render();
+      if(DebugMode){hcs.fillRect(0, 0, hcs.width, hcs.height).setOpacity(0.5);}
+      this.handCanvas.push(hcs);
     }
     this.createArrangeIcon(0);
   }
+  /**-------------------------------------------------------------------------
+   * > How many seats on each side: [down, left, up, right]
+   *   The user sits down alone, others are spread on the other sides.
+   */
+  getSeatCounts(n){
+    let others = n - 1;
+    let lr = parseInt((others + 1) / 3);
+    return [1, lr, others - lr * 2, lr];
+  }
+  /**-------------------------------------------------------------------------
+   * > Side of the table (0: down, 1: left, 2: up, 3: right) and the order on
+   *   that side (from left/top) of player i; seats go clockwise like turns.
+   * @returns {Array} - [side, order]
+   */
+  getSeatPosition(i){
+    if(i == 0){return [0, 0];}
+    let [, left, up] = this.seatCounts;
+    let j = i - 1;
+    if(j < left){return [1, left - j - 1];}
+    j -= left;
+    if(j < up){return [2, j];}
+    return [3, j - up];
+  }
   /*-------------------------------------------------------------------------*/
   getCollisionRect(sp){
     let rect = new Rect(sp.hitArea);
@@ -242,7 +333,7 @@ class Scene_Game extends Scene_Base{
     this.nameCanvas = []
     for(let i in this.handCanvas){
       i = parseInt(i);
-      let side = i % 4;
+      let side = this.handCanvas[i].side;
       let sp = new SpriteCanvas(0, 0, 150, 24);
       let font = clone(Graphics.DefaultFontSetting);
       font.fill = 0x000000;
@@ -274,7 +365,7 @@ class Scene_Game extends Scene_Base{
     this.penaltyCanvas = []
     for(let i in this.handCanvas){
       i = parseInt(i);
-      let side = i % 4;
+      let side = this.handCanvas[i].side;
       let sp = new SpriteCanvas(0, 0, 150, 24);
       let font = clone(Graphics.DefaultFontSetting);
       font.fill = Graphics.color.Crimson;
@@ -302,6 +393,89 @@ class Scene_Game extends Scene_Base{
       sp.render();
     }
   }
+  /**-------------------------------------------------------------------------
+   * > A row of status icons next to each player's name
+   */
+  createStatusSprites(){
+    this.statusCanvas = [];
+    if(this.game.gameMode == Mode.TRADITIONAL){return ;}
+    let size = Graphics.IconRect.width;
+    for(let i in this.handCanvas){
+      i = parseInt(i);
+      let side = this.handCanvas[i].side;
+      let sp = new SpriteCanvas(0, 0, (size + Graphics.spacing) * 4, size);
+      let sx = this.nameCanvas[i].x, sy = this.nameCanvas[i].y;
+      if(side == 0 || side == 1){sy -= size + Graphics.spacing / 2;}
+      else{sy += this.nameCanvas[i].height + Graphics.spacing / 2;}
+      sp.statusKey = '';
+      this.statusCanvas.push(sp.setPOS(sx, sy).setZ(0x10).activate());
+      sp.render();
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > Redraw the icons of the player if its statuses changed
+   */
+  refreshStatusIcons(i){
+    let canvas = this.statusCanvas && this.statusCanvas[i];
+    if(!canvas){return ;}
+    let statuses = this.players[i].statuses;
+    let key = JSON.stringify(statuses.map((st)=>st.serialize()));
+    if(key == canvas.statusKey){return ;}
+    canvas.statusKey = key;
+    canvas.clear();
+    canvas.applyMask();
+    let size = Graphics.IconRect.width;
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 14;
+    font.fill = Graphics.color.White;
+    for(let j in statuses){
+      let st = statuses[j];
+      let icon = new SpriteCanvas(j * (size + Graphics.spacing), 0, size, size);
+      icon.fillRect(0, 0, size, size, this.getStatusColor(st));
+      icon.drawText(Graphics.spacing / 2, 2, this.getStatusName(st)[0] + st.stacks, font);
+      icon.on('mouseover', ()=>{
+        this.showHintWindow(null, null, this.getStatusHelp(st));
+      });
+      icon.on('mousemove', ()=>{this.updateHintWindow()});
+      icon.on('mouseout', ()=>{this.hideHintWindow()});
+      canvas.addChild(icon.activate());
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  getStatusColor(status){
+    switch(status.id){
+      case Status.BURN:
+        return Graphics.color.OrangeRed;
+      case Status.FREEZE:
+        return Graphics.color.DeepSkyBlue;
+      default:
+        return Graphics.color.Black;
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  getStatusName(status){
+    switch(status.id){
+      case Status.BURN:
+        return Vocab.Burning;
+      case Status.FREEZE:
+        return Vocab.Frozen;
+      default:
+        return '?';
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  getStatusHelp(status){
+    let re = this.getStatusName(status);
+    if(status.stacks > 1){re += " x" + status.stacks;}
+    switch(status.id){
+      case Status.BURN:
+        re += ": " + Vocab.HelpStatusBurn + " (-" + status.value * status.stacks + " HP)"; break;
+      case Status.FREEZE:
+        re += ": " + Vocab.HelpStatusFreeze; break;
+    }
+    if(status.turns > 0){re += "\n" + Vocab.TurnsLeft + status.turns;}
+    return re;
+  }
   /*-------------------------------------------------------------------------*/
   createDummyWindow(){
     this.dummy = new Window_Selectable(0, 0, 300, 150);
@@ -315,6 +489,8 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   createSelectionWindow(){
     let ww = 300, wh = 250;
+    // Room for every opponent when trading on a large table
+    wh += Math.max(0, this.game.players.length - 5) * (Graphics.lineHeight + Graphics.spacing);
     let wx = Graphics.appCenterWidth(ww);
     let wy = Graphics.appCenterHeight(wh);
     this.selectionWindow = new Window_CardSelection(wx, wy, ww, wh);
@@ -334,13 +510,22 @@ class Scene_Game extends Scene_Base{
     this.infoSprite.textSprite = txt;
     this.infoSprite.backSprite = bk;
   }
+  /**-------------------------------------------------------------------------
+   * > Show random seed below FPS, so the game can be replayed with ?seed=
+   */
+  createSeedSprite(){
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 18;
+    this.seedSprite = new PIXI.Text("Seed: " + this.game.seed, font);
+    this.seedSprite.setPOS(0, Graphics.FPSSprite.height).setZ(0x100);
+  }
   /*-------------------------------------------------------------------------*/
   createHuds(){
     if(this.game.gameMode == Mode.TRADITIONAL){return ;}
     this.hudCanvas = [];
     for(let i in this.handCanvas){
       i = parseInt(i);
-      let side = i % 4;
+      let side = this.handCanvas[i].side;
       let hcs = this.handCanvas[i];
       let cw = Math.max(hcs.width, hcs.height), ch = 30;
       let cx = hcs.x, cy = hcs.y;
@@ -368,8 +553,8 @@ class Scene_Game extends Scene_Base{
 
       let bar = new Sprite_ProgressBar(bx, by, bw, bh)
       bar.changeColor(Graphics.color.LightGreen);
-      bar.setMaxProgress(GameManager.initHP);
-      bar.setProgress(GameManager.initHP);
+      bar.setMaxProgress(this.game.initHP);
+      bar.setProgress(this.game.initHP);
       bar.on('mouseover', ()=>{
         this.showHintWindow(null, null, this.getPlayerHPText(i));
       });
@@ -407,6 +592,53 @@ class Scene_Game extends Scene_Base{
     let wy = Graphics.padding;
     this.nextButton.setPOS(wx, wy).setZ(0x50).hide();
   }
+  /**-------------------------------------------------------------------------
+   * > PUNO call and catch buttons, above the left of the user's hand
+   */
+  createCallButtons(){
+    let hcs = this.handCanvas[0];
+    this.unoButton = new Window_TableButton(0, 0, this.onUserUnoCall.bind(this), Vocab.UnoCall);
+    this.catchButton = new Window_TableButton(0, 0, this.onUserUnoCatch.bind(this), Vocab.UnoCatch);
+    let wy = hcs.y - this.unoButton.height - Graphics.spacing;
+    this.unoButton.setPOS(hcs.x, wy).setZ(0x30).hide().deactivate();
+    let wx = hcs.x + this.unoButton.width + Graphics.spacing;
+    this.catchButton.setPOS(wx, wy).setZ(0x30).hide().deactivate();
+  }
+  /**-------------------------------------------------------------------------
+   * > Countdown of the user's turn, next to the call buttons
+   */
+  createTurnTimer(){
+    let size = this.catchButton.height;
+    let wx = this.catchButton.x + this.catchButton.width + Graphics.spacing;
+    this.turnTimerRing = new Sprite_TimerRing(wx, this.catchButton.y, size);
+    this.turnTimerRing.hide().render();
+  }
+  /**-------------------------------------------------------------------------
+   * > Time left in the match of Blitz mode, above the deck
+   */
+  createMatchClock(){
+    if(this.game.gameMode != Mode.BLITZ){return ;}
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 32;
+    font.fill = Graphics.color.Gold;
+    this.clockSprite = new PIXI.Text('', font);
+    this.clockSprite.setZ(0x10);
+    this.refreshMatchClock();
+  }
+  /**-------------------------------------------------------------------------
+   * > Log of the table at the bottom right, opened by its button
+   */
+  createLogWindow(){
+    this.logButton = new Window_TableButton(0, 0, this.onLogToggle.bind(this), Vocab.ActionLog);
+    let wx = Graphics.width - this.logButton.width - Graphics.spacing;
+    let wy = Graphics.height - this.logButton.height - Graphics.spacing;
+    this.logButton.setPOS(wx, wy).setZ(0x40);
+    let ww = 420, wh = 280;
+    wx = Graphics.width - ww - Graphics.spacing;
+    wy -= wh + Graphics.spacing;
+    this.logWindow = new Window_ActionLog(wx, wy, ww, wh);
+    this.logWindow.setZ(0x40).hide();
+  }
   /*-------------------------------------------------------------------------*/
   createDimBack(){
     this.dimBack = new Sprite(0, 0, Graphics.width, Graphics.height);
@@ -433,23 +665,23 @@ class Scene_Game extends Scene_Base{
     if(!this.players){return '';}
     let v = 0;
     v = String(this.players[i].hp);
-    return v + ' / ' + GameManager.initHP + '; ' + Vocab.Score + ': ' + this.players[i].score;
+    return v + ' / ' + this.game.initHP + '; ' + Vocab.Score + ': ' + this.players[i].score;
   }
   /*-------------------------------------------------------------------------*/
   arrangeHandCards(index, show=false){
     let hcs  = this.handCanvas[index];
-    let side = index % 4;
+    let side = hcs.side;
     let cardSize  = this.players[index].hand.length;
     let cardWidth = Graphics.CardRectReg.width;
     let cardHeight = Graphics.CardRectReg.height;
-    let canvasWidth  = !(index&1) ? hcs.width  : hcs.height;
-    let canvasHeight = !(index&1) ? hcs.height : hcs.width;
+    let canvasWidth  = !(side&1) ? hcs.width  : hcs.height;
+    let canvasHeight = !(side&1) ? hcs.height : hcs.width;
     let stackPortion = parseFloat(((canvasWidth - cardWidth) / (cardSize * cardWidth)).toFixed(3));
     let totalWidth   = cardWidth + (cardWidth * stackPortion * (cardSize - 1));
     let cur_player   = this.players[index];
-    if(cur_player.knockOut){show = true;}
+    if(cur_player.knockOut || index == this.revealedPlayer){show = true;}
     let base_pos     = (canvasWidth - totalWidth) / 2;
-    let deg = index * (360 / GameManager.playerNumber);
+    let deg = side * 90;
     debug_log("Arrange " + index);
     for(let i in cur_player.hand){
       let dx = 0, dy = 0;
@@ -536,6 +768,7 @@ class Scene_Game extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   onHPChange(pid, types = []){
+    this.logDamage(pid, types);
     this.updateHPBar(pid);
     debug_log("On HP Change: ", pid, types);
     let hit = false;
@@ -604,7 +837,7 @@ class Scene_Game extends Scene_Base{
     player_id = parseInt(player_id);
     card.sprite.show();
     if(player_id >= 0){
-      let deg = -20 + player_id * (360 / GameManager.playerNumber) + randInt(0, 40);
+      let deg = -20 + this.handCanvas[player_id].side * 90 + randInt(0, 40);
       card.sprite.rotateDegree(deg);
       EventManager.setTimeout(()=>{
         this.arrangeHandCards(player_id);
@@ -663,16 +896,23 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   update(){
     super.update();
+    this.updateButtonCooldown();
     this.updateGame();
     this.updateCards();
+    this.updateKeyboard();
     this.updateHintWindowVisibility();
     this.updateHitEffect();
     this.updateDimBack();
+    this.updateCallButtons();
+    this.updateCallSprites();
+    this.updateToastSprites();
+    this.updateTurnTimer();
+    this.updateMatchClock();
   }
   /*-------------------------------------------------------------------------*/
   updateGame(){
     if(this.flagResulting){return ;}
-    if(this.game.deck){this.game.update();}
+    if(this.game.deck && this.players){this.game.update();}
   }
   /*-------------------------------------------------------------------------*/
   updateCards(){
@@ -706,7 +946,7 @@ class Scene_Game extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   updateHintWindowVisibility(){
-    if(this.hintWindow.hoverNumber <= 0){return ;}
+    if(this.hintWindow.hoverNumber <= 0 || this.keyCard){return ;}
     const ar = [this.deckSprite, this.discardPile].concat(this.handCanvas);
     let ok = false;
     for(let i in ar){
@@ -732,6 +972,85 @@ class Scene_Game extends Scene_Base{
       if(opa <= 1){this.hitEffectSprite.hide();}
     }
   }
+  /**-------------------------------------------------------------------------
+   * > The buttons are shown only while the user can use them
+   */
+  updateCallButtons(){
+    if(!this.players){return ;}
+    this.refreshCallButton(this.unoButton, this.game.canCallUno(0));
+    this.refreshCallButton(this.catchButton, this.game.canCatchUno(0));
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshCallButton(button, enabled){
+    if(button.visible == enabled){return ;}
+    if(enabled){button.show().activate();}
+    else{button.hide().deactivate();}
+  }
+  /**-------------------------------------------------------------------------
+   * > Call texts float up and fade out
+   */
+  updateCallSprites(){
+    for(let i=this.callSprites.length-1;i>=0;--i){
+      let sp = this.callSprites[i];
+      sp.life -= 1;
+      sp.y -= 1;
+      if(sp.life < 20){sp.setOpacity(sp.life / 20);}
+      if(sp.life <= 0){
+        sp.remove();
+        this.callSprites.splice(i, 1);
+      }
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > Toasts stay a while then fade out, the ones below move up
+   */
+  updateToastSprites(){
+    for(let i=this.toastSprites.length-1;i>=0;--i){
+      let sp = this.toastSprites[i];
+      sp.life -= 1;
+      if(sp.life < 30){sp.setOpacity(sp.life / 30);}
+      if(sp.life <= 0){
+        sp.remove();
+        this.toastSprites.splice(i, 1);
+      }
+    }
+    for(let i=0;i<this.toastSprites.length;++i){
+      let dy = Graphics.padding + i * (this.toastSprites[i].height + Graphics.spacing);
+      if(this.toastSprites[i].y > dy){this.toastSprites[i].y -= 2;}
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > The match clock runs from the first deal, the engine stops it between
+   *   rounds
+   */
+  updateMatchClock(){
+    if(!this.clockSprite || !this.players){return ;}
+    this.game.tick(Graphics.speedFactor / 60);
+    this.refreshMatchClock();
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshMatchClock(){
+    let seconds = Math.ceil(this.game.timeLeft);
+    if(seconds === this.clockSprite.seconds){return ;}
+    this.clockSprite.seconds = seconds;
+    let sec = seconds % 60;
+    this.clockSprite.text = Math.floor(seconds / 60) + (sec < 10 ? ":0" : ":") + sec;
+    if(seconds <= 30){this.clockSprite.style.fill = Graphics.color.Red;}
+    let sx = (Graphics.width - this.clockSprite.width) / 2;
+    let sy = this.deckSprite.y - this.clockSprite.height - Graphics.padding;
+    this.clockSprite.setPOS(sx, sy);
+  }
+  /**-------------------------------------------------------------------------
+   * > The time runs during the animations, it's up once they are over
+   */
+  updateTurnTimer(){
+    if(this.turnTimer < 0){return ;}
+    this.turnTimer = Math.max(0, this.turnTimer - Graphics.speedFactor);
+    this.turnTimerRing.setTime(this.turnTimer, this.turnTime);
+    if(this.turnTimer == 0 && !this.isAnimationPlaying()){
+      this.onTurnTimeout();
+    }
+  }
   /*-------------------------------------------------------------------------*/
   updateDimBack(){
     if(!this.dimBack.visible){return ;}
@@ -780,6 +1099,7 @@ class Scene_Game extends Scene_Base{
     let pcard = this.game.penaltyCard;
     for(let i in this.penaltyCanvas){
       i = parseInt(i);
+      this.refreshStatusIcons(i);
       let status = Vocab.Normal;
       if(!pcard || i != idx){
         if(this.game.players[i].knockOut){
@@ -811,7 +1131,7 @@ class Scene_Game extends Scene_Base{
     let hcs = this.penaltyCanvas[i];
     let tsp = hcs.textSprite;
     tsp.text = txt;
-    let side = i % 4, sx = 0, sy = 0;
+    let side = this.handCanvas[i].side, sx = 0, sy = 0;
     if(side == 0){
       sx = this.handCanvas[i].x + this.handCanvas[i].width;
       sy = this.nameCanvas[i].y
@@ -893,12 +1213,12 @@ class Scene_Game extends Scene_Base{
     card.sprite.removeAllListeners();
   }
   /*-------------------------------------------------------------------------*/
-  showCardInfo(card){
+  showCardInfo(card, x=null, y=null){
     let info = this.getCardHelp(card);
     card.sprite.setZ(0x30).scale.set(0.6, 0.6);
     card.sprite.setPOS(null, card.lastY - 32);
     this.handCanvas[0].sortChildren();
-    this.showHintWindow(null, null, info);
+    this.showHintWindow(x, y, info);
     this.hintWindow.subject = card;
   }
   /*-------------------------------------------------------------------------*/
@@ -956,12 +1276,22 @@ class Scene_Game extends Scene_Base{
           re += Vocab.HelpHitAll + '; '; break;
         case Effect.TRADE:
           re += Vocab.HelpTrade + '; '; break;
+        case Effect.ROTATE_HANDS:
+          re += Vocab.HelpRotate + '; '; break;
         case Effect.WILD_CHAOS:
           re += Vocab.HelpChaos + '; '; break;
         case Effect.DISCARD_ALL:
           re += Vocab.HelpDiscardAll + '; '; break;
         case Effect.ADD_DAMAGE:
           re += Vocab.HelpNumber + '; '; break;
+        case Effect.BURN:
+          re += Vocab.HelpBurn + '; '; break;
+        case Effect.FREEZE:
+          re += Vocab.HelpFreeze + '; '; break;
+        case Effect.WIND:
+          re += Vocab.HelpWind + '; '; break;
+        case Effect.THUNDER:
+          re += Vocab.HelpThunder + '; '; break;
       }
     }
     re += '\n';
@@ -1016,6 +1346,7 @@ class Scene_Game extends Scene_Base{
     card.sprite.setZ(0x20).handIndex = -1;
     card.sprite.playerIndex = -1;
     debug_log("Card play: " + pid, card);
+    this.addLog(this.getCardPlayLog(pid, card, effects, ext));
     this.addDiscardCard(card, pid, ext);
   }
   /*-------------------------------------------------------------------------*/
@@ -1032,6 +1363,9 @@ class Scene_Game extends Scene_Base{
         case Effect.TRADE:
           this.processTradeEffect(parseInt(ext[i]));
           break;
+        case Effect.ROTATE_HANDS:
+          this.processRotateEffect();
+          break;
       }
     }
   }
@@ -1044,12 +1378,20 @@ class Scene_Game extends Scene_Base{
     }, 10);
   }
   /*-------------------------------------------------------------------------*/
+  processRotateEffect(){
+    EventManager.setTimeout(()=>{
+      for(let i = 0; i < this.players.length; ++i){this.arrangeHandCards(i);}
+    }, 10);
+  }
+  /*-------------------------------------------------------------------------*/
   processColorChangeEffect(cid){
     debug_log("Color changed: " + cid);
   }
   /*-------------------------------------------------------------------------*/
   onCardDraw(pid, cards, show=false){
     pid = parseInt(pid);
+    let key = cards.length == 1 ? Vocab.LogDrawOne : Vocab.LogDraw;
+    this.addLog(Vocab.format(key, this.game.players[pid].name, cards.length));
     let wt = 10; // wait time
     for(let i in cards){
       i = parseInt(i);
@@ -1058,6 +1400,18 @@ class Scene_Game extends Scene_Base{
     }
     this.updateDeckInfo();
   }
+  /**-------------------------------------------------------------------------
+   * > The card moves between the hands like after a trade
+   */
+  onCardPass(pid, target, card){
+    pid = parseInt(pid); target = parseInt(target);
+    let players = this.game.players;
+    this.addLog(Vocab.format(Vocab.LogWindPass, players[pid].name, players[target].name));
+    EventManager.setTimeout(()=>{
+      this.arrangeHandCards(pid);
+      this.arrangeHandCards(target);
+    }, 10);
+  }
   /*-------------------------------------------------------------------------*/
   processCardDrawAnimation(pid, card, show=false, ar=false, ord=0){
     let sprite = this.getIdleCardSprite().show();
@@ -1069,7 +1423,7 @@ class Scene_Game extends Scene_Base{
     if(pid >= 0){
       let sx = this.deckSprite.x + this.deckSprite.width / 3;
       let sy = this.deckSprite.y + this.deckSprite.height / 3;
-      let deg = pid * (360 / GameManager.playerNumber);
+      let deg = this.handCanvas[pid].side * 90;
       dx = this.handCanvas[pid].x + this.handCanvas[pid].width / 2;
       dy = this.handCanvas[pid].y + this.handCanvas[pid].height / 2;
       sprite.setPOS(sx, sy).rotateDegree(deg);
@@ -1099,7 +1453,7 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   onCardTrigger(card){
     debug_log("Trigger: ", card);
-    if(this.playerPhase && this.game.isCardPlayable(card)){
+    if(this.isCardTriggerable(card)){
       this.hideCardInfo(card);
       if(this.game.isCardAbilitySelectionNeeded(card)){
         Sound.playOK();
@@ -1114,6 +1468,13 @@ class Scene_Game extends Scene_Base{
       Sound.playBuzzer();
     }
   }
+  /**-------------------------------------------------------------------------
+   * > Whether the user can play the card now: on its turn, or jumping in
+   */
+  isCardTriggerable(card){
+    if(this.playerPhase){return this.game.isCardPlayable(card);}
+    return this.game.canJumpIn(0, card);
+  }
   /*-------------------------------------------------------------------------*/
   processCardAbilitySelection(card){
     let effid = this.selectionWindow.setupCard(card);
@@ -1143,12 +1504,10 @@ class Scene_Game extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   setupTradeHandlers(card){
-    let alives = this.game.getAlivePlayers();
-    let cnt = 1;
-    for(let i in alives){
-      if(alives[i] == GameManager.game.players[0]){continue;}
-        this.selectionWindow.setHandler(cnt++, ()=>{
-        this.onUserAbilityDecided(card, this.players.indexOf(alives[i]))
+    let targets = this.game.findTargets(0);
+    for(let i in targets){
+      this.selectionWindow.setHandler(parseInt(i) + 1, ()=>{
+        this.onUserAbilityDecided(card, targets[i])
       });
     }
   }
@@ -1208,6 +1567,7 @@ class Scene_Game extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   onUserCardPlay(card, ext){
+    if(!this.playerPhase){return this.onUserJumpIn(card, ext);}
     Sound.playOK();
     this.deactivatePlayerCards();
     this.detachCardInfo(card);
@@ -1223,6 +1583,16 @@ class Scene_Game extends Scene_Base{
       this.arrangeHandCards(0);
     }
   }
+  /**-------------------------------------------------------------------------
+   * > The card is played by the game when it takes the jump-in
+   */
+  onUserJumpIn(card, ext){
+    if(!this.game.canJumpIn(0, card)){return Sound.playBuzzer();}
+    Sound.playOK();
+    this.detachCardInfo(card);
+    this.hideCardInfo(card);
+    this.game.requestJumpIn(0, card, ext);
+  }
   /*-------------------------------------------------------------------------*/
   onUserAbilityCancel(){
     Sound.playCancel();
@@ -1237,16 +1607,98 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   onDeckTrigger(){
     if(!this.playerPhase){return Sound.playBuzzer();}
-    let numCards = GameManager.getCardDrawNumber();
-    if(!this.game.penaltyCard){
-      this.game.processDeckDamage(0);
+    if(this.game.forcedCard){return Sound.playBuzzer();}
+    this.game.processDraw();
+    // A playable card drawn under the Force rule has to be played
+    if(!this.game.forcedCard){this.processUserTurnEnd();}
+  }
+  /**-------------------------------------------------------------------------
+   * > Playing without a mouse: the arrow keys move the highlight across the
+   *   hand, Enter plays the card and Space draws like clicking the deck.
+   *   Moving the mouse gives the hand back to it.
+   */
+  updateKeyboard(){
+    if(this.flagResulting || !this.players){return ;}
+    if(this.keyCard && Input.isMouseMoved){this.clearKeyCard();}
+    if(this.isKeyTriggered(Input.keymap.kESC)){return this.onKeyCancel();}
+    if(this.overlay === this.selectionWindow){
+      return this.updateSelectionKeys();
+    }
+    if(this.overlay){return ;}
+    if(this.isKeyTriggered(Input.keymap.kLEFT)){this.moveKeyCard(-1);}
+    else if(this.isKeyTriggered(Input.keymap.kRIGHT)){this.moveKeyCard(1);}
+    else if(this.isKeyTriggered(Input.keymap.kENTER)){this.onKeyPlay();}
+    else if(this.isKeyTriggered(Input.keymap.kSPACE)){this.onKeyDraw();}
+  }
+  /**-------------------------------------------------------------------------
+   * > The number keys pick the options of the selection window
+   */
+  updateSelectionKeys(){
+    let win = this.selectionWindow;
+    for(let i=1;i<=Math.min(win.selectionNumber, 9);++i){
+      if(!this.isKeyTriggered(Input.keymap['k' + i])){continue;}
+      if(!win.callHandler(i)){Sound.playBuzzer();}
+      return ;
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > A trigger stays for more than one frame when other input comes with
+   *   it, the key is cooled down so it only acts once
+   */
+  isKeyTriggered(kid){
+    if(!Input.isTriggered(kid) || !this.isButtonCooled(kid)){return false;}
+    this.heatupButton(kid);
+    return true;
+  }
+  /*-------------------------------------------------------------------------*/
+  moveKeyCard(dir){
+    let hand = this.players[0].hand;
+    if(hand.length == 0){return ;}
+    let index = hand.indexOf(this.keyCard);
+    if(index == -1){index = dir > 0 ? 0 : hand.length - 1;}
+    else{index = (index + dir + hand.length) % hand.length;}
+    this.clearKeyCard();
+    let card = hand[index];
+    if(!card.sprite){return ;}
+    let hcs = this.handCanvas[0];
+    this.keyCard = card;
+    this.showCardInfo(card, hcs.x + card.sprite.x, hcs.y - this.hintWindow.height);
+    Sound.playCursor();
+  }
+  /*-------------------------------------------------------------------------*/
+  clearKeyCard(){
+    let card = this.keyCard;
+    this.keyCard = null;
+    if(card && this.hintWindow.subject === card){this.hideCardInfo(card);}
+  }
+  /*-------------------------------------------------------------------------*/
+  onKeyPlay(){
+    let card = this.keyCard;
+    if(!card || !card.sprite || !card.sprite.isActive()){
+      return Sound.playBuzzer();
     }
-    this.game.penaltyCard = undefined;
-    this.game.penaltyPool = 0;
-    const cards = GameManager.game.deck.draw(numCards);
-    this.players[0].deal(cards);
-    GameManager.onCardDraw(0, cards);
-    this.processUserTurnEnd();
+    // The card info is hidden by onCardTrigger when it's played
+    if(this.isCardTriggerable(card)){this.keyCard = null;}
+    this.onCardTrigger(card);
+  }
+  /*-------------------------------------------------------------------------*/
+  onKeyDraw(){
+    if(!this.deckSprite.isActive()){return ;}
+    this.clearKeyCard();
+    this.onDeckTrigger();
+  }
+  /**-------------------------------------------------------------------------
+   * > Esc cancels the selection window, closes the other overlays or opens
+   *   the options like the icon at the corner
+   */
+  onKeyCancel(){
+    this.clearKeyCard();
+    if(this.overlay === this.selectionWindow){
+      return this.onUserAbilityCancel();
+    }
+    Sound.playSE(Sound.IconOK);
+    if(this.overlay){this.closeOverlay();}
+    else{this.raiseOverlay(this.optionWindow);}
   }
   /*-------------------------------------------------------------------------*/
   sendCardToDeck(pid, card){
@@ -1258,61 +1710,157 @@ class Scene_Game extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   getCardImage(card){
-    let symbol = '';
-    switch(card.color){
-      case Color.RED:
-        symbol += 'Red'; break;
-      case Color.BLUE:
-        symbol += 'Blue'; break;
-      case Color.YELLOW:
-        symbol += 'Yellow'; break;
-      case Color.GREEN:
-        symbol += 'Green'; break;
-      case Color.WILD:
-        symbol += 'Wild'; break;
-      default:
-        throw new Error("Invalid card color: " + card.color);
-    }
-    switch(card.value){
-      case Value.REVERSE:
-        symbol += 'Reverse'; break;
-      case Value.SKIP:
-        symbol += 'Ban'; break;
-      case Value.DRAW_TWO:
-        symbol += 'Plus2'; break;
-      case Value.WILD_DRAW_FOUR:
-        symbol += 'Plus4'; break;
-      case Value.WILD:
-        symbol += 'Wild'; break;
-      case Value.TRADE:
-        symbol += 'Exchange'; break;
-      case Value.WILD_HIT_ALL:
-        symbol += 'Hit'; break;
-      case Value.DISCARD_ALL:
-        symbol += 'Discard'; break;
-      case Value.WILD_CHAOS:
-        symbol += 'Chaos'; break;
-      default:
-        symbol += card.value;
-    }
-    if(card.value > 9 && card.numID > 0){
-      let tmp = symbol + '_' + (card.numID + 1);
-      if(Graphics[tmp]){symbol = tmp;}
-    }
-    // debug_log("Card Image Symbol: " + symbol);
-    return Graphics[symbol];
+    return GameManager.getCardImage(card);
   }
   /*-------------------------------------------------------------------------*/
   processUserTurn(pid){
     this.setCursor(pid);
     this.playerPhase = true;
+    this.startTurnTimer();
     EventManager.setTimeout(()=>{
       this.updatePenaltyInfo(true);
+      if(this.game.canChallenge(pid)){this.processChallengeSelection();}
     }, 5);
   }
+  /**-------------------------------------------------------------------------
+   * > Offer to challenge the Wild Draw Four, cancel to take it or pass it on
+   */
+  processChallengeSelection(){
+    this.selectionWindow.setupChallengeSelection();
+    this.selectionWindow.setHandler(1, ()=>{
+      this.onUserChallenge();
+    });
+    this.raiseOverlay(this.selectionWindow);
+  }
+  /*-------------------------------------------------------------------------*/
+  onUserChallenge(){
+    Sound.playOK();
+    this.closeOverlay();
+    // The turn goes on if it was a bluff
+    if(!this.game.challenge()){this.processUserTurnEnd();}
+  }
+  /*-------------------------------------------------------------------------*/
+  onUserUnoCall(){
+    if(!this.game.canCallUno(0)){return Sound.playBuzzer();}
+    this.game.callUno(0);
+  }
+  /*-------------------------------------------------------------------------*/
+  onUserUnoCatch(){
+    if(!this.game.canCatchUno(0)){return Sound.playBuzzer();}
+    this.game.catchUno(0);
+  }
+  /*-------------------------------------------------------------------------*/
+  processUnoCall(pid){
+    this.addLog(Vocab.format(Vocab.LogUnoCall, this.game.players[pid].name));
+    Sound.playUnoCall();
+    this.playCallAnimation(pid, Vocab.UnoCall, Graphics.color.Gold);
+  }
+  /*-------------------------------------------------------------------------*/
+  processUnoCatch(pid, target){
+    this.addLog(Vocab.format(Vocab.LogUnoCatch, this.game.players[pid].name, this.game.players[target].name));
+    Sound.playUnoCatch();
+    this.shake(2);
+    this.playCallAnimation(pid, Vocab.UnoCatch, Graphics.color.OrangeRed);
+  }
+  /**-------------------------------------------------------------------------
+   * > Big text over the hand of the player
+   */
+  playCallAnimation(pid, text, color){
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 48;
+    font.fill = color;
+    font.stroke = Graphics.color.Black;
+    font.strokeThickness = 4;
+    let sp = new SpriteCanvas(0, 0, 300, 64);
+    let txt = sp.drawText(0, 0, text, font, false);
+    let pos = this.getPlayerPosition(pid);
+    sp.setPOS(pos.x - txt.width / 2, pos.y - txt.height / 2).setZ(0x40);
+    sp.life = 60;
+    sp.render();
+    this.callSprites.push(sp);
+  }
+  /**-------------------------------------------------------------------------
+   * > Toast at the top of the table, below the ones still shown
+   * @param {String} id - one of Achievement
+   */
+  processAchievement(id){
+    Sound.playOK2();
+    let ww = 360, wh = 64;
+    let sp = new SpriteCanvas(0, 0, ww, wh);
+    sp.fillRect(0, 0, ww, wh, Graphics.color.Black).setOpacity(0.7);
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color.Gold;
+    sp.drawText(Graphics.spacing, Graphics.spacing / 2, Vocab.AchievementUnlocked, font);
+    let name = Window_AchievementGallery.getVocab(id)[0];
+    sp.drawText(Graphics.spacing, wh / 2, name);
+    let last = this.toastSprites[this.toastSprites.length - 1];
+    let wy = last ? last.y + last.height + Graphics.spacing : Graphics.padding;
+    sp.setPOS((Graphics.width - ww) / 2, wy).setZ(0x60);
+    sp.life = 240;
+    sp.render();
+    this.toastSprites.push(sp);
+  }
+  /**-------------------------------------------------------------------------
+   * > Show the hand of the challenged player for a while
+   */
+  processChallenge(pid, target, success){
+    this.addLog(Vocab.format(Vocab.LogChallenge, this.game.players[pid].name,
+      this.game.players[target].name, success ? Vocab.Bluff : Vocab.NoBluff));
+    if(success){Sound.playOK2();}
+    else{Sound.playBuzzer();}
+    this.setPenaltyInfo(pid, Vocab.Challenge);
+    this.setPenaltyInfo(target, success ? Vocab.Bluff : Vocab.NoBluff);
+    this.revealedPlayer = target;
+    this.arrangeHandCards(target);
+    EventManager.setTimeout(()=>{
+      this.revealedPlayer = -1;
+      this.arrangeHandCards(target);
+      this.updatePenaltyInfo(true);
+    }, 120);
+  }
   /*-------------------------------------------------------------------------*/
   processUserTurnEnd(){
     this.playerPhase = false;
+    this.stopTurnTimer();
+  }
+  /**-------------------------------------------------------------------------
+   * > Frames of the user's turn, Blitz mode always has a short one
+   */
+  getTurnTimeLimit(){
+    let seconds = GameManager.turnTime;
+    if(this.game.gameMode == Mode.BLITZ){
+      seconds = Math.min(seconds || Infinity, PunoGame.blitzTurnTime);
+    }
+    return seconds * 60;
+  }
+  /**-------------------------------------------------------------------------
+   * > The timer keeps running if the turn goes on, e.g. for a forced card
+   */
+  startTurnTimer(){
+    this.turnTime = this.getTurnTimeLimit();
+    if(this.turnTime <= 0 || this.turnTimer >= 0){return ;}
+    this.turnTimer = this.turnTime;
+    this.turnTimerRing.setTime(this.turnTimer, this.turnTime);
+    this.turnTimerRing.show();
+  }
+  /*-------------------------------------------------------------------------*/
+  stopTurnTimer(){
+    this.turnTimer = -1;
+    this.turnTimerRing.hide();
+  }
+  /**-------------------------------------------------------------------------
+   * > Time is up: play the card the CPU would play for the user, or draw
+   *   like clicking the deck
+   */
+  onTurnTimeout(){
+    this.stopTurnTimer();
+    if(!this.playerPhase){return ;}
+    if(this.overlay){this.closeOverlay();}
+    let play = this.game.chooseAutoPlay();
+    if(play){return this.onUserCardPlay(play.card, play.ext);}
+    this.onDeckTrigger();
+    // A card drawn under the Force rule is played when the time is up again
+    if(this.playerPhase){this.startTurnTimer();}
   }
   /*-------------------------------------------------------------------------*/
   processNPCTurn(pid){
@@ -1322,6 +1870,11 @@ class Scene_Game extends Scene_Base{
     }, 5);
   }
   /*-------------------------------------------------------------------------*/
+  processJumpIn(pid){
+    this.addLog(Vocab.format(Vocab.LogJumpIn, this.game.players[pid].name));
+    this.setCursor(pid);
+  }
+  /*-------------------------------------------------------------------------*/
   setCursor(pid){
     if(pid == -1){return this.cursor.hide();}
     let sx = this.nameCanvas[pid].x - Graphics.spacing;
@@ -1357,6 +1910,7 @@ class Scene_Game extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   processRoundStart(){
     debug_log("Round Start");
+    this.addLog(Vocab.LogRoundStart);
     this.flagResulting = false;
     this.clearTable();
     this.updateDamagePool();
@@ -1422,6 +1976,112 @@ class Scene_Game extends Scene_Base{
     return this.playerPhase;
   }
   /*-------------------------------------------------------------------------*/
+  onLogToggle(){
+    Sound.playCursor();
+    if(this.logWindow.visible){this.logWindow.hide();}
+    else{this.logWindow.show();}
+  }
+  /*-------------------------------------------------------------------------*/
+  addLog(text){
+    this.logWindow.addEntry(text);
+  }
+  /**-------------------------------------------------------------------------
+   * > The card played and what it did, from the effects and ext given to
+   *   onCardPlay (see GameManager.onCardPlay)
+   */
+  getCardPlayLog(pid, card, effects, ext){
+    let name = Vocab.getCardName(card);
+    if(pid == -1){return Vocab.format(Vocab.LogFirstCard, name);}
+    let player = this.game.players[pid];
+    if(ext == -1){
+      let key = player.hand.length == 0 ? Vocab.LogGoOut : Vocab.LogDiscard;
+      return Vocab.format(key, player.name, name);
+    }
+    let re = Vocab.format(Vocab.LogCardPlay, player.name, name);
+    if(effects.includes(Effect.SKIP_PENALTY) || effects.includes(Effect.REVERSE_PENALTY)){
+      re += ` (${Vocab.LogReactive})`;
+    }
+    let exts = [].concat(ext);
+    for(let i in effects){
+      let txt = this.getEffectLog(pid, effects[i], exts, parseInt(i));
+      if(txt){re += ' → ' + txt;}
+    }
+    return re;
+  }
+  /**-------------------------------------------------------------------------
+   * > ext of the effect is exts[i], as in processCardEffects
+   */
+  getEffectLog(pid, effect, exts, i){
+    let next = this.game.players[this.game.getNextAlivePlayerIndex(pid)];
+    let battle = this.game.gameMode != Mode.TRADITIONAL;
+    switch(effect){
+      case Effect.SKIP:
+        return Vocab.format(Vocab.LogSkip, next.name);
+      case Effect.SKIP_PENALTY:
+        return Vocab.format(Vocab.LogPassPenalty, next.name);
+      case Effect.REVERSE:
+        return Vocab.LogReverse;
+      case Effect.REVERSE_PENALTY:
+        return Vocab.format(Vocab.LogReturnPenalty, next.name);
+      case Effect.DRAW_TWO:
+      case Effect.DRAW_FOUR:
+        return Vocab.format(Vocab.LogPenalty, this.game.penaltyPool);
+      case Effect.HIT_ALL:
+        return Vocab.LogHitAll;
+      case Effect.CHOOSE_COLOR:
+        return Vocab.getColorName(parseInt(exts[i])) ?
+               Vocab.format(Vocab.LogColor, Vocab.getColorName(parseInt(exts[i]))) : null;
+      case Effect.WILD_CHAOS:
+        return Vocab.format(Vocab.LogChaos, Vocab.getColorName(parseInt(exts[0])), exts[1]);
+      case Effect.TRADE:
+        return this.game.players[exts[i]] ? Vocab.format(Vocab.LogTrade, this.game.players[exts[i]].name) : null;
+      case Effect.ROTATE_HANDS:
+        return Vocab.LogRotate;
+      case Effect.ADD_DAMAGE:
+        return battle ? Vocab.format(Vocab.LogDamagePool, this.game.damagePool) : null;
+      case Effect.CLEAR_DAMAGE:
+        return battle ? Vocab.LogClearDamage : null;
+      default:
+        return null;
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > The HP lost is the difference with the HP bar, not updated yet
+   */
+  logDamage(pid, types){
+    if(!this.hudCanvas){return ;}
+    let player = this.game.players[pid];
+    let value = this.hudCanvas[pid].hpBar.currentProgress - player.hp;
+    if(value <= 0){return ;}
+    let names = [];
+    for(let i in types){
+      if(types[i]){names.push(this.getElementName(parseInt(i)));}
+    }
+    names = names.filter(function(name){return !!name;});
+    if(names.length > 0){
+      this.addLog(Vocab.format(Vocab.LogElementDamage, player.name, value, names.join('/')));
+    }
+    else{
+      this.addLog(Vocab.format(Vocab.LogDamage, player.name, value));
+    }
+    if(player.knockOut){this.addLog(Vocab.format(Vocab.LogKnockOut, player.name));}
+  }
+  /*-------------------------------------------------------------------------*/
+  getElementName(color){
+    switch(color){
+      case Color.RED:
+        return Vocab.Fire;
+      case Color.BLUE:
+        return Vocab.Ice;
+      case Color.GREEN:
+        return Vocab.Wind;
+      case Color.YELLOW:
+        return Vocab.Thunder;
+      default:
+        return '';
+    }
+  }
+  /*-------------------------------------------------------------------------*/
   getLastCardInfo(){
     if(!this.game || !this.game.currentColor){return Vocab.NoCardPlays;}
     let re = Vocab.CurrentColorValue;
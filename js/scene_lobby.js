@@ -0,0 +1,385 @@
+/**-------------------------------------------------------------------------
+ * The lobby of online play, it connects to the server of server.js: lists
+ * the open rooms, creates and joins them, then shows the seats of the room
+ * joined until the host starts the game.
+ * @class Scene_Lobby
+ * @extends Scene_Base
+ * @property {Array.<Object>} rooms - open rooms as sent by the server
+ * @property {Number} refreshTimer - frames before listing the rooms again
+ */
+class Scene_Lobby extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.rooms          = [];
+    this.refreshPeriod  = 180;
+    this.refreshTimer   = 0;
+    this.fadeDuration   = 60;
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createNicknameInput();
+    this.createRoomList();
+    this.createLobbyCommand();
+    this.createCodeInput();
+    this.createSeatWindow();
+    this.createRoomCommand();
+    this.createGameModeWindow();
+    this.createGameOptionWindow();
+    this.createRoomNameInput();
+    this.createBackButton();
+    this.createDimBack();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    const windows = [this.helpWindow, this.roomList, this.lobbyCommand,
+      this.seatWindow, this.roomCommand, this.backButton];
+    windows.forEach(function(win){win.render();});
+    this.inputs.forEach(function(bmp){bmp.render();});
+    NetworkManager.setHandler(this.onServerMessage.bind(this));
+    this.helpWindow.setText(Vocab.Connecting);
+    this.showLobby();
+    NetworkManager.connect(this.onConnected.bind(this), this.onDisconnected.bind(this));
+  }
+  /*-------------------------------------------------------------------------*/
+  terminate(){
+    super.terminate();
+    this.inputs.forEach(function(bmp){
+      bmp.remove();
+      bmp.dispose();
+    });
+  }
+  /*-------------------------------------------------------------------------*/
+  update(){
+    super.update();
+    if(!this.isLobbyShown() || !NetworkManager.isConnected()){return ;}
+    this.refreshTimer -= 1;
+    if(this.refreshTimer <= 0){this.refreshRooms();}
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  /**-------------------------------------------------------------------------
+   * Inputs are canvases on the page instead of sprites, removed when
+   * the scene terminates
+   */
+  createNicknameInput(){
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    this.nicknameInput = Graphics.createInputCanvas(Graphics.padding, wy, 300, 50, {
+      message: Vocab.Nickname,
+      handler: this.saveNickname.bind(this)
+    });
+    this.nicknameInput.input.value(NetworkManager.nickname);
+    this.inputs = [this.nicknameInput];
+  }
+  /*-------------------------------------------------------------------------*/
+  createRoomList(){
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing + 60;
+    this.roomList = new Window_RoomList(Graphics.padding, wy, 760, 420);
+    this.roomList.setHelpWindow(this.helpWindow);
+    for(let i=0;i<this.roomList.slotNumber;++i){
+      this.roomList.setHandler(i+1, this.onRoomSelected.bind(this, i));
+    }
+    this.roomList.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createLobbyCommand(){
+    let wx = this.roomList.x + this.roomList.width + Graphics.padding;
+    let win = new Window_LobbyCommand(wx, this.roomList.y, 240, 160);
+    win.setHandler(win.kCreate, this.onCreateCommand.bind(this));
+    win.setHandler(win.kJoin, this.onJoinByCode.bind(this));
+    win.setHandler(win.kRefresh, this.onRefreshCommand.bind(this));
+    this.lobbyCommand = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createCodeInput(){
+    let wx = this.lobbyCommand.x;
+    let wy = this.lobbyCommand.y + this.lobbyCommand.height + Graphics.spacing;
+    this.codeInput = Graphics.createInputCanvas(wx, wy, 240, 50, {
+      message: Vocab.RoomCode,
+      handler: this.onJoinByCode.bind(this)
+    });
+    this.inputs.push(this.codeInput);
+  }
+  /*-------------------------------------------------------------------------*/
+  createSeatWindow(){
+    let list = this.roomList;
+    this.seatWindow = new Window_RoomSeats(list.x, list.y, list.width, list.height);
+    this.seatWindow.setHelpWindow(this.helpWindow);
+    for(let i=0;i<this.seatWindow.slotNumber;++i){
+      this.seatWindow.setHandler(i+1, this.onSeatSelected.bind(this, i));
+    }
+    this.seatWindow.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createRoomCommand(){
+    let win = new Window_RoomCommand(this.lobbyCommand.x, this.lobbyCommand.y, 240, 200);
+    win.setHandler(win.kReady, this.onReadyCommand.bind(this));
+    win.setHandler(win.kFill, this.onFillCommand.bind(this));
+    win.setHandler(win.kStart, this.onStartCommand.bind(this));
+    win.setHandler(win.kLeave, this.onLeaveCommand.bind(this));
+    this.roomCommand = win.setZ(0x10);
+  }
+  /**-------------------------------------------------------------------------
+   * > The rules of the room are chosen the same way as an offline game
+   */
+  createGameModeWindow(){
+    this.gameModeWindow = new Window_GameModeSelect(0, 0, 300, 400);
+    let wx = (Graphics.width - this.gameModeWindow.width) / 5;
+    this.gameModeWindow.setPOS(wx, 150).setZ(0x20).hide();
+    this.gameModeWindow.helpWindow = this.helpWindow;
+    let win = this.gameModeWindow;
+    win.setHandler(win.kTraditional, this.onCreateRoom.bind(this, Mode.TRADITIONAL));
+    win.setHandler(win.kBattlepuno, this.onCreateRoom.bind(this, Mode.BATTLE_PUNO));
+    win.setHandler(win.kDeathMatch, this.onCreateRoom.bind(this, Mode.DEATH_MATCH));
+    win.setHandler(win.kTeam, this.onCreateRoom.bind(this, Mode.TEAM));
+    win.setHandler(win.kBlitz, this.onCreateRoom.bind(this, Mode.BLITZ));
+  }
+  /*-------------------------------------------------------------------------*/
+  createGameOptionWindow(){
+    this.gameOptionWindow = new Window_GameOption(0, 0, 520, 480);
+    let wx = (Graphics.width - this.gameOptionWindow.width) * 7 / 10;
+    this.gameOptionWindow.setPOS(wx, 150).setZ(0x20).hide();
+    this.gameOptionWindow.helpWindow = this.helpWindow;
+  }
+  /*-------------------------------------------------------------------------*/
+  createRoomNameInput(){
+    let wx = this.gameModeWindow.x;
+    let wy = this.gameModeWindow.y + this.gameModeWindow.height + Graphics.spacing;
+    this.roomNameInput = Graphics.createInputCanvas(wx, wy, this.gameModeWindow.width, 50, {
+      message: Vocab.RoomName
+    });
+    this.roomNameInput.hide();
+    this.inputs.push(this.roomNameInput);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x30);
+  }
+  /*-------------------------------------------------------------------------*/
+  createDimBack(){
+    this.dimBack = new Sprite(0, 0, Graphics.width, Graphics.height);
+    this.dimBack.fillRect(0, 0, Graphics.width, Graphics.height);
+    this.dimBack.setOpacity(0.7).setZ(0x18).hide();
+  }
+  /*-------------------------------------------------------------------------*/
+  isLobbyShown(){
+    return this.roomList.visible;
+  }
+  /*-------------------------------------------------------------------------*/
+  isRoomShown(){
+    return this.seatWindow.visible;
+  }
+  /*-------------------------------------------------------------------------*/
+  isCreating(){
+    return this.gameModeWindow.visible;
+  }
+  /*-------------------------------------------------------------------------*/
+  showLobby(){
+    this.seatWindow.hide().deactivate();
+    this.roomCommand.hide().deactivate();
+    this.roomList.show().activate();
+    this.lobbyCommand.show().activate();
+    this.nicknameInput.show();
+    this.codeInput.show();
+    this.refreshTimer = 0;
+  }
+  /*-------------------------------------------------------------------------*/
+  showRoom(){
+    this.hideCreateWindows();
+    this.roomList.hide().deactivate();
+    this.lobbyCommand.hide().deactivate();
+    this.nicknameInput.hide();
+    this.codeInput.hide();
+    this.seatWindow.show().activate();
+    this.roomCommand.show().activate();
+    this.refreshRoom();
+  }
+  /*-------------------------------------------------------------------------*/
+  showCreateWindows(){
+    this.dimBack.show().render();
+    this.gameModeWindow.show().activate().render();
+    this.gameOptionWindow.show().activate().render();
+    this.roomNameInput.show();
+    this.roomList.deactivate();
+    this.lobbyCommand.deactivate();
+  }
+  /*-------------------------------------------------------------------------*/
+  hideCreateWindows(){
+    if(!this.isCreating()){return ;}
+    this.dimBack.hide().remove();
+    this.gameModeWindow.hide().deactivate();
+    this.gameOptionWindow.hide().deactivate();
+    this.roomNameInput.hide();
+    this.roomList.activate();
+    this.lobbyCommand.activate();
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshRooms(){
+    this.refreshTimer = this.refreshPeriod;
+    NetworkManager.send({type: 'list'});
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshRoom(){
+    let room = NetworkManager.room;
+    if(!room){return ;}
+    let seat = room.seats[NetworkManager.seat] || {};
+    this.seatWindow.refreshRoom(room, NetworkManager.seat);
+    this.roomCommand.refreshStatus(NetworkManager.isHost(), !!seat.ready);
+  }
+  /*-------------------------------------------------------------------------*/
+  saveNickname(){
+    let name = this.nicknameInput.input.value().trim();
+    if(name){NetworkManager.changeNickname(name);}
+  }
+  /*-------------------------------------------------------------------------*/
+  onConnected(){
+    this.helpWindow.setText(Vocab.Lobby);
+    if(NetworkManager.room){this.showRoom();}
+    else{this.refreshRooms();}
+  }
+  /**-------------------------------------------------------------------------
+   * > The connection is lost, from this scene or an online game
+   */
+  onDisconnected(){
+    if(SceneManager.scene !== this){
+      return SceneManager.goto(Scene_Lobby);
+    }
+    Sound.playBuzzer();
+    this.helpWindow.setText(Vocab.ConnectionFailed);
+    this.showLobby();
+  }
+  /*-------------------------------------------------------------------------*/
+  onServerMessage(message){
+    switch(message.type){
+      case 'rooms':
+        this.rooms = message.rooms;
+        return this.roomList.refreshRooms(this.rooms);
+      case 'joined':
+      case 'room':
+        return this.showRoom();
+      case 'start':
+        return SceneManager.goto(Scene_OnlineGame, message.log);
+      case 'kicked':
+        Sound.playBuzzer();
+        this.helpWindow.setText(Vocab.Kicked);
+        return this.showLobby();
+      case 'error':
+        Sound.playBuzzer();
+        return this.helpWindow.setText(message.message);
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  onRoomSelected(i){
+    let room = this.rooms[i];
+    if(!room){return ;}
+    this.joinRoom(room.code);
+  }
+  /*-------------------------------------------------------------------------*/
+  joinRoom(code){
+    this.saveNickname();
+    NetworkManager.send({type: 'join', name: NetworkManager.nickname, code: code});
+  }
+  /*-------------------------------------------------------------------------*/
+  onJoinByCode(){
+    let code = this.codeInput.input.value().trim();
+    if(!code){return Sound.playBuzzer();}
+    Sound.playOK();
+    this.joinRoom(code);
+  }
+  /*-------------------------------------------------------------------------*/
+  onRefreshCommand(){
+    this.refreshRooms();
+  }
+  /*-------------------------------------------------------------------------*/
+  onCreateCommand(){
+    if(!NetworkManager.isConnected()){return Sound.playBuzzer();}
+    this.showCreateWindows();
+  }
+  /**-------------------------------------------------------------------------
+   * > Create a room with the game options of GameManager
+   * @param {Number} mode - the game mode selected
+   */
+  onCreateRoom(mode){
+    Sound.playOK();
+    this.saveNickname();
+    GameManager.changeGameMode(mode);
+    NetworkManager.send({
+      type: 'create',
+      name: NetworkManager.nickname,
+      options: {
+        name: this.roomNameInput.input.value(),
+        mode: mode,
+        initCardNumber: GameManager.initCardNumber,
+        initHP: GameManager.initHP,
+        scoreGoal: GameManager.scoreGoal,
+        extraCardDisabled: GameManager.extraCardDisabled,
+        numPlayers: GameManager.playerNumber,
+        difficulties: GameManager.cpuDifficulty,
+        rules: GameManager.houseRules.serialize(),
+        deckPreset: GameManager.deckPreset
+      }
+    });
+    this.hideCreateWindows();
+  }
+  /**-------------------------------------------------------------------------
+   * > The host kicks the player of the seat, or fill/empty it with CPU
+   */
+  onSeatSelected(i){
+    let room = NetworkManager.room;
+    if(!room || !NetworkManager.isHost() || i == NetworkManager.seat){return ;}
+    let seat = room.seats[i];
+    if(seat === undefined){return ;}
+    let human = seat && !seat.cpu;
+    NetworkManager.send({type: human ? 'kick' : 'fill', seat: i});
+  }
+  /*-------------------------------------------------------------------------*/
+  onReadyCommand(){
+    let room = NetworkManager.room;
+    if(!room || NetworkManager.isHost()){return ;}
+    let seat = room.seats[NetworkManager.seat] || {};
+    NetworkManager.send({type: 'ready', ready: !seat.ready});
+  }
+  /*-------------------------------------------------------------------------*/
+  onFillCommand(){
+    if(!NetworkManager.isHost()){return ;}
+    NetworkManager.send({type: 'fill'});
+  }
+  /*-------------------------------------------------------------------------*/
+  onStartCommand(){
+    if(!NetworkManager.isHost()){return ;}
+    NetworkManager.send({type: 'start'});
+  }
+  /*-------------------------------------------------------------------------*/
+  onLeaveCommand(){
+    NetworkManager.leaveRoom();
+    this.helpWindow.setText(Vocab.Lobby);
+    this.showLobby();
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    if(this.isCreating()){return this.hideCreateWindows();}
+    if(this.isRoomShown()){return this.onLeaveCommand();}
+    NetworkManager.disconnect();
+    SceneManager.goto(Scene_Title);
+  }
+  /*-------------------------------------------------------------------------*/
+}
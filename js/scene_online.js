@@ -0,0 +1,101 @@
+/**-------------------------------------------------------------------------
+ * An online game played on the server: the events sent are played back
+ * like a replay, and the user plays on its turn like in Scene_Game. The
+ * replay log sent when the game starts is given to SceneManager.goto.
+ * @class Scene_OnlineGame
+ * @extends Scene_Replay
+ * @property {Boolean} userTurn - Whether the server waits for the user
+ */
+class Scene_OnlineGame extends Scene_Replay{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.stepDuration = 2;
+    this.userTurn     = false;
+  }
+  /**-------------------------------------------------------------------------
+   * @param {Object} log - sent by the server when the game starts
+   */
+  prepare(log){
+    this.game = GameManager.joinOnlineStage(log);
+    NetworkManager.setHandler(this.onServerMessage.bind(this));
+  }
+  /*-------------------------------------------------------------------------*/
+  createControlWindow(){
+    let win = new Window_Back(0, 0, this.onLeave.bind(this), Vocab.Leave);
+    let wx = Graphics.spacing;
+    let wy = Graphics.height - win.height - Graphics.spacing;
+    this.controlWindow = win.setPOS(wx, wy).setZ(0x40);
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshControlWindow(){}
+  /**-------------------------------------------------------------------------
+   * > Wait for the server when every event is played
+   */
+  stepForward(){
+    if(this.game.ended){return ;}
+    this.playStep(this.game.next());
+  }
+  /*-------------------------------------------------------------------------*/
+  playStep(step){
+    if(step.type == 'result' && step.gameOver){
+      return this.processGameOver();
+    }
+    super.playStep(step);
+    if(step.type == 'turn'){
+      this.userTurn = step.player == 0 && !this.game.isCurrentPlayerSkipped();
+      if(this.userTurn){this.processUserTurn(0);}
+    }
+    else if(step.type == 'challenge' && step.player == 0 && step.success){
+      // Caught a bluff, the user plays its turn
+      this.processUserTurn(0);
+    }
+    else if(step.type == 'draw' && step.player == 0 && this.game.forcedCard){
+      // The card drawn has to be played, still the user's turn
+      this.processUserTurn(0);
+    }
+    else if((step.type == 'play' || step.type == 'draw') && step.player == 0){
+      this.userTurn = false;
+    }
+  }
+  /**-------------------------------------------------------------------------
+   * > Only the hand of the user is shown
+   */
+  arrangeHandCards(index, show=false){
+    Scene_Game.prototype.arrangeHandCards.call(this, index, show);
+  }
+  /*-------------------------------------------------------------------------*/
+  updateCallButtons(){
+    Scene_Game.prototype.updateCallButtons.call(this);
+  }
+  /*-------------------------------------------------------------------------*/
+  getCardImage(card){
+    if(OnlineTable.isHidden(card)){return Graphics.CardBack;}
+    return super.getCardImage(card);
+  }
+  /*-------------------------------------------------------------------------*/
+  onServerMessage(message){
+    switch(message.type){
+      case 'event':
+        return this.game.receive(message.event, message.hand);
+      case 'error':
+        debug_log("Server refused: " + message.message);
+        Sound.playBuzzer();
+        // The move was refused, it's still the user's turn
+        if(this.userTurn && !this.playerPhase){
+          this.arrangeHandCards(0);
+          this.processUserTurn(0);
+        }
+        break;
+    }
+  }
+  /*-------------------------------------------------------------------------*/
+  onLeave(){
+    Sound.playCancel();
+    NetworkManager.leaveRoom();
+    SceneManager.goto(Scene_Lobby);
+  }
+  /*-------------------------------------------------------------------------*/
+}
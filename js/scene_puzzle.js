@@ -0,0 +1,121 @@
+/**-------------------------------------------------------------------------
+ * Lists the puzzles of js/json/puzzle.json (see Scenario), the ones cleared
+ * are saved through GameManager. The result of the puzzle played is given
+ * to SceneManager.goto when coming back from Scene_Puzzle.
+ * @class Scene_PuzzleSelect
+ * @extends Scene_Base
+ * @property {Object} result - {id, cleared} of the puzzle played, if any
+ */
+class Scene_PuzzleSelect extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.result       = null;
+    this.fadeDuration = 60;
+  }
+  /**-------------------------------------------------------------------------
+   * @param {Object} result - {id, cleared} of the puzzle just played
+   */
+  prepare(result){
+    this.result = result || null;
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createPuzzleList();
+    this.createBackButton();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    let windows = [this.helpWindow, this.puzzleList, this.backButton];
+    windows.forEach(function(win){win.activate().render();});
+    this.helpWindow.setText(this.getResultText());
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createPuzzleList(){
+    let puzzles = Scenario.all();
+    let ww = 480, wh = 460;
+    let wx = (Graphics.width - ww) / 2;
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    let win = new Window_PuzzleList(wx, wy, ww, wh, puzzles);
+    win.setHelpWindow(this.helpWindow);
+    for(let i=0;i<puzzles.length;++i){
+      win.setHandler(puzzles[i].id, this.onPuzzleStart.bind(this, puzzles[i]));
+    }
+    this.puzzleList = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  getResultText(){
+    if(!this.result){return Vocab.HelpPuzzle;}
+    return this.result.cleared ? Vocab.PuzzleCleared : Vocab.PuzzleFailed;
+  }
+  /*-------------------------------------------------------------------------*/
+  onPuzzleStart(puzzle){
+    Sound.playOK();
+    SceneManager.goto(Scene_Puzzle, puzzle);
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Title);
+  }
+  /*-------------------------------------------------------------------------*/
+}
+/**-------------------------------------------------------------------------
+ * Plays a puzzle on the game table of Scene_Game, as a single round from
+ * its position. The puzzle is given to SceneManager.goto.
+ * @class Scene_Puzzle
+ * @extends Scene_Game
+ */
+class Scene_Puzzle extends Scene_Game{
+  /**-------------------------------------------------------------------------
+   * @param {Object} puzzle - parsed by Scenario
+   */
+  prepare(puzzle){
+    this.game = GameManager.initPuzzleStage(puzzle);
+  }
+  /**-------------------------------------------------------------------------
+   * > Puzzles are solved without a clock
+   */
+  getTurnTimeLimit(){
+    return 0;
+  }
+  /**-------------------------------------------------------------------------
+   * > Back to the list with the result instead of the scoreboard
+   */
+  processGameOver(){
+    debug_log("Puzzle Ends")
+    this.flagResulting = true;
+    this.setCursor(-1);
+    let puzzle = this.game.scenario;
+    let cleared = this.game.scenarioCleared;
+    if(cleared){GameManager.clearPuzzle(puzzle.id);}
+    EventManager.setTimeout(()=>{
+      SceneManager.goto(Scene_PuzzleSelect, {id: puzzle.id, cleared: cleared});
+    }, 90);
+  }
+  /*-------------------------------------------------------------------------*/
+}
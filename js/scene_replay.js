@@ -0,0 +1,204 @@
+/**-------------------------------------------------------------------------
+ * Plays a replay log back on the game table, with the animations of
+ * Scene_Game. The log is given to SceneManager.goto.
+ * @class Scene_Replay
+ * @extends Scene_Game
+ * @property {Boolean} playing - Whether steps are played automatically
+ * @property {Number} speed - Playback speed factor
+ * @property {Number} stepDuration - Frames to wait between two steps at x1
+ */
+class Scene_Replay extends Scene_Game{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.playing      = false;
+    this.speeds       = [1, 2, 4];
+    this.speed        = 1;
+    this.stepDuration = 20;
+    this.stepTimer    = 0;
+  }
+  /**-------------------------------------------------------------------------
+   * @param {Object} log - recorded by ReplayRecorder
+   */
+  prepare(log){
+    this.game = GameManager.loadReplay(log);
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    this.controlWindow.activate().render();
+  }
+  /*-------------------------------------------------------------------------*/
+  createControlWindow(){
+    let ww = 260, wh = 112;
+    let wx = Graphics.spacing;
+    let wy = Graphics.height - wh - Graphics.spacing;
+    let win = new Window_ReplayControl(wx, wy, ww, wh);
+    win.setHandler(win.kStepBack, this.onStepBack.bind(this));
+    win.setHandler(win.kPlay, this.onPlayPause.bind(this));
+    win.setHandler(win.kStepForward, this.onStepForward.bind(this));
+    win.setHandler(win.kSpeed, this.onSpeedChange.bind(this));
+    win.setHandler(win.kLeave, this.onLeave.bind(this));
+    this.controlWindow = win.setZ(0x40);
+    this.refreshControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  gameStart(){
+    this.playStageBGM();
+    this.setupPlayers();
+    this.playing = true;
+    this.refreshControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  updateGame(){
+    if(!this.playing || this.flagResulting || !this.players){return ;}
+    if(this.isBusy()){return ;}
+    this.stepTimer -= 1;
+    if(this.stepTimer > 0){return ;}
+    this.stepTimer = this.stepDuration / this.speed;
+    this.stepForward();
+  }
+  /*-------------------------------------------------------------------------*/
+  refreshControlWindow(){
+    this.controlWindow.refreshStatus(this.playing, this.speed,
+      this.game.position, this.game.events.length);
+  }
+  /*-------------------------------------------------------------------------*/
+  stepForward(){
+    if(this.game.ended){
+      this.playing = false;
+      return this.refreshControlWindow();
+    }
+    this.playStep(this.game.next());
+    this.refreshControlWindow();
+  }
+  /**-------------------------------------------------------------------------
+   * > Animate one step the way GameManager forwards the engine events
+   */
+  playStep(step){
+    switch(step.type){
+      case 'deal':
+        this.processRoundStart();
+        for(let i in this.players){
+          this.onCardDraw(i, this.players[i].hand);
+        }
+        if(step.card){
+          let effects = GameManager.interpretCardAbility(step.card, null);
+          this.onCardPlay(-1, step.card, effects, null);
+        }
+        break;
+      case 'turn':
+        this.setCursor(step.player);
+        this.updatePenaltyInfo(true);
+        break;
+      case 'draw':
+        this.onCardDraw(step.player, step.cards, step.show);
+        break;
+      case 'pass':
+        this.onCardPass(step.player, step.target, step.card);
+        break;
+      case 'play':{
+        let ext = step.ext === undefined ? null : step.ext;
+        let effects = GameManager.interpretCardAbility(step.card, ext);
+        this.onCardPlay(step.player, step.card, effects, ext);
+        break;
+      }
+      case 'challenge':
+        this.processChallenge(step.player, step.target, step.success);
+        break;
+      case 'uno':
+        this.processUnoCall(step.player);
+        break;
+      case 'catch':
+        this.processUnoCatch(step.player, step.target);
+        break;
+      case 'damage':
+        this.onHPChange(step.player, step.types);
+        break;
+      case 'result':
+        this.processRoundOver();
+        break;
+    }
+    this.updateDamagePool();
+  }
+  /*-------------------------------------------------------------------------*/
+  arrangeHandCards(index, show=false){
+    super.arrangeHandCards(index, true);
+  }
+  /**-------------------------------------------------------------------------
+   * > Nobody plays in a replay
+   */
+  updateCallButtons(){}
+  /*-------------------------------------------------------------------------*/
+  onActionNext(){
+    Sound.playOK();
+    this.resultWindow.hide().deactivate().clear();
+    this.dimBack.hide();
+    this.nextButton.hide().deactivate();
+    this.flagResulting = false;
+  }
+  /*-------------------------------------------------------------------------*/
+  onPlayPause(){
+    Sound.playOK();
+    this.playing = !this.playing;
+    if(this.game.ended){
+      this.game.seek(1);
+      this.resetTable();
+    }
+    this.refreshControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  onStepForward(){
+    if(this.isBusy() || this.flagResulting || this.game.ended){
+      return Sound.playBuzzer();
+    }
+    Sound.playCursor();
+    this.playing = false;
+    this.stepForward();
+  }
+  /*-------------------------------------------------------------------------*/
+  onStepBack(){
+    if(this.isBusy() || this.game.position <= 1){
+      return Sound.playBuzzer();
+    }
+    Sound.playCursor();
+    this.playing = false;
+    this.game.seek(this.game.position - 1);
+    this.resetTable();
+    this.refreshControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  onSpeedChange(){
+    Sound.playOK();
+    let i = this.speeds.indexOf(this.speed);
+    this.speed = this.speeds[(i + 1) % this.speeds.length];
+    this.refreshControlWindow();
+  }
+  /*-------------------------------------------------------------------------*/
+  onLeave(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Title);
+  }
+  /**-------------------------------------------------------------------------
+   * > Redraw the table after seeking, the cards are new instances
+   */
+  resetTable(){
+    if(this.flagResulting){this.onActionNext();}
+    this.logWindow.clearEntries();
+    for(let i in this.spritePool){
+      if(this.spritePool[i].instance){
+        this.recycleCardSprite(this.spritePool[i]);
+      }
+    }
+    this.restoreTable();
+    this.setCursor(this.game.currentPlayerIndex === undefined ? -1 : this.game.currentPlayerIndex);
+  }
+  /*-------------------------------------------------------------------------*/
+}
@@ -0,0 +1,176 @@
+/**-------------------------------------------------------------------------
+ * The statistics of the matches finished on this device (see
+ * GameManager.recordMatch): lifetime totals, win rate of each mode and the
+ * history of the last matches, hovered to see their detail.
+ * @class Scene_Stats
+ * @extends Scene_Base
+ */
+class Scene_Stats extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.fadeDuration = 60;
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createTotalWindow();
+    this.createHistoryWindow();
+    this.createDetailWindow();
+    this.createBackButton();
+    this.createAchievementButton();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    this.helpWindow.activate().render();
+    this.totalWindow.render();
+    this.historyWindow.activate().render();
+    this.detailWindow.render();
+    this.backButton.activate().render();
+    this.achievementButton.activate().render();
+    this.helpWindow.setText(Vocab.HelpStats);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80 - this.achievementButtonWidth - Graphics.spacing;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  get achievementButtonWidth(){return 160;}
+  /**-------------------------------------------------------------------------
+   * > Three columns: the totals, the history and the detail
+   */
+  get columnWidth(){
+    return (Graphics.width - Graphics.padding * 2 - Graphics.spacing * 2) / 3;
+  }
+  /*-------------------------------------------------------------------------*/
+  createTotalWindow(){
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    let wh = Graphics.height - wy - Graphics.padding;
+    this.totalWindow = new Window_StatsTotal(Graphics.padding, wy, this.columnWidth, wh);
+    this.totalWindow.setZ(0x10).refreshTotal(GameManager.lifetimeStats);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHistoryWindow(){
+    let wx = this.totalWindow.x + this.columnWidth + Graphics.spacing;
+    let win = new Window_MatchHistory(wx, this.totalWindow.y, this.columnWidth,
+                                      this.totalWindow.height, GameManager.matchHistory);
+    win.previewHandler = this.onMatchPreview.bind(this);
+    this.historyWindow = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createDetailWindow(){
+    let wx = this.historyWindow.x + this.columnWidth + Graphics.spacing;
+    this.detailWindow = new Window_MatchDetail(wx, this.totalWindow.y, this.columnWidth,
+                                               this.totalWindow.height);
+    this.detailWindow.setZ(0x10);
+    let last = GameManager.matchHistory[0];
+    if(last){this.onMatchPreview(last);}
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createAchievementButton(){
+    this.achievementButton = new Window_TableButton(0, 0, this.onAchievements.bind(this),
+                                                   Vocab.Achievements, this.achievementButtonWidth);
+    let wx = this.backButton.x - this.achievementButton.width - Graphics.spacing;
+    this.achievementButton.setPOS(wx, this.backButton.y).setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  onMatchPreview(match){
+    this.detailWindow.refreshMatch(match);
+  }
+  /*-------------------------------------------------------------------------*/
+  onAchievements(){
+    Sound.playOK();
+    SceneManager.goto(Scene_Achievements);
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Title);
+  }
+  /*-------------------------------------------------------------------------*/
+}
+/**-------------------------------------------------------------------------
+ * The gallery of the achievements (see Achievement), unlocked while playing
+ * and saved through GameManager.
+ * @class Scene_Achievements
+ * @extends Scene_Base
+ */
+class Scene_Achievements extends Scene_Base{
+  /**-------------------------------------------------------------------------
+   * @constructors
+   */
+  constructor(){
+    super();
+    this.fadeDuration = 60;
+  }
+  /*-------------------------------------------------------------------------*/
+  create(){
+    super.create();
+    this.createHelpWindow();
+    this.createGalleryWindow();
+    this.createBackButton();
+  }
+  /*-------------------------------------------------------------------------*/
+  start(){
+    super.start();
+    Sound.fadeInBGM(Sound.Title, 500);
+    let windows = [this.helpWindow, this.galleryWindow, this.backButton];
+    windows.forEach(function(win){win.activate().render();});
+    let total = Object.values(Achievement).length;
+    let unlocked = Object.values(Achievement).filter(function(id){
+      return GameManager.isAchievementUnlocked(id);
+    }).length;
+    this.helpWindow.setText(`${Vocab.HelpAchievements} (${unlocked}/${total})`);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackground(){
+    this.backgroundImage = Graphics.addSprite(Graphics.Title);
+    Graphics.renderSprite(this.backgroundImage);
+  }
+  /*-------------------------------------------------------------------------*/
+  createHelpWindow(){
+    let ww = Graphics.width - Graphics.padding * 3 - 80;
+    this.helpWindow = new Window_Help(Graphics.padding, Graphics.padding, ww, 80);
+    this.helpWindow.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createGalleryWindow(){
+    let ww = 480, wh = 460;
+    let wx = (Graphics.width - ww) / 2;
+    let wy = this.helpWindow.y + this.helpWindow.height + Graphics.spacing;
+    let win = new Window_AchievementGallery(wx, wy, ww, wh);
+    win.setHelpWindow(this.helpWindow);
+    this.galleryWindow = win.setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  createBackButton(){
+    this.backButton = new Window_Back(0, 0, this.onActionBack.bind(this));
+    let wx = Graphics.width - this.backButton.width - Graphics.padding;
+    let wy = Graphics.padding;
+    this.backButton.setPOS(wx, wy).setZ(0x10);
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionBack(){
+    Sound.playCancel();
+    SceneManager.goto(Scene_Stats);
+  }
+  /*-------------------------------------------------------------------------*/
+}
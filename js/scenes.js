@@ -284,6 +284,14 @@ class Scene_Base extends Stage{
     return (this._buttonCooldown[kid] || 0) == 0;
   }
   /*-------------------------------------------------------------------------*/
+  updateButtonCooldown(){
+    for(let i=0;i<0xff;++i){
+      if((this._buttonCooldown[i] || 0) > 0){
+        this._buttonCooldown[i] -= 1;
+      }
+    }
+  }
+  /*-------------------------------------------------------------------------*/
   raiseOverlay(ovs, fallback=null){
     if(!ovs){return ;}
     if(ovs !== this.optionWindow){
@@ -433,14 +441,6 @@ class Scene_Load extends Scene_Base{
     debug_log(message);
   }
   /*-------------------------------------------------------------------------*/
-  updateButtonCooldown(){
-    for(let i=0;i<0xff;++i){
-      if((this._buttonCooldown[i] || 0) > 0){
-        this._buttonCooldown[i] -= 1;
-      }
-    }
-  }
-  /*-------------------------------------------------------------------------*/
   updateLoading(){
     this.updateImage();
     this.updateText();
@@ -684,6 +684,8 @@ class Scene_Title extends Scene_Base{
     this.gameModeWindow.setHandler(this.gameModeWindow.kTraditional, this.onGameTraditional);
     this.gameModeWindow.setHandler(this.gameModeWindow.kBattlepuno, this.onGameBattlePuno);
     this.gameModeWindow.setHandler(this.gameModeWindow.kDeathMatch, this.onGameDeathMatch);
+    this.gameModeWindow.setHandler(this.gameModeWindow.kTeam, this.onGameTeam);
+    this.gameModeWindow.setHandler(this.gameModeWindow.kBlitz, this.onGameBlitz);
   }
   /*-------------------------------------------------------------------------*/
   update(){
@@ -707,9 +709,13 @@ class Scene_Title extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   createMenu(){
-    let ww = 200, wh = 200;
+    let ww = 200, wh = 440;
     let wx = Graphics.width - ww - Graphics.padding / 2;
-    let wy = Graphics.height / 2;
+    let wy = Graphics.height / 2 - Graphics.lineHeight * 5 - Graphics.spacing * 2;
+    if(GameManager.hasSavedGame()){
+      wh += Graphics.lineHeight + Graphics.spacing * 2;
+      wy -= Graphics.lineHeight + Graphics.spacing * 2;
+    }
     this.menu = new Window_Menu(wx, wy, ww, wh);
   }
   /*-------------------------------------------------------------------------*/
@@ -752,7 +758,7 @@ class Scene_Title extends Scene_Base{
   }
   /*-------------------------------------------------------------------------*/
   createGameOptionWindow(){
-    this.gameOptionWindow = new Window_GameOption(0, 0, 520, 400);
+    this.gameOptionWindow = new Window_GameOption(0, 0, 520, 480);
     let wx = (Graphics.width - this.gameOptionWindow.width) * 7 / 10;
     this.gameOptionWindow.setPOS(wx,150).setZ(0x10).hide();
   }
@@ -783,6 +789,47 @@ class Scene_Title extends Scene_Base{
     this.dimBack.show().render();
   }
   /*-------------------------------------------------------------------------*/
+  onContinue(){
+    Sound.playOK();
+    SceneManager.goto(Scene_Game, GameManager.savedGame);
+  }
+  /*-------------------------------------------------------------------------*/
+  onOnline(){
+    Sound.playOK();
+    SceneManager.goto(Scene_Lobby);
+  }
+  /*-------------------------------------------------------------------------*/
+  onReplay(){
+    Sound.playOK();
+    uploadJSON(function(log){
+      if(!ReplayTable.isLogValid(log)){
+        console.error("Invalid replay file");
+        return Sound.playBuzzer();
+      }
+      SceneManager.goto(Scene_Replay, log);
+    });
+  }
+  /*-------------------------------------------------------------------------*/
+  onDeckBuilder(){
+    Sound.playOK();
+    SceneManager.goto(Scene_DeckBuilder);
+  }
+  /*-------------------------------------------------------------------------*/
+  onPuzzle(){
+    Sound.playOK();
+    SceneManager.goto(Scene_PuzzleSelect);
+  }
+  /*-------------------------------------------------------------------------*/
+  onCampaign(){
+    Sound.playOK();
+    SceneManager.goto(Scene_CampaignMap);
+  }
+  /*-------------------------------------------------------------------------*/
+  onStats(){
+    Sound.playOK();
+    SceneManager.goto(Scene_Stats);
+  }
+  /*-------------------------------------------------------------------------*/
   onActionBack(){
     Sound.playCancel();
     this.helpWindow.hide().deactivate();
@@ -810,6 +857,18 @@ class Scene_Title extends Scene_Base{
     SceneManager.goto(Scene_Game);
   }
   /*-------------------------------------------------------------------------*/
+  onGameTeam(){
+    Sound.playOK();
+    GameManager.changeGameMode(Mode.TEAM);
+    SceneManager.goto(Scene_Game);
+  }
+  /*-------------------------------------------------------------------------*/
+  onGameBlitz(){
+    Sound.playOK2();
+    GameManager.changeGameMode(Mode.BLITZ);
+    SceneManager.goto(Scene_Game);
+  }
+  /*-------------------------------------------------------------------------*/
 }
 /**-------------------------------------------------------------------------
  * Test scene
@@ -849,6 +908,7 @@ class Scene_GameOver extends Scene_Base{
     super.create();
     this.createScoreBoard();
     this.createLeaveButton();
+    this.createReplayButtons();
   }
   /*-------------------------------------------------------------------------*/
   createScoreBoard(){
@@ -864,6 +924,19 @@ class Scene_GameOver extends Scene_Base{
     this.backButton.setPOS(wx, wy).setZ(0x10).deactivate().hide();
   }
   /*-------------------------------------------------------------------------*/
+  createReplayButtons(){
+    this.replayButtons = [];
+    if(!GameManager.replayLog){return ;}
+    let watch = new Window_Back(0, 0, this.onActionReplay.bind(this), Vocab.Replay);
+    let save  = new Window_Back(0, 0, this.onActionSaveReplay.bind(this), Vocab.SaveReplay);
+    let wx = this.backButton.x, wy = this.backButton.y;
+    for(let win of [watch, save]){
+      wx -= win.width + Graphics.spacing;
+      win.setPOS(wx, wy).setZ(0x10).deactivate().hide();
+      this.replayButtons.push(win);
+    }
+  }
+  /*-------------------------------------------------------------------------*/
   start(){
     super.start();
     EventManager.setTimeout(()=>{
@@ -874,6 +947,7 @@ class Scene_GameOver extends Scene_Base{
     }, 90 + this.fadeDuration);
     this.resultWindow.render();
     this.backButton.render();
+    this.replayButtons.forEach(function(win){win.render();});
   }
   /*-------------------------------------------------------------------------*/
   update(){
@@ -885,12 +959,35 @@ class Scene_GameOver extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   drawRank(){
     const ar = this.resultWindow.drawRank();
-    if(ar[0] == this.game.players[0]){
+    const winners = ar[0].members || [ar[0]];
+    if(winners.indexOf(this.game.players[0]) > -1){
       this.playVictory();
     }
     else{
       this.playDefeat();
     }
+    this.recordResult(ar);
+  }
+  /**-------------------------------------------------------------------------
+   * > Matches played here are kept in the statistics, not the replays or
+   * online games watched. The rank of the user is the one of its entry, or
+   * of its team's
+   */
+  recordResult(ar){
+    if(!GameManager.recorder){return ;}
+    const user = this.game.players[0];
+    const rank = ar.findIndex(function(entry){
+      return entry === user || (entry.members || []).indexOf(user) > -1;
+    }) + 1;
+    // The scores of traditional mode were turned negative to be sorted
+    const sign = this.game.gameMode == Mode.TRADITIONAL ? -1 : 1;
+    const ranking = ar.map(function(entry){
+      return {name: entry.name, hp: entry.hp, score: entry.score * sign};
+    });
+    GameManager.recordMatch(ranking, rank);
+    if(GameManager.campaignStage){
+      GameManager.recordCampaignResult(rank, user.score * sign);
+    }
   }
   /*-------------------------------------------------------------------------*/
   playVictory(){
@@ -907,11 +1004,25 @@ class Scene_GameOver extends Scene_Base{
   /*-------------------------------------------------------------------------*/
   showLeaveButton(){
     this.backButton.activate().show();
+    this.replayButtons.forEach(function(win){win.activate().show();});
   }
   /*-------------------------------------------------------------------------*/
   onActionBack(){
     Sound.playOK();
+    if(NetworkManager.isConnected()){return SceneManager.goto(Scene_Lobby);}
+    if(GameManager.campaignStage){return SceneManager.goto(Scene_CampaignMap);}
     SceneManager.goto(Scene_Title);
   }
   /*-------------------------------------------------------------------------*/
+  onActionReplay(){
+    Sound.playOK();
+    SceneManager.goto(Scene_Replay, GameManager.replayLog);
+  }
+  /*-------------------------------------------------------------------------*/
+  onActionSaveReplay(){
+    Sound.playOK();
+    let log = GameManager.replayLog;
+    downloadJSON("puno-replay-" + log.seed + ".json", log);
+  }
+  /*-------------------------------------------------------------------------*/
 }
@@ -229,6 +229,49 @@ function processJSON(path, handler, fallback){
   }
   xhr.send();
 }
+/**----------------------------------------------------------------------------
+ * > Save the object as a JSON file on user's computer
+ * @function
+ * @global
+ * @param {string} filename - name of the file
+ * @param {Object} data - the object to save
+ */
+function downloadJSON(filename, data){
+  var blob = new Blob([JSON.stringify(data)], {type: 'application/json'});
+  var link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  window.setTimeout(function(){URL.revokeObjectURL(link.href);}, 1000);
+}
+/**----------------------------------------------------------------------------
+ * > Let the user pick a JSON file and read it
+ * @function
+ * @global
+ * @param {function} handler - the handler to call, first arg is the parsed
+ *                             object, null if it's not a valid JSON file
+ */
+function uploadJSON(handler){
+  var input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', function(){
+    if(input.files.length == 0){return ;}
+    var fileReader = new FileReader();
+    fileReader.addEventListener('load', function(){
+      var data = null;
+      try{
+        data = JSON.parse(fileReader.result);
+      }
+      catch(e){
+        console.error("Invalid JSON file: " + input.files[0].name);
+      }
+      handler(data);
+    });
+    fileReader.readAsText(input.files[0]);
+  });
+  input.click();
+}
 /**----------------------------------------------------------------------------
  * > Report the error
  * @param {boolean} fatel - whether the application is able to continue
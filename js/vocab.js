@@ -41,5 +41,51 @@ class Vocab{
   static isReady(){
     return this.ready;
   }
+  /**--------------------------------------------------------------------------
+   * > A text of the json data in the current language, English if it has
+   * none (see js/json/puzzle.json)
+   * @param {String|Object} text - a text or one by language
+   */
+  static localize(text){
+    if(typeof text === 'string'){return text;}
+    return text[this.Language] || text['en_us'] || '';
+  }
+  /**--------------------------------------------------------------------------
+   * > Put the arguments in place of %1, %2... of the text
+   */
+  static format(text, ...args){
+    return text.replace(/%(\d)/g, function(s, n){return args[n - 1];});
+  }
+  /**--------------------------------------------------------------------------
+   * > Name of the card color, none for the wild ones
+   */
+  static getColorName(color){
+    switch(color){
+      case Color.RED:
+        return this.Red;
+      case Color.BLUE:
+        return this.Blue;
+      case Color.GREEN:
+        return this.Green;
+      case Color.YELLOW:
+        return this.Yellow;
+      default:
+        return '';
+    }
+  }
+  /**--------------------------------------------------------------------------
+   * > Numbers are shown as they are, the others by their name
+   * @param {String} name - name of the card value (see CardDefinition)
+   */
+  static getValueName(name){
+    if(Value[name] < 10){return String(Value[name]);}
+    return this[name] || name;
+  }
+  /*-------------------------------------------------------------------------*/
+  static getCardName(card){
+    let value = this.getValueName(CardDefinition.get(card.value).name);
+    let color = this.getColorName(card.color);
+    return color ? `${color} ${value}` : value;
+  }
   /*-------------------------------------------------------------------------*/
 }
\ No newline at end of file
@@ -707,7 +707,14 @@ class Window_Menu extends Window_Selectable{
   }
   /*------------------------------------------------------------------------*/
   addAllSelections(){
+    if(GameManager.hasSavedGame()){this.addContinue();}
     this.addStartGame();
+    this.addCampaign();
+    this.addPuzzle();
+    this.addOnline();
+    this.addReplay();
+    this.addDeckBuilder();
+    this.addStats();
     this.addRules();
     this.addOptions();
     this.addCredits();
@@ -723,6 +730,76 @@ class Window_Menu extends Window_Selectable{
     this.addTextSelection(opt);
   }
   /*------------------------------------------------------------------------*/
+  addCampaign(){
+    let opt = {
+      text: Vocab.Campaign,
+      align: 1,
+      symbol: 'campaign',
+      handler: SceneManager.scene.onCampaign.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addPuzzle(){
+    let opt = {
+      text: Vocab.Puzzle,
+      align: 1,
+      symbol: 'puzzle',
+      handler: SceneManager.scene.onPuzzle.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addOnline(){
+    let opt = {
+      text: Vocab.Online,
+      align: 1,
+      symbol: 'online',
+      handler: SceneManager.scene.onOnline.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addContinue(){
+    let opt = {
+      text: Vocab.Continue,
+      align: 1,
+      symbol: 'continue',
+      handler: SceneManager.scene.onContinue.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addReplay(){
+    let opt = {
+      text: Vocab.Replay,
+      align: 1,
+      symbol: 'replay',
+      handler: SceneManager.scene.onReplay.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addDeckBuilder(){
+    let opt = {
+      text: Vocab.DeckBuilder,
+      align: 1,
+      symbol: 'deckBuilder',
+      handler: SceneManager.scene.onDeckBuilder.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
+  addStats(){
+    let opt = {
+      text: Vocab.Statistics,
+      align: 1,
+      symbol: 'stats',
+      handler: SceneManager.scene.onStats.bind(SceneManager.scene)
+    }
+    this.addTextSelection(opt);
+  }
+  /*------------------------------------------------------------------------*/
   addRules(){
     let opt = {
       text: Vocab.Rules,
@@ -984,8 +1061,8 @@ class Window_Help extends Window_Base{
  */
 class Window_Back extends Window_Selectable{
   /*------------------------------------------------------------------------*/
-  constructor(x, y, handler, txt = Vocab["Back"]){
-    super(x, y, 80, 50);
+  constructor(x, y, handler, txt = Vocab["Back"], w = 80){
+    super(x, y, w, 50);
     this.handler = handler;
     this.changeSkin(Graphics.WSkinPinkie);
     this.addBackSelection(txt);
@@ -1013,6 +1090,14 @@ class Window_Back extends Window_Selectable{
   }
   /*------------------------------------------------------------------------*/
 }
+/**------------------------------------------------------------------------
+ *  Button whose handler plays its own sound, like the ones on the table
+ */
+class Window_TableButton extends Window_Back{
+  /*------------------------------------------------------------------------*/
+  onSelfTrigger(){}
+  /*------------------------------------------------------------------------*/
+}
 /**------------------------------------------------------------------------
  * A confirm window works like window.confirm, should be called as overlay
  */
@@ -1091,6 +1176,8 @@ class Window_GameModeSelect extends Window_Selectable{
       this.kTraditional = "traditional";
       this.kBattlepuno  = "battlepuno";
       this.kDeathMatch  = "deathmatch";
+      this.kTeam        = "team";
+      this.kBlitz       = "blitz";
       this.drawTitle();
       this.changeSkin(Graphics.WSkinLuna)
       this.createSelections();
@@ -1109,6 +1196,8 @@ class Window_GameModeSelect extends Window_Selectable{
       this.addTraditionalSelection();
       this.addBattlePunoSelection();
       this.addDeathMatchSelection();
+      this.addTeamSelection();
+      this.addBlitzSelection();
     }
     /*------------------------------------------------------------------------*/
     addTraditionalSelection(){
@@ -1144,6 +1233,28 @@ class Window_GameModeSelect extends Window_Selectable{
       this.addTextSelection(opt);
     }
     /*------------------------------------------------------------------------*/
+    addTeamSelection(){
+      let opt = {
+        text: Vocab["GameModeTeam"],
+        symbol: this.kTeam,
+        align: 1,
+        help: Vocab["HelpTeam"]
+      }
+      this.addSelection(null);
+      this.addTextSelection(opt);
+    }
+    /*------------------------------------------------------------------------*/
+    addBlitzSelection(){
+      let opt = {
+        text: Vocab["GameModeBlitz"],
+        symbol: this.kBlitz,
+        align: 1,
+        help: Vocab["HelpBlitz"]
+      }
+      this.addSelection(null);
+      this.addTextSelection(opt);
+    }
+    /*------------------------------------------------------------------------*/
 }
 /**------------------------------------------------------------------------
  *  Window for custom in-game options
@@ -1170,9 +1281,82 @@ class Window_GameOption extends Window_Selectable{
    */
   createOptions(){
     this.addExtraCardOption();
+    this.addDeckOption();
+    this.addPlayerNumberOption();
+    this.addDifficultyOption();
     this.addHandCardOption();
     this.addHPOption();
     this.addScoreGoalOption();
+    this.addTurnTimeOption();
+    this.addHouseRuleOption(Vocab["HouseRules"], Vocab["HelpHouseRules"],
+      ['stacking', 'jumpIn', 'sevenZero']);
+    this.addHouseRuleOption('', Vocab["HelpHouseRulesDraw"],
+      ['drawUntilPlayable', 'forcePlay', 'startingCardEffects']);
+  }
+  /**------------------------------------------------------------------------
+   * Option defines how many players in the game (2~8), default is 4
+   */
+  addPlayerNumberOption(){
+    let pos = this.nextItemPOS;
+    let sp  = new SpriteCanvas(0, 0, this.itemWidth, this.itemHeight);
+    sp.drawText(4, 0, Vocab["PlayerNumber"]);
+    sp.setPOS(pos.x, pos.y).help = Vocab["HelpPlayerNumber"];
+
+    let offset = this.spacing / 2;
+    let value  = GameManager.playerNumber;
+    let peak   = GameManager.playerNumberPeak;
+    let ts     = this.drawText(410, 0, value);
+    ts.y       = offset;
+    sp.addChild(ts);
+    this.PNBar = new Sprite_DragBar(170, -offset, 250, null, peak[0], peak[1], value);
+    sp.addChild(this.PNBar);
+    this.PNBar.handler = function(v){
+      GameManager.changeGameSetting(GameManager.kPlayerNumber, parseInt(v));
+      ts.text = parseInt(GameManager.playerNumber);
+      this.refreshDifficultyOption();
+    }.bind(this);
+    this.PNBar.changeColor(Graphics.color.Orange)
+    this.addSelection(sp);
+  }
+  /**------------------------------------------------------------------------
+   * Difficulty of each CPU seat, labeled with the name of the seat in the
+   * game, click it to switch its level, default is normal
+   */
+  addDifficultyOption(){
+    let pos = this.nextItemPOS;
+    let sp  = new SpriteCanvas(0, 0, this.itemWidth, this.itemHeight);
+    sp.drawText(4, 0, Vocab["CPUDifficulty"]);
+    sp.setPOS(pos.x, pos.y).help = Vocab["HelpCPUDifficulty"];
+
+    this.difficultySprites = [];
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fontSize = 14;
+    for(let i=0;i<GameManager.cpuDifficulty.length;++i){
+      let ts = sp.drawText(170 + i * 44, 4, 'CPU' + (i+1), clone(font));
+      ts.interactive = true;
+      let handler = function(){
+        let ar = GameManager.cpuDifficulty.slice();
+        ar[i] = (ar[i] + 1) % Object.keys(Difficulty).length;
+        GameManager.changeGameSetting(GameManager.kCPUDifficulty, ar);
+        this.refreshDifficultyOption();
+      }.bind(this);
+      ts.on('click', handler);
+      ts.on('tap', handler);
+      this.difficultySprites.push(ts);
+    }
+    this.refreshDifficultyOption();
+    this.addSelection(sp);
+  }
+  /*------------------------------------------------------------------------*/
+  refreshDifficultyOption(){
+    if(!this.difficultySprites){return ;}
+    let colors = [Graphics.color.LightGreen, Graphics.color.Gold, Graphics.color.Red];
+    for(let i=0;i<this.difficultySprites.length;++i){
+      let ts = this.difficultySprites[i];
+      ts.style.fill = colors[GameManager.cpuDifficulty[i]];
+      if(i < GameManager.playerNumber - 1){ts.show();}
+      else{ts.hide();}
+    }
   }
   /**------------------------------------------------------------------------
    * Option defines how many cards player have at beginning, default is 7
@@ -1241,6 +1425,70 @@ class Window_GameOption extends Window_Selectable{
     
     this.addSelection(sp);
   }
+  /**------------------------------------------------------------------------
+   * The deck preset played, click to switch to the next one saved in
+   * Scene_DeckBuilder, default is the standard deck
+   */
+  addDeckOption(){
+    let pos = this.nextItemPOS;
+    let sp  = new SpriteCanvas(0, 0, this.itemWidth, this.itemHeight);
+    sp.drawText(4, 0, Vocab["Deck"]);
+    sp.setPOS(pos.x, pos.y).help = Vocab["HelpDeckPreset"];
+
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color.LightSkyBlue;
+    let ts = sp.drawText(170, 0, '', font);
+    let refresh = function(){
+      let preset = GameManager.deckPreset;
+      ts.text = preset ? preset.name : Vocab["StandardDeck"];
+    }
+    let handler = function(){
+      let names = [null].concat(GameManager.deckPresets.map(function(p){return p.name;}));
+      let i = names.indexOf(GameManager.deckPresetName);
+      GameManager.changeGameSetting(GameManager.kDeckPresetName, names[(i + 1) % names.length]);
+      refresh();
+    }
+    sp.on('click', handler);
+    sp.on('tap', handler);
+    refresh();
+    this.addSelection(sp);
+  }
+  /**------------------------------------------------------------------------
+   * House rules of RuleSet, click the name of a rule to turn it on or off
+   * @param {String} title - the text of the option
+   * @param {String} help - the help of the rules
+   * @param {Array.<String>} rules - the keys of the rules in this line
+   */
+  addHouseRuleOption(title, help, rules){
+    let pos = this.nextItemPOS;
+    let sp  = new SpriteCanvas(0, 0, this.itemWidth, this.itemHeight);
+    sp.drawText(4, 0, title);
+    sp.setPOS(pos.x, pos.y).help = help;
+
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color.LightSkyBlue;
+    let ruleSprites = [];
+    let refresh = function(){
+      for(let i=0;i<rules.length;++i){
+        let on = GameManager.houseRules[rules[i]];
+        ruleSprites[i].setOpacity(on ? 0xff : sp.translucentAlpha);
+      }
+    }
+    for(let i=0;i<rules.length;++i){
+      let vocab = "Rule" + rules[i].charAt(0).toUpperCase() + rules[i].slice(1);
+      let ts = sp.drawText(170 + i * 96, 0, Vocab[vocab], font);
+      ts.interactive = true;
+      let handler = function(){
+        GameManager.toggleHouseRule(rules[i]);
+        refresh();
+      }
+      ts.on('click', handler);
+      ts.on('tap', handler);
+      ruleSprites.push(ts);
+    }
+    refresh();
+    this.addSelection(sp);
+  }
   /**------------------------------------------------------------------------
    * Max HP at beginning in Battle Puno and Death Match, default is 200
    */
@@ -1320,6 +1568,30 @@ class Window_GameOption extends Window_Selectable{
     ts.on('tap', handler);
     this.addSelection(sp);
   }
+  /**------------------------------------------------------------------------
+   * Seconds the user has for a turn (0~60), default is 0 for no limit
+   */
+  addTurnTimeOption(){
+    let pos = this.nextItemPOS;
+    let sp  = new SpriteCanvas(0, 0, this.itemWidth, this.itemHeight);
+    sp.drawText(4, 0, Vocab["TurnTime"]);
+    sp.setPOS(pos.x, pos.y).help = Vocab["HelpTurnTime"];
+
+    let offset = this.spacing / 2;
+    let value  = GameManager.turnTime;
+    let peak   = GameManager.turnTimePeak;
+    let ts     = this.drawText(410, 0, value);
+    ts.y       = offset;
+    sp.addChild(ts);
+    this.TTBar = new Sprite_DragBar(170, -offset, 250, null, peak[0], peak[1], value);
+    sp.addChild(this.TTBar);
+    this.TTBar.handler = function(v){
+      GameManager.changeGameSetting(GameManager.kTurnTime, parseInt(v));
+      ts.text = parseInt(GameManager.turnTime);
+    }
+    this.TTBar.changeColor(Graphics.color.LightGreen);
+    this.addSelection(sp);
+  }
   /*------------------------------------------------------------------------*/
 }
 /**------------------------------------------------------------------------
@@ -1336,7 +1608,9 @@ class Window_CardSelection extends Window_Selectable{
   }
   /*------------------------------------------------------------------------*/
   addDefaultSelections(){
-    for(let i=0;i<4;++i){
+    // 4 colors, or every opponent as trade target
+    this.selectionNumber = Math.max(4, GameManager.game.players.length - 1);
+    for(let i=0;i<this.selectionNumber;++i){
       this.addDefaultSelection(i);
     }
     this.addCancelSelection();
@@ -1361,6 +1635,9 @@ class Window_CardSelection extends Window_Selectable{
   }
   /*------------------------------------------------------------------------*/
   setupCard(card){
+    if(card.value == Value.SEVEN && GameManager.game.rules.sevenZero){
+      return this.setupPlayerSelection();
+    }
     switch(card.value){
       case Value.WILD:
       case Value.WILD_DRAW_FOUR:
@@ -1378,7 +1655,7 @@ class Window_CardSelection extends Window_Selectable{
   }
   /*------------------------------------------------------------------------*/
   clearSelection(){
-    for(let i=0;i<GameManager.playerNumber;++i){
+    for(let i=0;i<this.selectionNumber;++i){
       let sel = this.getItemBySymbol(i+1);
       sel.text = '';
       sel.off('click');
@@ -1411,20 +1688,25 @@ class Window_CardSelection extends Window_Selectable{
   /*------------------------------------------------------------------------*/
   setupPlayerSelection(){
     this.clearSelection();
-    let alives = GameManager.game.getAlivePlayers();
+    let game   = GameManager.game;
     let txts   = [];
     let cnt    = 1;
-    for(let i in alives){
-      if(alives[i] == GameManager.game.players[0]){continue;}
+    for(let i of game.findTargets(0)){
       let sel = this.getItemBySymbol(cnt++);
-      sel.text = alives[i].name;
-      txts.push(alives[i].name);
+      sel.text = game.players[i].name;
+      txts.push(game.players[i].name);
     }
     debug_log("Ability setup: ", txts);
     this.sortSelections();
     return Effect.TRADE;
   }
   /*------------------------------------------------------------------------*/
+  setupChallengeSelection(){
+    this.clearSelection();
+    this.getItemBySymbol(1).text = Vocab.Challenge;
+    this.sortSelections();
+  }
+  /*------------------------------------------------------------------------*/
   sortSelections(){
     let cnt = 0, pos = {};
     for(let i in this._selections){
@@ -1455,6 +1737,19 @@ class Window_CardSelection extends Window_Selectable{
   get isCurrentItemEnabled(){
     return this.isItemEnabled(this.currentItem);
   }
+  /**------------------------------------------------------------------------
+   * > Pick an option like clicking it, for the number keys
+   * @param {Number} symbol - number of the option, from 1
+   * @returns {boolean} - false if the option isn't shown
+   */
+  callHandler(symbol){
+    let item = this.getItemBySymbol(symbol);
+    if(!item || !this.isItemEnabled(item) || !this._handlers[symbol]){
+      return false;
+    }
+    this._handlers[symbol]();
+    return true;
+  }
   /*------------------------------------------------------------------------*/
 }
 /**
@@ -1473,20 +1768,28 @@ class Window_Scoreboard extends Window_Base{
   }
 
   drawRank(){
-    let ar = this.game.players.slice();
+    let ar = this.getRankEntries();
     if(this.game.gameMode == Mode.TRADITIONAL){
       for(let i in ar){ar[i].score *= -1;}
     }
-    ar.sort(function(a,b){return b.score - a.score});
+    let isBlitz = this.game.gameMode == Mode.BLITZ;
+    // Ties in Blitz go to the fewest points left in hand
+    ar.sort(function(a,b){
+      if(isBlitz && b.score == a.score){return a.handPoints - b.handPoints;}
+      return b.score - a.score;
+    });
     let ww = this.width;
-    let dx = [parseInt(ww * 0.1),  parseInt(ww * 0.25), parseInt(ww * 0.4), parseInt(ww * 0.8)];
+    let dx = [parseInt(ww * 0.1),  parseInt(ww * 0.25), parseInt(ww * 0.4),
+              parseInt(ww * 0.8), parseInt(ww * 0.9)];
     let dy = Graphics.spacing;
     this.drawText(dx[0], dy, Vocab.Rank);
     if(this.game.gameMode != Mode.TRADITIONAL){
       this.drawText(dx[1], dy, "HP");  
     }
-    this.drawText(dx[2], dy, Vocab.Player);
+    let isTeam = this.game.gameMode == Mode.TEAM;
+    this.drawText(dx[2], dy, isTeam ? Vocab.Team : Vocab.Player);
     this.drawText(dx[3], dy, Vocab.Score);
+    if(isBlitz){this.drawText(dx[4], dy, Vocab.HandPoints);}
     dy += this.lineHeight * 2;
     for(let i in ar){
       i = parseInt(i);
@@ -1496,9 +1799,753 @@ class Window_Scoreboard extends Window_Base{
       }
       this.drawText(dx[2], dy, String(ar[i].name));
       this.drawText(dx[3], dy, String(ar[i].score));
+      if(isBlitz){this.drawText(dx[4], dy, String(ar[i].handPoints));}
       dy += this.lineHeight;
     }
     return ar;
   }
+  /**------------------------------------------------------------------------
+   * > The players, or the teams in Mode.TEAM with their members
+   */
+  getRankEntries(){
+    if(this.game.gameMode != Mode.TEAM){return this.game.players.slice();}
+    return this.game.getTeams().map((team)=>{
+      let members = team.map((i)=>this.game.players[i]);
+      return {
+        name: members.map((pl)=>pl.name).join(" & "),
+        hp: members[0].hp,
+        score: members[0].score,
+        members: members
+      };
+    });
+  }
 
-}
\ No newline at end of file
+}/**------------------------------------------------------------------------
+ *  Play/pause, step and speed controls of Scene_Replay
+ */
+class Window_ReplayControl extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.kStepBack    = 'stepBack';
+    this.kPlay        = 'play';
+    this.kStepForward = 'stepForward';
+    this.kSpeed       = 'speed';
+    this.kLeave       = 'leave';
+    this.changeSkin(Graphics.WSkinTrans);
+    this.createSelections();
+  }
+  /*------------------------------------------------------------------------*/
+  get rowMax(){return 3;}
+  /*------------------------------------------------------------------------*/
+  createSelections(){
+    this.addTextSelection({text: '<<', symbol: this.kStepBack});
+    this.playSprite = this.addTextSelection({text: Vocab.Play, symbol: this.kPlay});
+    this.addTextSelection({text: '>>', symbol: this.kStepForward});
+    this.speedSprite = this.addTextSelection({text: 'x1', symbol: this.kSpeed});
+    // Progress of the replay, not selectable
+    let pos = this.nextItemPOS;
+    this.addSelection(null);
+    this.progressSprite = this.drawText(pos.x, pos.y, '');
+    this.addTextSelection({text: Vocab.Back, symbol: this.kLeave});
+  }
+  /*------------------------------------------------------------------------*/
+  refreshStatus(playing, speed, position, total){
+    this.playSprite.text = playing ? Vocab.Pause : Vocab.Play;
+    this.speedSprite.text = 'x' + speed;
+    this.progressSprite.text = position + '/' + total;
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Rooms of the server waiting for players, in Scene_Lobby
+ */
+class Window_RoomList extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.slotNumber = 8;
+    this.changeSkin(Graphics.WSkinLuna);
+    this.drawTitle();
+    this.addSlots();
+  }
+  /*------------------------------------------------------------------------*/
+  drawTitle(){
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color["SlateBlue"];
+    font.fontSize = 28;
+    let ts = this.drawText(0, 4, Vocab["Lobby"], font);
+    ts.x = (this.width - ts.width) / 2;
+    this.addSelection(null);
+  }
+  /**------------------------------------------------------------------------
+   * One row for each room, the symbol is the row number from 1
+   */
+  addSlots(){
+    for(let i=0;i<this.slotNumber;++i){
+      this.addTextSelection({text: '', symbol: i+1});
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  refreshRooms(rooms){
+    for(let i=0;i<this.slotNumber;++i){
+      let sel = this.getItemBySymbol(i+1);
+      sel.room = rooms[i] || null;
+      sel.text = sel.room ? this.getRoomText(sel.room) : '';
+    }
+    if(rooms.length == 0){this.getItemBySymbol(1).text = Vocab.NoRooms;}
+  }
+  /*------------------------------------------------------------------------*/
+  getRoomText(room){
+    let taken = room.seats.filter(function(seat){return seat;}).length;
+    let name  = room.options.name || '-';
+    return `${room.code}  ${name}  ${taken}/${room.seats.length}  ${GameManager.getModeName(room.options.mode)}`;
+  }
+  /*------------------------------------------------------------------------*/
+  get isCurrentItemEnabled(){
+    return !!(this.currentItem && this.currentItem.room);
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Seats of the room joined in Scene_Lobby
+ */
+class Window_RoomSeats extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.slotNumber = GameManager.playerNumberPeak[1];
+    this.changeSkin(Graphics.WSkinLuna);
+    this.drawTitle();
+    this.addSlots();
+  }
+  /*------------------------------------------------------------------------*/
+  drawTitle(){
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color["SlateBlue"];
+    font.fontSize = 28;
+    this.titleSprite = this.drawText(0, 4, '', font);
+    this.addSelection(null);
+  }
+  /**------------------------------------------------------------------------
+   * One row for each seat, the symbol is the seat number from 1
+   */
+  addSlots(){
+    for(let i=0;i<this.slotNumber;++i){
+      this.addTextSelection({text: '', symbol: i+1, help: Vocab.HelpSeat});
+    }
+  }
+  /**------------------------------------------------------------------------
+   * @param {Object} room - room information sent by the server
+   * @param {Number} seat - seat of the user
+   */
+  refreshRoom(room, seat){
+    this.titleSprite.text = `${room.options.name || Vocab.Lobby} (${room.code})`;
+    this.titleSprite.x = (this.width - this.titleSprite.width) / 2;
+    for(let i=0;i<this.slotNumber;++i){
+      let sel = this.getItemBySymbol(i+1);
+      if(i >= room.seats.length){sel.text = ''; continue;}
+      sel.text = (i == seat ? '> ' : '  ') + (i + 1) + '. ' + this.getSeatText(room, i);
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  getSeatText(room, i){
+    let seat = room.seats[i];
+    if(!seat){return Vocab.OpenSeat;}
+    if(seat.cpu){return 'CPU';}
+    if(i == room.host){return `${seat.name} [${Vocab.Host}]`;}
+    return `${seat.name} [${seat.ready ? Vocab.Ready : Vocab.NotReady}]`;
+  }
+  /*------------------------------------------------------------------------*/
+  get isCurrentItemEnabled(){
+    return !!(this.currentItem && this.currentItem.text);
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Commands of Scene_Lobby before joining a room
+ */
+class Window_LobbyCommand extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.kCreate  = 'create';
+    this.kJoin    = 'join';
+    this.kRefresh = 'refresh';
+    this.changeSkin(Graphics.WSkinCelestia);
+    this.createSelections();
+  }
+  /*------------------------------------------------------------------------*/
+  createSelections(){
+    this.addTextSelection({text: Vocab.CreateRoom, symbol: this.kCreate, align: 1});
+    this.addTextSelection({text: Vocab.JoinRoom, symbol: this.kJoin, align: 1});
+    this.addTextSelection({text: Vocab.Refresh, symbol: this.kRefresh, align: 1});
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Commands of Scene_Lobby in a room, fill and start are for the host
+ */
+class Window_RoomCommand extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.kReady = 'ready';
+    this.kFill  = 'fill';
+    this.kStart = 'start';
+    this.kLeave = 'leave';
+    this.changeSkin(Graphics.WSkinCelestia);
+    this.createSelections();
+  }
+  /*------------------------------------------------------------------------*/
+  createSelections(){
+    this.readySprite = this.addTextSelection({text: Vocab.Ready, symbol: this.kReady, align: 1});
+    this.fillSprite  = this.addTextSelection({text: Vocab.FillCPU, symbol: this.kFill, align: 1});
+    this.startSprite = this.addTextSelection({text: Vocab.StartOnline, symbol: this.kStart, align: 1});
+    this.addTextSelection({text: Vocab.Leave, symbol: this.kLeave, align: 1});
+  }
+  /**------------------------------------------------------------------------
+   * The commands the user can't use are translucent
+   */
+  refreshStatus(host, ready){
+    this.readySprite.text = ready ? Vocab.NotReady : Vocab.Ready;
+    this.readySprite.setOpacity(host ? 0.5 : 1);
+    this.fillSprite.setOpacity(host ? 1 : 0.5);
+    this.startSprite.setOpacity(host ? 1 : 0.5);
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Card types of Scene_DeckBuilder with their copies, the symbol of a row
+ *  is the name of the card value
+ */
+class Window_DeckCards extends Window_Selectable{
+  /**------------------------------------------------------------------------
+   * @param {Array.<Object>} definitions - the CardDefinition of the rows
+   */
+  constructor(x, y, w, h, definitions){
+    super(x, y, w, h);
+    this.definitions = definitions;
+    this.previewHandler = null;
+    this.changeSkin(Graphics.WSkinLuna);
+    this.addRows();
+  }
+  /*------------------------------------------------------------------------*/
+  addRows(){
+    for(let i=0;i<this.definitions.length;++i){
+      let sel = this.addTextSelection({
+        text: '', symbol: this.definitions[i].name, help: Vocab.HelpDeckCard
+      });
+      sel.definition = this.definitions[i];
+    }
+  }
+  /**------------------------------------------------------------------------
+   * @param {Object} copies - copies of each card value name
+   */
+  refreshCopies(copies){
+    for(let i=0;i<this.definitions.length;++i){
+      let definition = this.definitions[i];
+      let sel = this.getItemByIndex(i);
+      sel.text = Vocab.getValueName(definition.name) + '  x' + copies[definition.name];
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  select(idx, se = true){
+    super.select(idx, se);
+    if(idx >= 0 && this.previewHandler){
+      this.previewHandler(this.currentItem.definition);
+    }
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Size of the deck and commands of the presets in Scene_DeckBuilder
+ */
+class Window_DeckCommand extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.kLoad   = 'load';
+    this.kSave   = 'save';
+    this.kDelete = 'delete';
+    this.kReset  = 'reset';
+    this.changeSkin(Graphics.WSkinCelestia);
+    this.createSelections();
+  }
+  /*------------------------------------------------------------------------*/
+  createSelections(){
+    // Size of the deck, not selectable
+    let pos = this.nextItemPOS;
+    this.addSelection(null);
+    this.countSprite = this.drawText(pos.x, pos.y, '');
+    this.addTextSelection({text: Vocab.LoadPreset, symbol: this.kLoad,
+                           align: 1, help: Vocab.HelpLoadPreset});
+    this.addTextSelection({text: Vocab.SavePreset, symbol: this.kSave,
+                           align: 1, help: Vocab.HelpSavePreset});
+    this.addTextSelection({text: Vocab.DeletePreset, symbol: this.kDelete,
+                           align: 1, help: Vocab.HelpDeletePreset});
+    this.addTextSelection({text: Vocab.ResetDeck, symbol: this.kReset,
+                           align: 1, help: Vocab.HelpResetDeck});
+  }
+  /**------------------------------------------------------------------------
+   * The size is red when there aren't enough colored cards to deal
+   */
+  refreshCount(count, playable){
+    this.countSprite.text = `${Vocab.DeckSize}: ${count.total}  ` +
+                            `${Vocab.ColoredCards}: ${count.colored}`;
+    this.countSprite.style.fill = playable ? Graphics.color.LightGreen : Graphics.color.Red;
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  The puzzles of Scene_PuzzleSelect, the symbol of a row is the id of the
+ *  puzzle and the cleared ones are marked
+ */
+class Window_PuzzleList extends Window_Selectable{
+  /**------------------------------------------------------------------------
+   * @param {Array.<Object>} puzzles - parsed by Scenario
+   */
+  constructor(x, y, w, h, puzzles){
+    super(x, y, w, h);
+    this.puzzles = puzzles;
+    this.changeSkin(Graphics.WSkinLuna);
+    this.addRows();
+  }
+  /*------------------------------------------------------------------------*/
+  addRows(){
+    for(let i=0;i<this.puzzles.length;++i){
+      let puzzle = this.puzzles[i];
+      let cleared = GameManager.isPuzzleCleared(puzzle.id);
+      let text = Vocab.localize(puzzle.name);
+      if(cleared){text += ` (${Vocab.Cleared})`;}
+      let sel = this.addTextSelection({
+        text: text, symbol: puzzle.id, help: Vocab.localize(puzzle.description)
+      });
+      if(cleared){sel.style.fill = Graphics.color.LightGreen;}
+      sel.puzzle = puzzle;
+    }
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  The stages of Scene_CampaignMap along a trail, the symbol of a stage is
+ *  its id. The locked ones can't be played.
+ */
+class Window_CampaignMap extends Window_Selectable{
+  /**------------------------------------------------------------------------
+   * @param {Array.<Object>} stages - parsed by Campaign
+   */
+  constructor(x, y, w, h, stages){
+    super(x, y, w, h);
+    this.stages = stages;
+    this.previewHandler = null;
+    this.changeSkin(Graphics.WSkinTrans);
+    this.drawTrail();
+    this.addStages();
+  }
+  /*------------------------------------------------------------------------*/
+  get itemWidth(){return 240;}
+  /**------------------------------------------------------------------------
+   * > The stages go from left to right, up and down in turns
+   */
+  getIndexItemPOS(index){
+    let step = (this.contentWidth - this.itemWidth) / Math.max(1, this.stages.length - 1);
+    let nx = this.padding / 2 + index * step;
+    let ny = this.padding / 2 + (this.contentHeight - this.itemHeight) * (index % 2 ? 0.75 : 0.15);
+    return {x: nx, y: ny};
+  }
+  /*------------------------------------------------------------------------*/
+  cursorRect(index){
+    let rect = super.cursorRect(index);
+    rect.width = this.itemWidth;
+    return rect;
+  }
+  /**------------------------------------------------------------------------
+   * > The path between the stages, lit up to the last one unlocked
+   */
+  drawTrail(){
+    let trail = new PIXI.Graphics();
+    for(let i=1;i<this.stages.length;++i){
+      let a = this.cursorRect(i - 1), b = this.cursorRect(i);
+      let lit = GameManager.isCampaignStageUnlocked(this.stages[i]);
+      trail.lineStyle(6, lit ? Graphics.color.Gold : Graphics.color.DimGray, 0.8);
+      trail.moveTo(a.x + a.width / 2, a.y + a.height / 2);
+      trail.lineTo(b.x + b.width / 2, b.y + b.height / 2);
+    }
+    this.trailSprite = trail.setZ(1);
+    this.addChild(trail);
+  }
+  /*------------------------------------------------------------------------*/
+  addStages(){
+    for(let i=0;i<this.stages.length;++i){
+      let stage = this.stages[i];
+      let sel = this.addTextSelection({
+        text: `${i+1}. ${Vocab.localize(stage.name)}`, symbol: stage.id,
+        help: Vocab.localize(stage.description)
+      });
+      let progress = GameManager.campaignProgress[stage.id];
+      if(!GameManager.isCampaignStageUnlocked(stage)){
+        sel.style.fill = Graphics.color.DimGray;
+        sel.help = Vocab.StageLocked;
+      }
+      else if(progress && progress.cleared){sel.style.fill = Graphics.color.LightGreen;}
+      sel.stage = stage;
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  select(idx, se = true){
+    super.select(idx, se);
+    if(idx >= 0 && this.previewHandler){
+      this.previewHandler(this.currentItem.stage);
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  get isCurrentItemEnabled(){
+    return !!(this.currentItem && GameManager.isCampaignStageUnlocked(this.currentItem.stage));
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Rules, opponents and best results of the stage hovered in
+ *  Scene_CampaignMap, the color of an opponent is its difficulty
+ */
+class Window_CampaignStage extends Window_Base{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.changeSkin(Graphics.WSkinLuna);
+  }
+  /**------------------------------------------------------------------------
+   * @param {Object} stage - parsed by Campaign, null to clear the window
+   */
+  refreshStage(stage){
+    this.clear();
+    if(!stage){return ;}
+    let colors = [Graphics.color.LightGreen, Graphics.color.Gold, Graphics.color.Red];
+    let dy = 0;
+    this.drawText(0, dy, Vocab.localize(stage.name));
+    dy += this.lineHeight + this.spacing;
+    this.drawText(0, dy, `${Vocab.GameMode}: ${GameManager.getModeName(stage.mode)}`);
+    dy += this.lineHeight;
+    if(stage.mode != Mode.TRADITIONAL){
+      this.drawText(0, dy, `HP: ${stage.initHP}  ${Vocab.Score}: ${stage.scoreGoal}`);
+      dy += this.lineHeight;
+    }
+    dy += this.spacing;
+    this.drawText(0, dy, Vocab.Opponents);
+    for(let i=0;i<stage.opponents.length;++i){
+      let font = clone(Graphics.DefaultFontSetting);
+      font.fill = colors[stage.opponents[i].difficulty];
+      this.drawText(this.spacing * 2, dy + this.lineHeight * (i + 1), stage.opponents[i].name, font);
+    }
+    dy += this.lineHeight * (stage.opponents.length + 1) + this.spacing;
+    let progress = GameManager.campaignProgress[stage.id];
+    if(progress){
+      this.drawText(0, dy, `${Vocab.BestRank}: ${progress.bestRank}  ${Vocab.BestScore}: ${progress.bestScore}`);
+    }
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Lifetime totals of Scene_Stats, and the win rate of each mode
+ */
+class Window_StatsTotal extends Window_Base{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.changeSkin(Graphics.WSkinLuna);
+  }
+  /**------------------------------------------------------------------------
+   * @param {Object} total - GameManager.lifetimeStats
+   */
+  refreshTotal(total){
+    this.clear();
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color["SlateBlue"];
+    let dy = 0;
+    this.drawText(0, dy, Vocab.Lifetime, font);
+    dy += this.lineHeight + this.spacing;
+    let lines = [
+      `${Vocab.Matches}: ${total.matches}`,
+      `${Vocab.Wins}: ${total.wins} (${this.getRate(total.wins, total.matches)})`,
+      `${Vocab.Rounds}: ${total.rounds}`,
+      `${Vocab.DamageDealt}: ${total.damageDealt}`,
+      `${Vocab.DamageTaken}: ${total.damageTaken}`,
+      `${Vocab.KnockOuts}: ${total.knockOuts}`,
+      `${Vocab.FavoriteCard}: ${this.getFavoriteCard(total.cardsPlayed)}`,
+    ];
+    for(let i=0;i<lines.length;++i){
+      this.drawText(0, dy, lines[i]);
+      dy += this.lineHeight;
+    }
+    dy += this.spacing;
+    this.drawText(0, dy, Vocab.WinRate, font);
+    dy += this.lineHeight + this.spacing;
+    for(let mode in total.modes){
+      let m = total.modes[mode];
+      this.drawText(0, dy, `${GameManager.getModeName(mode)}: ${m.won}/${m.played} (${this.getRate(m.won, m.played)})`);
+      dy += this.lineHeight;
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  getRate(n, total){
+    if(total == 0){return '-';}
+    return Math.round(n * 100 / total) + '%';
+  }
+  /**------------------------------------------------------------------------
+   * > The card type played the most
+   * @param {Object} cards - copies played of each card value name
+   */
+  getFavoriteCard(cards){
+    let best = null;
+    for(let name in cards){
+      if(!best || cards[name] > cards[best]){best = name;}
+    }
+    if(!best){return '-';}
+    return `${Vocab.getValueName(best)} (${cards[best]})`;
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  The matches of Scene_Stats, the latest first, scrolled with the mouse
+ *  wheel. The symbol of a row is its number from 1.
+ */
+class Window_MatchHistory extends Window_Selectable{
+  /**------------------------------------------------------------------------
+   * @param {Array.<Object>} matches - GameManager.matchHistory
+   */
+  constructor(x, y, w, h, matches){
+    super(x, y, w, h);
+    this.slotNumber = 12;
+    this.topIndex   = 0;
+    this.matches    = matches;
+    this.previewHandler = null;
+    this.changeSkin(Graphics.WSkinLuna);
+    this.drawTitle();
+    this.addSlots();
+    this.refreshMatches();
+  }
+  /*------------------------------------------------------------------------*/
+  drawTitle(){
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color["SlateBlue"];
+    this.titleSprite = this.drawText(0, 0, '', font);
+    this.addSelection(null);
+  }
+  /*------------------------------------------------------------------------*/
+  addSlots(){
+    for(let i=0;i<this.slotNumber;++i){
+      this.addTextSelection({text: '', symbol: i+1});
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  refreshMatches(){
+    let last = Math.min(this.topIndex + this.slotNumber, this.matches.length);
+    this.titleSprite.text = `${Vocab.MatchHistory} ${this.topIndex + 1}-${last}/${this.matches.length}`;
+    for(let i=0;i<this.slotNumber;++i){
+      let sel = this.getItemBySymbol(i+1);
+      sel.match = this.matches[this.topIndex + i] || null;
+      sel.text = sel.match ? this.getMatchText(sel.match) : '';
+      let won = sel.match && sel.match.rank == 1;
+      sel.style.fill = won ? Graphics.color.LightGreen : Graphics.DefaultFontSetting.fill;
+    }
+    if(this.matches.length == 0){
+      this.titleSprite.text = Vocab.MatchHistory;
+      this.getItemBySymbol(1).text = Vocab.NoMatches;
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  getMatchText(match){
+    let date = new Date(match.date).toLocaleDateString();
+    return `${date}  ${GameManager.getModeName(match.mode)}  ${match.rank}/${match.ranking.length}`;
+  }
+  /*------------------------------------------------------------------------*/
+  update(){
+    super.update();
+    if(!this.isActive() || !Input.isMouseInArea(this.rect)){return ;}
+    if(Input.isWheelUp()){this.scroll(-1);}
+    else if(Input.isWheelDown()){this.scroll(1);}
+  }
+  /*------------------------------------------------------------------------*/
+  scroll(n){
+    let top = Math.max(0, Math.min(this.topIndex + n, this.matches.length - this.slotNumber));
+    if(top == this.topIndex){return ;}
+    this.topIndex = top;
+    this.refreshMatches();
+    if(this.index >= 0){this.select(this.index, false);}
+  }
+  /*------------------------------------------------------------------------*/
+  select(idx, se = true){
+    super.select(idx, se);
+    if(idx >= 0 && this.currentItem && this.currentItem.match && this.previewHandler){
+      this.previewHandler(this.currentItem.match);
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  get isCurrentItemEnabled(){
+    return !!(this.currentItem && this.currentItem.match);
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  Settings, ranking and numbers of the match hovered in Scene_Stats
+ */
+class Window_MatchDetail extends Window_Base{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.changeSkin(Graphics.WSkinLuna);
+  }
+  /**------------------------------------------------------------------------
+   * @param {Object} match - an entry of GameManager.matchHistory
+   */
+  refreshMatch(match){
+    this.clear();
+    let font = clone(Graphics.DefaultFontSetting);
+    font.fill = Graphics.color["SlateBlue"];
+    let dy = 0;
+    this.drawText(0, dy, `${new Date(match.date).toLocaleString()}`, font);
+    dy += this.lineHeight + this.spacing;
+    let rules = Object.keys(match.rules).filter(function(key){return match.rules[key];});
+    rules = rules.map(function(key){return Vocab["Rule" + key.charAt(0).toUpperCase() + key.slice(1)];});
+    let lines = [
+      `${GameManager.getModeName(match.mode)}  ${Vocab.PlayerNumber}: ${match.players}`,
+      `${Vocab.InitHP}: ${match.initHP}  ${Vocab.InitHandCard}: ${match.initCardNumber}`,
+      `${Vocab.ScoreGoal}: ${match.scoreGoal}  ${Vocab.Deck}: ${match.deckPreset || Vocab.StandardDeck}`,
+      `${Vocab.HouseRules}: ${rules.join(', ') || '-'}`,
+      `${Vocab.Rounds}: ${match.rounds}  ${Vocab.KnockOuts}: ${match.knockOuts}`,
+      `${Vocab.DamageDealt}: ${match.damageDealt}  ${Vocab.DamageTaken}: ${match.damageTaken}`,
+    ];
+    for(let i=0;i<lines.length;++i){
+      this.drawText(0, dy, lines[i]);
+      dy += this.lineHeight;
+    }
+    dy += this.spacing;
+    for(let i=0;i<match.ranking.length;++i){
+      let entry = match.ranking[i];
+      let hp = match.mode == Mode.TRADITIONAL ? '' : `  HP ${entry.hp}`;
+      this.drawText(0, dy, `${i+1}. ${entry.name}  ${entry.score}${hp}`);
+      dy += this.lineHeight;
+    }
+    dy += this.spacing;
+    let cards = Object.keys(match.cardsPlayed).sort(function(a, b){return Value[a] - Value[b];});
+    cards = cards.map(function(name){
+      return Vocab.getValueName(name) + ' x' + match.cardsPlayed[name];
+    });
+    this.drawText(0, dy, `${Vocab.CardsPlayed}: ${cards.join(', ') || '-'}`, null, true);
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  The achievements in Scene_Achievements, the ones unlocked in green and
+ *  the others grayed out. Hover one to see how it's unlocked.
+ */
+class Window_AchievementGallery extends Window_Selectable{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.changeSkin(Graphics.WSkinLuna);
+    this.addRows();
+  }
+  /**------------------------------------------------------------------------
+   * > Name and help of the achievement
+   * @param {String} id - one of Achievement
+   */
+  static getVocab(id){
+    switch(id){
+      case Achievement.LAST_STAND:
+        return [Vocab.LastStand, Vocab.HelpLastStand];
+      case Achievement.CLEAN_SWEEP:
+        return [Vocab.CleanSweep, Vocab.HelpCleanSweep];
+      case Achievement.MIRROR_MATCH:
+        return [Vocab.MirrorMatch, Vocab.HelpMirrorMatch];
+      case Achievement.HAND_ME_DOWN:
+        return [Vocab.HandMeDown, Vocab.HelpHandMeDown];
+      case Achievement.HEAVY_HITTER:
+        return [Vocab.HeavyHitter, Vocab.HelpHeavyHitter];
+      case Achievement.TRIPLE_KNOCKOUT:
+        return [Vocab.TripleKnockOut, Vocab.HelpTripleKnockOut];
+      default:
+        return [id, ''];
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  addRows(){
+    for(let id of Object.values(Achievement)){
+      let [name, help] = Window_AchievementGallery.getVocab(id);
+      let date = GameManager.achievements[id];
+      if(date){help += ` (${Vocab.Unlocked}: ${new Date(date).toLocaleDateString()})`;}
+      let sel = this.addTextSelection({text: name, symbol: id, help: help});
+      sel.style.fill = date ? Graphics.color.LightGreen : Graphics.color.Gray;
+    }
+  }
+  /*------------------------------------------------------------------------*/
+}
+/**------------------------------------------------------------------------
+ *  The log of what happens on the table in Scene_Game, the latest entry
+ *  first. Scroll it with the mouse wheel.
+ */
+class Window_ActionLog extends Window_Base{
+  /*------------------------------------------------------------------------*/
+  constructor(x, y, w, h){
+    super(x, y, w, h);
+    this.maxEntries = 200;
+    this.entries    = [];
+    this.topIndex   = 0;
+    this.font = clone(Graphics.DefaultFontSetting);
+    this.font.fontSize = 16;
+    this.font.align = 'left';
+    this.changeSkin(Graphics.WSkinTrans);
+  }
+  /*------------------------------------------------------------------------*/
+  addEntry(text){
+    this.entries.unshift(text);
+    if(this.entries.length > this.maxEntries){this.entries.pop();}
+    // Keep the entries being read in place
+    if(this.topIndex > 0){this.topIndex = Math.min(this.topIndex + 1, this.entries.length - 1);}
+    this.refreshEntries();
+  }
+  /*------------------------------------------------------------------------*/
+  clearEntries(){
+    this.entries  = [];
+    this.topIndex = 0;
+    this.refreshEntries();
+  }
+  /**------------------------------------------------------------------------
+   * > Redrawn only while shown, see show
+   */
+  refreshEntries(){
+    if(!this.visible){return ;}
+    this.clear();
+    let dy = 0;
+    for(let i=this.topIndex;i<this.entries.length;++i){
+      let txt = this.drawText(0, dy, this.entries[i], this.font, true);
+      dy += txt.height;
+      if(dy > this.contentHeight){
+        txt.hide();
+        break;
+      }
+    }
+  }
+  /*------------------------------------------------------------------------*/
+  show(){
+    super.show();
+    this.refreshEntries();
+    return this;
+  }
+  /*------------------------------------------------------------------------*/
+  update(){
+    super.update();
+    if(!this.visible || !Input.isMouseInArea(this.rect)){return ;}
+    if(Input.isWheelUp()){this.scroll(-1);}
+    else if(Input.isWheelDown()){this.scroll(1);}
+  }
+  /*------------------------------------------------------------------------*/
+  scroll(n){
+    let top = Math.max(0, Math.min(this.topIndex + n, this.entries.length - 1));
+    if(top == this.topIndex){return ;}
+    this.topIndex = top;
+    this.refreshEntries();
+  }
+  /*------------------------------------------------------------------------*/
+}
@@ -1,12 +1,29 @@
 // Run this script if need to test on local machine
-// type in command: 
+// type in command:
 // node server.js
+//
+// It also hosts the game rooms for LAN play, the browsers connect to
+// ws://<host>:8080 (see src/room.js)
 
+var http = require('http');
 var connect = require('connect');
 var serveStatic = require('serve-static');
-connect().use(serveStatic(__dirname)).listen(8080, function(){
+var handleUpgrade = require('./src/websocket.js').handleUpgrade;
+var RoomManager = require('./src/room.js').RoomManager;
+
+var app = connect().use(serveStatic(__dirname));
+var server = http.createServer(app);
+var rooms = new RoomManager();
+
+server.on('upgrade', function(req, socket){
+  handleUpgrade(req, socket, function(connection){
+    rooms.connect(connection);
+  });
+});
+
+server.listen(8080, function(){
     console.log('Server running on 8080...');
 });
 
 // URL should be:
-// http://localhost:8080/index.html
\ No newline at end of file
+// http://localhost:8080/index.html
@@ -0,0 +1,368 @@
+// Plays AI-vs-AI games without the browser and reports the statistics,
+// to balance the game modes and card values with data.
+// type in command:
+// node simulate.js [options]
+//
+// Options (default in brackets):
+//   --games N           number of games to play [1000]
+//   --mode M            traditional, battle_puno, death_match, team or blitz
+//                       [battle_puno]
+//   --cards N           initCardNumber [7]
+//   --hp N              initHP [200]
+//   --goal N            scoreGoal [500]
+//   --no-extra          extraCardDisabled
+//   --players N         table size, 2 to 8, always 4 in team [4]
+//   --ai LIST           difficulty of each seat, e.g. easy,normal,hard [normal]
+//   --rules LIST        house rules turned on, e.g. stacking,jumpIn, or none
+//                       [the ones of the mode]
+//   --seed N            game k is played with seed N+k [random]
+//   --time N            match clock of blitz in seconds [300]
+//   --turn-time N       seconds each turn takes off the blitz clock [5]
+//   --max-turns N       give up a game after N turns [10000]
+//   --json              print the report as JSON
+
+const {Value, Effect, getCardEffects, Mode, RuleSet, Difficulty, Random,
+       GameListener, PunoGame} = require('./src/headless.js');
+
+/**
+ * Collects what happens in one game
+ */
+class SimulationListener extends GameListener {
+  constructor(numPlayers, turnTime) {
+    super();
+    this.turnTime = turnTime;
+    this.rounds = 0;
+    this.turns = 0;
+    this.knockOuts = new Array(numPlayers).fill(0);
+    this.values = {};
+    this.effects = {};
+    this.challenges = 0;
+    this.bluffsCaught = 0;
+    this.unoCatches = 0;
+  }
+
+  onRoundStart() {
+    ++this.rounds;
+  }
+
+  // There are no frames to count, every turn takes the same time
+  onTurnEnd(playerIndex) {
+    ++this.turns;
+    this.game.tick(this.turnTime);
+  }
+
+  onCardPlay(playerIndex, card, ext=null) {
+    if (playerIndex < 0) {
+      return;
+    }
+    this.values[card.value] = (this.values[card.value] || 0) + 1;
+    const effects = getCardEffects(card, ext, this.game.rules,
+                                   this.game.gameMode);
+    for (let i in effects) {
+      this.effects[effects[i]] = (this.effects[effects[i]] || 0) + 1;
+    }
+  }
+
+  onChallenge(playerIndex, targetIndex, success) {
+    ++this.challenges;
+    if (success) {
+      ++this.bluffsCaught;
+    }
+  }
+
+  onUnoCatch(playerIndex, targetIndex) {
+    ++this.unoCatches;
+  }
+
+  processRoundOver() {
+    this.countKnockOuts();
+  }
+
+  processGameOver() {
+    this.countKnockOuts();
+  }
+
+  countKnockOuts() {
+    for (let i in this.game.players) {
+      if (this.game.players[i].knockOut) {
+        ++this.knockOuts[i];
+      }
+    }
+  }
+}
+
+function parseArguments(argv) {
+  let args = {
+    games: 1000,
+    mode: Mode.BATTLE_PUNO,
+    cards: 7,
+    hp: 200,
+    goal: 500,
+    extraCardDisabled: false,
+    players: 4,
+    ai: ['normal'],
+    rules: null,
+    seed: Random.newSeed(),
+    time: PunoGame.blitzTimeLimit,
+    turnTime: 5,
+    maxTurns: 10000,
+    json: false
+  };
+  for (let i = 2; i < argv.length; ++i) {
+    const key = argv[i];
+    if (key === '--no-extra') {
+      args.extraCardDisabled = true;
+    } else if (key === '--json') {
+      args.json = true;
+    } else if (key === '--mode') {
+      args.mode = Mode[String(argv[++i]).toUpperCase()];
+    } else if (key === '--ai') {
+      args.ai = String(argv[++i]).split(',');
+    } else if (key === '--rules') {
+      args.rules = {};
+      for (let rule of String(argv[++i]).split(',')) {
+        if (RuleSet.keys.indexOf(rule) > -1) {
+          args.rules[rule] = true;
+        } else if (rule !== 'none') {
+          throw new Error(`Unknown rule: ${rule}, use ${RuleSet.keys.join(', ')}`);
+        }
+      }
+      // Only the rules listed are on
+      for (let rule of RuleSet.keys) {
+        args.rules[rule] = !!args.rules[rule];
+      }
+    } else if (key === '--max-turns') {
+      args.maxTurns = parseInt(argv[++i]);
+    } else if (key === '--turn-time') {
+      args.turnTime = parseInt(argv[++i]);
+    } else if (['--games', '--cards', '--hp', '--goal', '--players',
+                '--seed', '--time'].indexOf(key) > -1) {
+      args[key.slice(2)] = parseInt(argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${key}`);
+    }
+  }
+  if (args.mode === undefined) {
+    throw new Error('Unknown mode, use traditional, battle_puno, death_match, team or blitz');
+  }
+  if (args.mode === Mode.TEAM) {
+    args.players = PunoGame.numTeamPlayers;
+  }
+  args.difficulties = [];
+  for (let i = 0; i < args.players; ++i) {
+    const name = args.ai[Math.min(i, args.ai.length - 1)];
+    const difficulty = Difficulty[name.toUpperCase()];
+    if (difficulty === undefined) {
+      throw new Error(`Unknown difficulty: ${name}`);
+    }
+    args.difficulties.push(difficulty);
+  }
+  return args;
+}
+
+// Lowest score wins in traditional mode, highest in the others, and in
+// blitz the fewest points left in hand break the ties. Both partners share
+// their score in team mode, so the seats of the team all win.
+function findWinners(game) {
+  const scores = game.scoreBoard();
+  const best = game.gameMode === Mode.TRADITIONAL ? Math.min(...scores)
+                                                  : Math.max(...scores);
+  let winner = scores.indexOf(best);
+  if (game.gameMode === Mode.BLITZ) {
+    for (let i in game.players) {
+      if (scores[i] === best &&
+          game.players[i].handPoints < game.players[winner].handPoints) {
+        winner = parseInt(i);
+      }
+    }
+  }
+  return game.getTeams()[game.teamOf(winner)];
+}
+
+function playGame(args, seed) {
+  let listener = new SimulationListener(args.players, args.turnTime);
+  let game = new PunoGame(args.cards, args.hp, args.goal,
+                          args.extraCardDisabled, args.mode, {
+    listener: listener,
+    seed: seed,
+    numPlayers: args.players,
+    difficulties: args.difficulties,
+    rules: args.rules,
+    timeLimit: args.time
+  });
+  listener.game = game;
+  game.players[0].ai = true;
+  game.gameStart();
+  while (!game.gameOver && listener.turns < args.maxTurns) {
+    game.roundOver ? game.roundStart() : game.update();
+  }
+  return {
+    finished: game.gameOver,
+    winners: game.gameOver ? findWinners(game) : [],
+    listener: listener
+  };
+}
+
+function percent(n, total) {
+  return total ? Math.round(n * 1000 / total) / 10 : 0;
+}
+
+// Enum name of each id
+function invert(enumeration) {
+  let names = {};
+  for (let key in enumeration) {
+    names[enumeration[key]] = key;
+  }
+  return names;
+}
+
+function simulate(args) {
+  const difficultyNames = invert(Difficulty);
+  let finished = 0, rounds = 0, turns = 0, knockOutRounds = 0;
+  let seatWins = new Array(args.players).fill(0);
+  let seatKnockOuts = new Array(args.players).fill(0);
+  let strategyWins = {}, strategySeats = {};
+  let values = {}, effects = {};
+  let challenges = 0, bluffsCaught = 0, unoCatches = 0;
+  for (let i in args.difficulties) {
+    const name = difficultyNames[args.difficulties[i]];
+    strategyWins[name] = 0;
+    strategySeats[name] = (strategySeats[name] || 0) + 1;
+  }
+
+  for (let k = 0; k < args.games; ++k) {
+    const result = playGame(args, args.seed + k);
+    const listener = result.listener;
+    rounds += listener.rounds;
+    turns += listener.turns;
+    for (let i in listener.knockOuts) {
+      seatKnockOuts[i] += listener.knockOuts[i];
+    }
+    knockOutRounds += listener.knockOuts.reduce((a, b) => a + b, 0);
+    challenges += listener.challenges;
+    bluffsCaught += listener.bluffsCaught;
+    unoCatches += listener.unoCatches;
+    for (let v in listener.values) {
+      values[v] = (values[v] || 0) + listener.values[v];
+    }
+    for (let e in listener.effects) {
+      effects[e] = (effects[e] || 0) + listener.effects[e];
+    }
+    if (!result.finished) {
+      continue;
+    }
+    ++finished;
+    for (let winner of result.winners) {
+      ++seatWins[winner];
+      ++strategyWins[difficultyNames[args.difficulties[winner]]];
+    }
+  }
+
+  const totalPlays = Object.values(values).reduce((a, b) => a + b, 0);
+  let report = {
+    settings: {
+      games: args.games,
+      mode: invert(Mode)[args.mode],
+      initCardNumber: args.cards,
+      initHP: args.hp,
+      scoreGoal: args.goal,
+      timeLimit: args.time,
+      extraCardDisabled: args.extraCardDisabled,
+      players: args.players,
+      rules: (args.rules ? new RuleSet(args.rules)
+                         : RuleSet.forMode(args.mode)).serialize(),
+      seed: args.seed
+    },
+    unfinished: args.games - finished,
+    averageRounds: rounds / args.games,
+    averageTurns: turns / args.games,
+    knockOutsPerRound: knockOutRounds / Math.max(1, rounds),
+    challengesPerGame: challenges / args.games,
+    bluffsCaughtRate: percent(bluffsCaught, challenges),
+    unoCatchesPerGame: unoCatches / args.games,
+    seats: [],
+    strategies: [],
+    values: [],
+    effects: []
+  };
+  for (let i = 0; i < args.players; ++i) {
+    report.seats.push({
+      seat: i,
+      strategy: difficultyNames[args.difficulties[i]],
+      winRate: percent(seatWins[i], finished),
+      knockOutRate: percent(seatKnockOuts[i], rounds)
+    });
+  }
+  for (let name in strategyWins) {
+    // Win rate per seat, so levels with more seats are comparable
+    report.strategies.push({
+      strategy: name,
+      seats: strategySeats[name],
+      winRate: percent(strategyWins[name] / strategySeats[name], finished)
+    });
+  }
+  const valueNames = invert(Value);
+  for (let v in values) {
+    report.values.push({value: valueNames[v], count: values[v],
+                        rate: percent(values[v], totalPlays)});
+  }
+  const effectNames = invert(Effect);
+  for (let e in effects) {
+    report.effects.push({effect: effectNames[e], count: effects[e],
+                         perGame: effects[e] / args.games});
+  }
+  return report;
+}
+
+function printReport(report) {
+  const s = report.settings;
+  console.log(`${s.games} games of ${s.mode}, ${s.players} players, ` +
+              `${s.initCardNumber} cards, ${s.initHP} HP, goal ${s.scoreGoal}, ` +
+              `extra cards ${s.extraCardDisabled ? 'off' : 'on'}, seed ${s.seed}`);
+  const rules = RuleSet.keys.filter(rule => s.rules[rule]);
+  console.log(`House rules: ${rules.length ? rules.join(', ') : 'none'}`);
+  if (s.mode === 'BLITZ') {
+    console.log(`Match clock: ${s.timeLimit}s`);
+  }
+  if (report.unfinished > 0) {
+    console.log(`Unfinished games: ${report.unfinished}`);
+  }
+  console.log(`Average rounds: ${report.averageRounds.toFixed(2)}`);
+  console.log(`Average turns: ${report.averageTurns.toFixed(1)}`);
+  console.log(`Knockouts per round: ${report.knockOutsPerRound.toFixed(3)}`);
+  console.log(`Challenges per game: ${report.challengesPerGame.toFixed(2)}, ` +
+              `${report.bluffsCaughtRate}% caught a bluff`);
+  console.log(`Caught without PUNO per game: ${report.unoCatchesPerGame.toFixed(2)}`);
+  console.log('\nSeat  Strategy  Win %  Knockout %');
+  for (let i in report.seats) {
+    const r = report.seats[i];
+    console.log(`${String(r.seat).padEnd(6)}${r.strategy.padEnd(10)}` +
+                `${String(r.winRate).padStart(5)}  ${String(r.knockOutRate).padStart(10)}`);
+  }
+  console.log('\nStrategy  Seats  Win % per seat');
+  for (let i in report.strategies) {
+    const r = report.strategies[i];
+    console.log(`${r.strategy.padEnd(10)}${String(r.seats).padStart(5)}  ` +
+                `${String(r.winRate).padStart(14)}`);
+  }
+  console.log('\nValue            Plays  % of plays');
+  for (let i in report.values) {
+    const r = report.values[i];
+    console.log(`${r.value.padEnd(15)}${String(r.count).padStart(7)}  ` +
+                `${String(r.rate).padStart(10)}`);
+  }
+  console.log('\nEffect             Fired  Per game');
+  for (let i in report.effects) {
+    const r = report.effects[i];
+    console.log(`${r.effect.padEnd(17)}${String(r.count).padStart(7)}  ` +
+                `${r.perGame.toFixed(2).padStart(8)}`);
+  }
+}
+
+const args = parseArguments(process.argv);
+const report = simulate(args);
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
@@ -0,0 +1,195 @@
+/**
+ * The ids of the achievements, saved with the ones unlocked
+ * @enum {string}
+ */
+const Achievement = {
+  LAST_STAND: 'lastStand',            // Win a Battle Puno round at 1 HP
+  CLEAN_SWEEP: 'cleanSweep',          // Discard 6 cards with one Discard All
+  MIRROR_MATCH: 'mirrorMatch',        // Reflect a +4 with Reverse in Death Match
+  HAND_ME_DOWN: 'handMeDown',         // Give away 10 cards with one Trade
+  HEAVY_HITTER: 'heavyHitter',        // Deal 100 damage with one hit
+  TRIPLE_KNOCKOUT: 'tripleKnockOut'   // Knock out 3 players in one match
+};
+
+/**
+ * Watches the events of the user's game (player 0) for the achievements and
+ * passes them on to another listener, the same way as ReplayRecorder.
+ * onUnlock is called once for each achievement that wasn't unlocked yet.
+ */
+class AchievementTracker extends GameListener {
+  constructor(listener=new GameListener(), unlocked=[], onUnlock=null) {
+    super();
+    this.listener = listener;
+    this.unlocked = new Set(unlocked);
+    this.onUnlock = onUnlock;
+    this.game = null;
+    this.damageDealt = 0;
+    // Cards the user discarded this turn, and whether with a Discard All
+    this.discarded = 0;
+    this.discardAll = false;
+  }
+
+  attach(game) {
+    this.game = game;
+    this.damageDealt = this.user.stats.damageDealt;
+  }
+
+  get user() {
+    return this.game.players[0];
+  }
+
+  unlock(id) {
+    if (this.unlocked.has(id))  return;
+    this.unlocked.add(id);
+    if (this.onUnlock)  this.onUnlock(id);
+  }
+
+  resetTurn() {
+    this.discarded = 0;
+    this.discardAll = false;
+  }
+
+  // The cards of Discard All are played with ext -1 around the card itself,
+  // before it when nothing has to be animated
+  checkDiscardAll(card, ext) {
+    if (ext == -1) {
+      ++this.discarded;
+    } else if (card.value === Value.DISCARD_ALL) {
+      this.discardAll = true;
+    }
+    if (this.discardAll &&
+        this.discarded >= AchievementTracker.cleanSweepCards) {
+      this.unlock(Achievement.CLEAN_SWEEP);
+    }
+  }
+
+  // ext of a reactive Reverse is 1, the +4 is right below it
+  checkReflect(card, ext) {
+    const pile = this.game.discardPile;
+    const below = pile[pile.length - 2];
+    if (this.game.gameMode === Mode.DEATH_MATCH &&
+        card.value === Value.REVERSE && ext === 1 &&
+        below && below.value === Value.WILD_DRAW_FOUR) {
+      this.unlock(Achievement.MIRROR_MATCH);
+    }
+  }
+
+  // The hands are already swapped, the target holds what the user gave
+  checkTrade(card, ext) {
+    if (!Array.isArray(ext) ||
+        !getCardEffects(card, ext, this.game.rules).includes(Effect.TRADE)) {
+      return;
+    }
+    const target = this.game.players[ext[1]];
+    if (target && !target.knockOut &&
+        target.hand.length >= AchievementTracker.handMeDownCards) {
+      this.unlock(Achievement.HAND_ME_DOWN);
+    }
+  }
+
+  checkRoundWin() {
+    const user = this.user;
+    if (this.game.gameMode === Mode.BATTLE_PUNO &&
+        user.hand.length === 0 && user.hp === 1) {
+      this.unlock(Achievement.LAST_STAND);
+    }
+  }
+
+  setTimeout(func, timer) {
+    this.listener.setTimeout(func, timer);
+  }
+
+  isSceneBusy() {
+    return this.listener.isSceneBusy();
+  }
+
+  onGameStart() {
+    this.listener.onGameStart();
+  }
+
+  onRoundStart() {
+    this.resetTurn();
+    this.listener.onRoundStart();
+  }
+
+  onUserTurnBegin(playerIndex) {
+    this.resetTurn();
+    this.listener.onUserTurnBegin(playerIndex);
+  }
+
+  onNPCTurnBegin(playerIndex) {
+    this.resetTurn();
+    this.listener.onNPCTurnBegin(playerIndex);
+  }
+
+  onTurnEnd(playerIndex) {
+    this.listener.onTurnEnd(playerIndex);
+  }
+
+  onJumpIn(playerIndex) {
+    if (playerIndex == 0)  this.resetTurn();
+    this.listener.onJumpIn(playerIndex);
+  }
+
+  onChallenge(playerIndex, targetIndex, success) {
+    this.listener.onChallenge(playerIndex, targetIndex, success);
+  }
+
+  onUnoCall(playerIndex) {
+    this.listener.onUnoCall(playerIndex);
+  }
+
+  onUnoCatch(playerIndex, targetIndex) {
+    this.listener.onUnoCatch(playerIndex, targetIndex);
+  }
+
+  onCardPlay(playerIndex, card, ext=null) {
+    if (playerIndex == 0) {
+      this.checkDiscardAll(card, ext);
+      this.checkReflect(card, ext);
+      this.checkTrade(card, ext);
+    }
+    return this.listener.onCardPlay(playerIndex, card, ext);
+  }
+
+  onCardDraw(playerIndex, cards, show=false) {
+    return this.listener.onCardDraw(playerIndex, cards, show);
+  }
+
+  onCardPass(playerIndex, targetIndex, card) {
+    this.listener.onCardPass(playerIndex, targetIndex, card);
+  }
+
+  // Hits are counted from the statistics of the user, see
+  // PunoGame.recordDamage
+  onHPChange(playerIndex, damageTypes) {
+    const stats = this.user.stats;
+    if (stats.damageDealt - this.damageDealt >= AchievementTracker.heavyHit) {
+      this.unlock(Achievement.HEAVY_HITTER);
+    }
+    if (stats.knockOuts >= AchievementTracker.knockOuts) {
+      this.unlock(Achievement.TRIPLE_KNOCKOUT);
+    }
+    this.damageDealt = stats.damageDealt;
+    this.listener.onHPChange(playerIndex, damageTypes);
+  }
+
+  onDamageChange() {
+    this.listener.onDamageChange();
+  }
+
+  processRoundOver() {
+    this.checkRoundWin();
+    this.listener.processRoundOver();
+  }
+
+  processGameOver() {
+    this.checkRoundWin();
+    this.listener.processGameOver();
+  }
+}
+
+AchievementTracker.cleanSweepCards = 6;
+AchievementTracker.handMeDownCards = 10;
+AchievementTracker.heavyHit = 100;
+AchievementTracker.knockOuts = 3;
@@ -0,0 +1,72 @@
+/**
+ * The stages of the campaign, played in order against named opponents,
+ * loaded from js/json/campaign.json by the page (js/assets.js). Each
+ * entry gives:
+ *   id              saved with the progress, don't change it
+ *   name, description
+ *   mode            name of its Mode
+ *   rules           the house rules (see RuleSet), the ones of the mode if omitted
+ *   initHP          200 if omitted
+ *   initCardNumber  7 if omitted
+ *   scoreGoal       500 if omitted
+ *   timeLimit       seconds on the match clock of Mode.BLITZ
+ *   background      number of the table background, 0 to 3
+ *   windowSkin      name of the window skin in js/json/image.json
+ *   opponents       [{name, difficulty}] the CPU seats, difficulty is the
+ *                   name of a Difficulty
+ */
+class Campaign {
+  static load(data) {
+    Campaign._data = data.stages.map(entry => Campaign.parse(entry));
+  }
+
+  static isReady() {
+    return !!Campaign._data;
+  }
+
+  static all() {
+    return (Campaign._data || []).slice();
+  }
+
+  static get(id) {
+    return Campaign.all().find(stage => stage.id === id) || null;
+  }
+
+  static parse(entry) {
+    const mode = Mode[entry.mode];
+    if (mode === undefined) {
+      throw new Error(`Unknown mode of stage ${entry.id}: ${entry.mode}`);
+    }
+    const opponents = entry.opponents || [];
+    const numPlayers = opponents.length + 1;
+    if (numPlayers < 2 || numPlayers > 8 ||
+        (mode === Mode.TEAM && numPlayers !== PunoGame.numTeamPlayers)) {
+      throw new Error(`Invalid opponents of stage ${entry.id}`);
+    }
+    for (let opponent of opponents) {
+      if (Difficulty[opponent.difficulty] === undefined) {
+        throw new Error(`Unknown difficulty of stage ${entry.id}: ` +
+                        `${opponent.difficulty}`);
+      }
+    }
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      description: entry.description || '',
+      mode: mode,
+      rules: entry.rules || null,
+      initHP: entry.initHP || 200,
+      initCardNumber: entry.initCardNumber || 7,
+      scoreGoal: entry.scoreGoal || 500,
+      timeLimit: entry.timeLimit,
+      background: entry.background || 0,
+      windowSkin: entry.windowSkin || 'DefaultWindowSkin',
+      opponents: opponents.map(opponent => ({
+        name: opponent.name,
+        difficulty: Difficulty[opponent.difficulty]
+      }))
+    };
+  }
+}
+
+Campaign._data = null;
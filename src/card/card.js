@@ -2,49 +2,20 @@ class Card {
   constructor(color, value) {
     this.color = color;
     this.value = value;
-    this.point = (function() {
-      switch (value) {
-        case Value.SKIP:
-        case Value.REVERSE:
-        case Value.DRAW_TWO:
-          return 20;
-        case Value.WILD:
-        case Value.WILD_CHAOS:
-          return 30;
-        case Value.TRADE:
-        case Value.DISCARD_ALL:
-        case Value.WILD_HIT_ALL:
-        case Value.WILD_DRAW_FOUR:
-          return 50;
-        default:
-          return value;
-      }
-    })();
-    this.optional = (function() {
-      switch (value) {
-        case Value.TRADE:
-        case Value.DISCARD_ALL:
-        case Value.WILD_CHAOS:
-        case Value.WILD_HIT_ALL:
-          return true;
-        default:
-          return false;
-      }
-    })();
-    this.numCards = (function() {
-      if (value === Value.ZERO) {
-        return 1;
-      }
-      if (value === Value.WILD ||
-          value === Value.WILD_DRAW_FOUR) {
-        return 4;
-      }
-      return 2;
-    })();
+    const definition = CardDefinition.get(value);
+    this.point = definition.points;
+    this.optional = definition.optional;
+    this.numCards = definition.copies;
     this.numbered = !!(value >= Value.ZERO && value <= Value.NINE);
-    this.penalty = !!(value === Value.SKIP ||
-                      value === Value.DRAW_TWO ||
-                      value === Value.WILD_DRAW_FOUR);
+    this.penalty = definition.penalty;
+    // Cards added to the penalty pool when it is played
+    this.penaltyDraw = definition.penaltyDraw;
+    this.effects = definition.effects;
+  }
+
+  // Whether it does the effect when played, as listed in js/json/card.json
+  hasEffect(effect) {
+    return this.effects.includes(effect);
   }
 
   isEqual(card, compareId=false) {
@@ -61,4 +32,16 @@ class Card {
             this.value === value ||
             this.color === Color.WILD);
   }
+
+  serialize() {
+    return {color: this.color, value: this.value, numID: this.numID};
+  }
+
+  static deserialize(data) {
+    let card = new Card(data.color, data.value);
+    if (data.numID !== undefined) {
+      card.numID = data.numID;
+    }
+    return card;
+  }
 }
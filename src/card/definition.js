@@ -0,0 +1,67 @@
+/**
+ * The card types of the deck, loaded from js/json/card.json by the page
+ * (js/assets.js) or by src/headless.js under Node. Each entry gives:
+ *   value     name of its Value
+ *   colors    'colored' for one of each RED..BLUE, 'wild' for WILD only
+ *   copies    copies of each color in the deck
+ *   points    counted in the hand when the round is over
+ *   optional  left out when the extra cards are disabled
+ *   penalty   null, or the cards to draw unless it is answered (0: skip)
+ *   effects   names of its Effect, played by the engine: ADD_DAMAGE adds
+ *             its points, CLEAR_DAMAGE may add 10 instead, SKIP and REVERSE
+ *             answer a penalty of their color
+ */
+class CardDefinition {
+  static load(data) {
+    let definitions = {};
+    for (let entry of data.cards) {
+      let value = Value[entry.value];
+      if (value === undefined) {
+        throw new Error(`Unknown card value: ${entry.value}`);
+      }
+      let effects = (entry.effects || []).map(name => {
+        if (Effect[name] === undefined) {
+          throw new Error(`Unknown effect of ${entry.value}: ${name}`);
+        }
+        return Effect[name];
+      });
+      let noPenalty = (entry.penalty === null || entry.penalty === undefined);
+      definitions[value] = {
+        name: entry.value,
+        value: value,
+        colors: entry.colors === 'wild' ? [Color.WILD] :
+                [Color.RED, Color.YELLOW, Color.GREEN, Color.BLUE],
+        copies: entry.copies || 0,
+        points: entry.points || 0,
+        optional: !!entry.optional,
+        penalty: !noPenalty,
+        penaltyDraw: noPenalty ? 0 : entry.penalty,
+        effects: effects
+      };
+    }
+    CardDefinition._data = definitions;
+  }
+
+  static isReady() {
+    return !!CardDefinition._data;
+  }
+
+  // Values not in the file (like the hidden cards of a replay) count as blank
+  static get(value) {
+    let definition = CardDefinition._data && CardDefinition._data[value];
+    return definition || CardDefinition.BLANK;
+  }
+
+  // In the order of Value, so the decks stay the same for the same seed
+  static all() {
+    return Object.keys(CardDefinition._data || {})
+                 .map(value => CardDefinition._data[value])
+                 .sort((a, b) => a.value - b.value);
+  }
+}
+
+CardDefinition._data = null;
+CardDefinition.BLANK = {
+  name: '', value: -1, colors: [], copies: 0, points: 0, optional: false,
+  penalty: false, penaltyDraw: 0, effects: []
+};
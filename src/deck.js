@@ -1,37 +1,96 @@
+/**
+ * The cards of a round, shuffled with the random generator of the game.
+ * A deck preset changes the copies of js/json/card.json, e.g.
+ *   {name: 'No Wilds', copies: {WILD: 0, WILD_DRAW_FOUR: 0}}
+ * its copies are by card value name and for each color like in the file,
+ * the card types left out are counted as without a preset.
+ */
 class Deck {
-  constructor(extraCardDisabled) {
+  constructor(extraCardDisabled, rng=new Random(), preset=null) {
+    this.rng = rng;
     this.deck = [];
-    // colored cards
-    for (let color = Color.RED; color <= Color.BLUE; ++color) {
-      for (let value = Value.ZERO; value <= Value.DRAW_TWO; ++value) {
-        let coloredCard = new Card(color, value);
-        for (let i = 0; i < coloredCard.numCards; ++i) {
-          let _card = new Card(color, value);
+    // colored cards by color, then the wild cards
+    const colors = [Color.RED, Color.YELLOW, Color.GREEN, Color.BLUE, Color.WILD];
+    for (let color of colors) {
+      for (let definition of CardDefinition.all()) {
+        if (!definition.colors.includes(color)) {
+          continue;
+        }
+        const copies = Deck.copiesOf(definition, extraCardDisabled, preset);
+        for (let i = 0; i < copies; ++i) {
+          let _card = new Card(color, definition.value);
           // Load different image with same value and color
           _card.numID = i;
           this.deck.push(_card);
         }
       }
     }
-    // wild cards
-    for (let value = Value.TRADE; value <= Value.WILD_DRAW_FOUR; ++value) {
-      let wildCard = new Card(Color.WILD, value);
-      if (extraCardDisabled && wildCard.optional) {
-        continue;
+    this.shuffle();
+  }
+
+  static get maxCopies() {
+    return 9;
+  }
+
+  static copiesOf(definition, extraCardDisabled, preset=null) {
+    if (preset && preset.copies[definition.name] !== undefined) {
+      return preset.copies[definition.name];
+    }
+    if (extraCardDisabled && definition.optional) {
+      return 0;
+    }
+    return definition.copies;
+  }
+
+  // Keeps the known card types and valid counts of a preset from a save or
+  // another player
+  static parsePreset(data) {
+    let preset = {name: '', copies: {}};
+    if (!data || typeof data !== 'object') {
+      return preset;
+    }
+    if (typeof data.name === 'string') {
+      preset.name = data.name.trim().slice(0, 24);
+    }
+    const copies = data.copies || {};
+    for (let definition of CardDefinition.all()) {
+      const n = copies[definition.name];
+      if (Number.isInteger(n) && n >= 0 && n <= Deck.maxCopies) {
+        preset.copies[definition.name] = n;
+      }
+    }
+    return preset;
+  }
+
+  // The size of the deck, how many of them are colored cards and how many
+  // numbered values it has
+  static countCards(extraCardDisabled, preset=null) {
+    let total = 0, colored = 0, values = 0;
+    for (let definition of CardDefinition.all()) {
+      const copies = Deck.copiesOf(definition, extraCardDisabled, preset);
+      for (let color of definition.colors) {
+        total += copies;
+        if (color !== Color.WILD) {
+          colored += copies;
+        }
       }
-      for (let i = 0; i < wildCard.numCards; ++i) {
-        let _card = new Card(Color.WILD, value);
-        // Load different image with same value and color
-        _card.numID = i;
-        this.deck.push(_card);
+      if (copies > 0 && definition.value <= Value.NINE) {
+        ++values;
       }
     }
-    this.shuffle();
+    return {total: total, colored: colored, values: values};
+  }
+
+  // The first card is colored, it has to be left after dealing the hands,
+  // and each player can draw a different number to choose the dealer
+  static isPlayable(extraCardDisabled, preset, numDealt, numPlayers) {
+    const count = Deck.countCards(extraCardDisabled, preset);
+    return count.colored > numDealt && count.values >= numPlayers;
   }
 
   shuffle() {
     for (let i = this.deck.length - 1; i > 0; --i) {
-      let j = Math.floor(Math.random() * this.deck.length);
+      let j = Math.floor(this.rng.random() * this.deck.length);
       [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
     }
   }
@@ -20,5 +20,86 @@ const Effect = {
                       // discard any other cards
 
   TRADE: 12,          // Exchange all hand cards with another player
-  WILD_CHAOS: 13      // Random decide color and number
+  WILD_CHAOS: 13,     // Random decide color and number
+  ROTATE_HANDS: 14,   // Every hand goes to the next player (7-0 rule)
+
+  // Elements of the damage, they hit whoever draws the damage pool
+  BURN: 15,           // Red: lose HP at the beginning of the next turns
+  FREEZE: 16,         // Blue: no card is drawn in the next turn
+  WIND: 17,           // Green: a card of the hand is blown to the next player
+  THUNDER: 18         // Yellow: half the damage chains to the next player
 };
+
+/**
+ * Get the element effect a card of the color adds to the damage pool
+ * @param {Color} color - color of the card
+ * @returns {Effect}
+ */
+function getElementEffect(color) {
+  switch (color) {
+    case Color.RED:
+      return Effect.BURN;
+    case Color.BLUE:
+      return Effect.FREEZE;
+    case Color.GREEN:
+      return Effect.WIND;
+    case Color.YELLOW:
+      return Effect.THUNDER;
+    default:
+      return Effect.NULL;
+  }
+}
+
+/**
+ * Get the effect ids of a played card
+ * @param {Card} card - the card played
+ * @param {Number} ext - the extra information passed with onCardPlay
+ * @param {RuleSet} rules - the house rules of the game, if any
+ * @param {Mode} gameMode - the damage and its elements only come with the
+ *                          modes other than Mode.TRADITIONAL, none if omitted
+ * @returns {Array.<Effect>}
+ */
+function getCardEffects(card, ext, rules=null, gameMode=Mode.TRADITIONAL) {
+  let effects = getPlayEffects(card, ext, rules);
+  // There is no damage pool in traditional mode
+  if (gameMode === Mode.TRADITIONAL) {
+    return effects.filter(effect => effect !== Effect.ADD_DAMAGE &&
+                                    effect !== Effect.CLEAR_DAMAGE);
+  }
+  if (effects.includes(Effect.ADD_DAMAGE)) {
+    effects.push(getElementEffect(card.color));
+  }
+  return effects;
+}
+
+// The effects of the card itself, without the elements
+function getPlayEffects(card, ext, rules) {
+  if (ext == -1) {
+    return [];
+  }
+  if (rules && rules.sevenZero) {
+    if (card.value === Value.SEVEN) {
+      // ext is [color, target], the trade stays second
+      return [Effect.ADD_DAMAGE, Effect.TRADE];
+    }
+    if (card.value === Value.ZERO) {
+      return getPlayEffects(card, ext).concat([Effect.ROTATE_HANDS]);
+    }
+  }
+  // As listed in js/json/card.json, with the variants chosen by ext
+  return CardDefinition.get(card.value).effects.map(effect => {
+    switch (effect) {
+      // ext=0: normal;  ext=1: reactive;
+      case Effect.SKIP:
+        return !ext ? Effect.SKIP : Effect.SKIP_PENALTY;
+      // ext=0: normal;  ext=1: reactive;
+      case Effect.REVERSE:
+        return !ext ? Effect.REVERSE : Effect.REVERSE_PENALTY;
+      // ext=1: reset;  otherwise +10, as in PunoGame.setDamagePool
+      case Effect.CLEAR_DAMAGE:
+        return ext === 1 ? Effect.CLEAR_DAMAGE : Effect.ADD_DAMAGE;
+      default:
+        return effect;
+    }
+  });
+}
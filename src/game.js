@@ -1,12 +1,56 @@
 class PunoGame {
-  constructor(initCardNumber, initHP, scoreGoal, extraCardDisabled, gameMode) {
-    this.players = [new Player("User", initHP, false),
-                    new Player("CPU1", initHP),
-                    new Player("CPU2", initHP),
-                    new Player("CPU3", initHP)];
+  /**
+   * @param {Object} options - engine settings beside the game rules
+   * @param {GameListener} options.listener - receives the game events,
+   *                                          runs without any if omitted
+   * @param {number} options.seed - seed of the random generator, a new one is
+   *                                picked if omitted
+   * @param {number} options.numPlayers - table size including the user,
+   *                                      2 to 8, default is 4
+   * @param {Array} options.difficulties - Difficulty of each seat, Normal
+   *                                       for the ones omitted
+   * @param {Array} options.names - names of the CPU seats, CPU1, CPU2...
+   *                                for the ones omitted
+   * @param {Object} options.rules - the house rules (see RuleSet), the ones
+   *                                 of the mode if omitted
+   * @param {Object} options.deckPreset - the copies of each card (see Deck),
+   *                                      the standard deck if omitted
+   * @param {number} options.timeLimit - seconds on the match clock of
+   *                                     Mode.BLITZ, blitzTimeLimit if omitted
+   * @param {Object} options.scenario - a puzzle (see Scenario) played as a
+   *                                    single round from its position
+   */
+  constructor(initCardNumber, initHP, scoreGoal, extraCardDisabled, gameMode,
+              options={}) {
+    const numPlayers = options.numPlayers || 4;
+    if (numPlayers < 2 || numPlayers > 8) {
+      throw new Error(`Invalid number of players: ${numPlayers}`);
+    }
+    if (gameMode === Mode.TEAM && numPlayers !== PunoGame.numTeamPlayers) {
+      throw new Error(`Team mode needs ${PunoGame.numTeamPlayers} players`);
+    }
+    this.players = [new Player("User", initHP, false)];
+    const names = options.names || [];
+    for (let i = 1; i < numPlayers; ++i) {
+      this.players.push(new Player(names[i - 1] || "CPU" + i, initHP));
+    }
+    // The user seat gets one too, in case it is played by the CPU
+    this.difficulties = options.difficulties || [];
+    for (let i in this.players) {
+      this.players[i].strategy = AIStrategy.create(this.difficulties[i]);
+    }
     this.initCardNumber = initCardNumber;
+    this.initHP = initHP;
     this.scoreGoal = scoreGoal;
     this.extraCardDisabled = extraCardDisabled;
+    this.deckPreset = options.deckPreset ? Deck.parsePreset(options.deckPreset)
+                                         : null;
+    const numDealt = numPlayers * initCardNumber;
+    if (!Deck.isPlayable(extraCardDisabled, this.deckPreset, numDealt,
+                         numPlayers)) {
+      throw new Error(`Not enough cards to deal ${numDealt} cards to ` +
+                      `${numPlayers} players`);
+    }
     this.clockwise = true;
     this.currentPlayerIndex = undefined;
     this.currentColor = undefined;
@@ -16,9 +60,94 @@ class PunoGame {
     this.penaltyCard = undefined;
     this.penaltyPool = 0;
     this.gameMode = gameMode;
+    this.rules = options.rules ? new RuleSet(options.rules)
+                               : RuleSet.forMode(gameMode);
+    this.forcedCard = undefined;
+    this.jumpInRequest = null;
+    // Who played the last Wild Draw Four, the color it was played on and
+    // whether a card of that color was kept in hand
+    this.drawFourPlayer = undefined;
+    this.drawFourColor = undefined;
+    this.drawFourBluff = false;
+    // The player left with one card without calling PUNO, it can be caught
+    // until the next turn is over
+    this.unoTarget = undefined;
     this.damagePool = 0;
+    // The last player who added to the damage pool, credited for the hit
+    this.damageSource = undefined;
     this.damageTypes = [false, false, false, false, false];
+    this.timeLimit = options.timeLimit || PunoGame.blitzTimeLimit;
+    this.timeLeft = this.timeLimit;
+    this.scenario = options.scenario || null;
+    // Turns the user played in the puzzle, and whether it was solved
+    this.scenarioTurns = 0;
+    this.scenarioCleared = false;
+    this.roundCount = 0;
     this.maxHandThreshold = this.initCardNumber + 1;
+    this.listener = options.listener || new GameListener();
+    this.rng = new Random(options.seed);
+    this.seed = this.rng.seed;
+    this.inTurn = false;
+    this.roundOver = false;
+    this.gameOver = false;
+  }
+
+  // Seats 0/2 and 1/3 are partners
+  static get numTeamPlayers() {
+    return 4;
+  }
+
+  // Draws for the dealer before a seat is picked at random
+  static get maxDealerRedraws() {
+    return 20;
+  }
+
+  // Seconds of the whole match in Mode.BLITZ
+  static get blitzTimeLimit() {
+    return 300;
+  }
+
+  // Seconds the user has for each turn in Mode.BLITZ
+  static get blitzTurnTime() {
+    return 10;
+  }
+
+  // Everyone is on its own team outside of Mode.TEAM
+  teamOf(playerIndex) {
+    playerIndex = parseInt(playerIndex);
+    return this.gameMode === Mode.TEAM ? playerIndex % 2 : playerIndex;
+  }
+
+  // Whether both are on the same team, a player is its own teammate
+  isTeammate(playerIndex, otherIndex) {
+    return this.teamOf(playerIndex) === this.teamOf(otherIndex);
+  }
+
+  // Indices of the players of each team, indexed by team
+  getTeams() {
+    let teams = [];
+    for (let i in this.players) {
+      const team = this.teamOf(i);
+      teams[team] = teams[team] || [];
+      teams[team].push(parseInt(i));
+    }
+    return teams;
+  }
+
+  numAliveTeams() {
+    return this.getTeams().filter(
+        team => team.some(i => !this.players[i].knockOut)).length;
+  }
+
+  // The players a Trade or a 7 can target: the alive ones of other teams
+  findTargets(playerIndex) {
+    let targets = [];
+    for (let i in this.players) {
+      if (!this.isTeammate(i, playerIndex) && !this.players[i].knockOut) {
+        targets.push(parseInt(i));
+      }
+    }
+    return targets;
   }
 
   numAlivePlayers() {
@@ -41,14 +170,23 @@ class PunoGame {
     return alivePlayers;
   }
 
+  // The highest numbered card deals, a seat is picked at random when the
+  // draws keep tying
   chooseDealer() {
     let highest = 0;
     let deadlock = true;
     let firstDraw = undefined;
-    while(deadlock){
-      firstDraw = this.deck.drawNumbered(4);
+    for (let redraws = 0; deadlock; ++redraws) {
+      firstDraw = this.deck.drawNumbered(this.players.length);
+      if (firstDraw.length < this.players.length ||
+          redraws >= PunoGame.maxDealerRedraws) {
+        this.deck.putback(firstDraw);
+        debug_log("deadlock => random dealer");
+        return this.rng.randInt(0, this.players.length - 1);
+      }
+      highest = 0;
       deadlock = false;
-      for (let i = 1; i < 4; ++i) {
+      for (let i = 1; i < this.players.length; ++i) {
         if (firstDraw[i].value > firstDraw[highest].value) {
           highest = i;
           deadlock = false;
@@ -62,7 +200,7 @@ class PunoGame {
       }
     }
     for (let i in this.players) {
-      GameManager.onCardDraw(i, [firstDraw[i]], true);
+      this.listener.onCardDraw(i, [firstDraw[i]], true);
       debug_log(this.players[i].name, firstDraw[i]);
     }
     return highest;
@@ -87,30 +225,51 @@ class PunoGame {
     }
   }
 
+  // Skipped by a Skip or by one of its statuses
   isCurrentPlayerSkipped() {
-    return this.penaltyCard != undefined && this.penaltyCard.value === Value.SKIP;
+    if (this.penaltyCard != undefined &&
+        this.penaltyCard.hasEffect(Effect.SKIP)) {
+      return true;
+    }
+    return this.currentPlayer().statuses.some(
+        status => status.skipsTurn(this, this.currentPlayerIndex));
+  }
+
+  // Kept from drawing a card instead of playing by one of its statuses
+  isCurrentPlayerDrawSkipped() {
+    return this.currentPlayer().statuses.some(
+        status => status.skipsDraw(this, this.currentPlayerIndex));
   }
 
   isCardAbilitySelectionNeeded(card) {
     if ((this.gameMode === Mode.BATTLE_PUNO ||
-        this.gameMode === Mode.DEATH_MATCH) &&
-        card.value === Value.ZERO) {
+        this.gameMode === Mode.DEATH_MATCH ||
+        this.gameMode === Mode.TEAM ||
+        this.gameMode === Mode.BLITZ) &&
+        card.hasEffect(Effect.CLEAR_DAMAGE)) {
+      return true;
+    }
+    if (this.rules.sevenZero && card.value === Value.SEVEN) {
       return true;
     }
-    if (card.value === Value.WILD_CHAOS) {
+    if (card.hasEffect(Effect.WILD_CHAOS)) {
       return false;
     }
     return card.color === Color.WILD;
   }
 
   isCardPlayable(card) {
+    if (this.forcedCard != undefined) {
+      return card.isEqual(this.forcedCard, true);
+    }
     if (this.penaltyCard != undefined) {
-      if (this.penaltyCard.value === Value.SKIP)  return false;
-      let base = (card.isEqual(new Card(this.currentColor, Value.SKIP)) ||
-                  card.isEqual(new Card(this.currentColor, Value.REVERSE)));
-      if(this.gameMode === Mode.DEATH_MATCH){
-        base |= (card.value === Value.DRAW_TWO);
-        base |= (card.value === Value.WILD_DRAW_FOUR);
+      if (this.penaltyCard.hasEffect(Effect.SKIP))  return false;
+      let base = (card.color === this.currentColor &&
+                  (card.hasEffect(Effect.SKIP) ||
+                   card.hasEffect(Effect.REVERSE)));
+      if(this.rules.stacking){
+        base |= card.hasEffect(Effect.DRAW_TWO);
+        base |= card.hasEffect(Effect.DRAW_FOUR);
       }
       return !!base;
     }
@@ -126,9 +285,13 @@ class PunoGame {
   }
 
   initDeck() {
-    this.deck = new Deck(this.extraCardDisabled);
+    this.deck = new Deck(this.extraCardDisabled, this.rng, this.deckPreset);
     this.penaltyCard = undefined;
     this.penaltyPool = 0;
+    this.forcedCard = undefined;
+    this.jumpInRequest = null;
+    this.clearDrawFour();
+    this.unoTarget = undefined;
     this.discardPile.length = 0;
     this.damagePool = 0;
   }
@@ -147,7 +310,7 @@ class PunoGame {
     for (let i in this.players) {
       let cards = this.drawCard(this.initCardNumber);
       this.players[i].deal(cards);
-      GameManager.onCardDraw(i, cards);
+      this.listener.onCardDraw(i, cards);
     }
   }
 
@@ -155,12 +318,40 @@ class PunoGame {
     const firstCard = this.deck.drawColored(1)[0];
     this.discardPile.push(firstCard);
     this.setNextColorAndValue(firstCard);
-    if (firstCard.value === Value.SKIP) {
-      this.penaltyCard = firstCard;
-    } else if (firstCard.value === Value.REVERSE) {
-      this.reverse();
+    if (this.rules.startingCardEffects) {
+      if (firstCard.penalty) {
+        this.penaltyCard = firstCard;
+        this.penaltyPool = firstCard.penaltyDraw;
+      } else if (firstCard.hasEffect(Effect.REVERSE)) {
+        this.reverse();
+      }
+    }
+    this.listener.onCardPlay(-1, firstCard);
+  }
+
+  // The table is laid out as the puzzle says instead of shuffled and dealt
+  setupScenario() {
+    const scenario = this.scenario;
+    let counts = {};
+    // The deck is drawn from its end
+    this.deck.deck = Scenario.createCards(scenario.deck, counts).reverse();
+    for (let i in this.players) {
+      const cards = Scenario.createCards(scenario.players[i].hand, counts);
+      this.players[i].hp = scenario.players[i].hp;
+      this.players[i].deal(cards);
+      this.listener.onCardDraw(i, cards);
+    }
+    this.currentPlayerIndex = scenario.current;
+    this.clockwise = scenario.clockwise;
+    this.damagePool = scenario.damagePool;
+    this.scenarioTurns = 0;
+    const top = Scenario.createCards([scenario.top], counts)[0];
+    this.discardPile.push(top);
+    this.setNextColorAndValue(top);
+    if (scenario.color !== undefined) {
+      this.currentColor = Color[scenario.color];
     }
-    GameManager.onCardPlay(-1, firstCard);
+    this.listener.onCardPlay(-1, top);
   }
 
   initialize() {
@@ -168,14 +359,20 @@ class PunoGame {
     this.initGame();
     this.initDeck();
     this.initPlayer();
-    this.processFirstDraw();
-    this.processFirstDeal();
-    this.drawFirstCard();
+    if (this.scenario) {
+      this.setupScenario();
+    } else {
+      this.processFirstDraw();
+      this.processFirstDeal();
+      this.drawFirstCard();
+    }
     debug_log("--------------------------------------");
   }
 
   isGameOver() {
+    if (this.scenario)  return true;
     if (this.gameMode === Mode.TRADITIONAL)  return true;
+    if (this.gameMode === Mode.BLITZ)  return this.isTimeUp();
     if (this.gameMode === Mode.DEATH_MATCH && this.players[0].knockOut){
       return true;
     }
@@ -183,15 +380,40 @@ class PunoGame {
   }
 
   isRoundOver() {
+    if (this.scenario && Scenario.checkGoal(this) !== 0) {
+      return true;
+    }
     if(this.gameMode === Mode.DEATH_MATCH && this.players[0].knockOut){
       return true;
     }
+    // Sudden death, the hands are scored as they are
+    if (this.isTimeUp()) {
+      return true;
+    }
     for (let i in this.players) {
       if (this.players[i].isGoingOut()) {
         return true;
       }
     }
-    return this.numAlivePlayers() === 1;
+    // Thunder can knock out the last two at once
+    return this.numAliveTeams() <= 1;
+  }
+
+  /**
+   * Run the match clock of Mode.BLITZ, the caller decides how fast: the
+   * scene by the frames shown, a simulation by the turns played. It stops
+   * between rounds.
+   * @param {number} seconds - time passed since the last call
+   */
+  tick(seconds) {
+    if (this.gameMode !== Mode.BLITZ || this.roundOver || this.gameOver) {
+      return;
+    }
+    this.timeLeft = Math.max(0, this.timeLeft - seconds);
+  }
+
+  isTimeUp() {
+    return this.gameMode === Mode.BLITZ && this.timeLeft <= 0;
   }
 
   reverse() {
@@ -199,35 +421,24 @@ class PunoGame {
     this.clockwise = !this.clockwise;
   }
 
-  findTarget() {
-    let target = undefined;
-    for (let i in this.players) {
-      if (i != this.currentPlayerIndex && !this.players[i].knockOut) {
-        if (target === undefined ||
-           this.players[i].hand.length < this.players[target].hand.length) {
-          target = i;
-        }
-      }
-    }
-    return target;
-  }
-
   discardAll(color) {
     debug_log("DISCARD ALL", color);
     let colorCardsIndex = this.currentPlayer().findAllCardsByColor(color);
     for (let i in colorCardsIndex) {
       const cardIndex = colorCardsIndex[i];
       const card = this.currentPlayer().hand[cardIndex];
-      EventManager.setTimeout(() => {
+      this.listener.setTimeout(() => {
         this.discardPile.push(card);
         this.currentPlayer().discard(cardIndex);
-        GameManager.onCardPlay(this.currentPlayerIndex, card, -1);
+        this.listener.onCardPlay(this.currentPlayerIndex, card, -1);
       }, 10 * i);
     }
   }
 
   trade(player1, player2) {
-    if (this.players[player1].knockOut ||
+    // Nobody is left to target once the others are knocked out
+    if (this.players[player2] === undefined ||
+        this.players[player1].knockOut ||
         this.players[player2].knockOut) {
       debug_log("TRADE DENIED: someone knocked out");
       return;
@@ -244,22 +455,48 @@ class PunoGame {
     debug_log(player2, this.players[player2].hand.slice());
   }
 
+  // Every hand goes to the next player in play order, knocked out ones
+  // are passed over
+  rotateHands() {
+    debug_log("ROTATE HANDS");
+    let alive = [];
+    for (let i in this.players) {
+      if (!this.players[i].knockOut) {
+        alive.push(parseInt(i));
+      }
+    }
+    const hands = alive.map(i => this.players[i].hand);
+    const step = this.clockwise ? 1 : -1;
+    for (let k in alive) {
+      const next = alive[mod(parseInt(k) + step, alive.length)];
+      this.players[next].hand = hands[k];
+    }
+  }
+
   wildHitAll(currentPlayerIndex) {
     debug_log("WILD HIT ALL");
     for (let i in this.players) {
-      if (i != currentPlayerIndex && !this.players[i].knockOut) {
+      if (!this.isTeammate(i, currentPlayerIndex) && !this.players[i].knockOut) {
         let cards = this.drawCard(2);
         this.players[i].deal(cards);
-        GameManager.onCardDraw(i, cards);
+        this.listener.onCardDraw(i, cards);
       }
     }
   }
 
   gameResult() {
+    // Kept for the scoreboard, ties of Mode.BLITZ go to the fewest points
+    for (let i in this.players) {
+      this.players[i].handPoints = this.players[i].cardsPointSum();
+    }
+    if (this.gameMode === Mode.TEAM) {
+      return this.teamResult();
+    }
     for (let i in this.players) {
       if (this.gameMode === Mode.TRADITIONAL) {
         this.players[i].score += this.players[i].cardsPointSum();
-      } else if (this.gameMode === Mode.BATTLE_PUNO) {
+      } else if (this.gameMode === Mode.BATTLE_PUNO ||
+                 this.gameMode === Mode.BLITZ) {
         this.players[i].hp -= this.players[i].cardsPointSum();
         this.players[i].hp = Math.max(0, this.players[i].hp);
         this.players[i].score += this.players[i].hp;
@@ -267,22 +504,39 @@ class PunoGame {
     }
   }
 
+  // The cards left in both hands hit the team HP, and both partners score
+  // what remains
+  teamResult() {
+    for (let team of this.getTeams()) {
+      let points = 0;
+      for (let i of team) {
+        points += this.players[i].cardsPointSum();
+      }
+      const hp = Math.max(0, this.players[team[0]].hp - points);
+      for (let i of team) {
+        this.players[i].hp = hp;
+        this.players[i].score += hp;
+      }
+    }
+  }
+
   setNextColorAndValue(card, ext) {
     if (card.color === Color.WILD) {
       this.currentValue = undefined;
-      if (this.currentPlayer().ai ||
-          card.value === Value.WILD_CHAOS ||
-          card.value === Value.TRADE) {
-        this.currentColor = getRandom(Color.RED, Color.BLUE, this.currentColor);
+      if (card.hasEffect(Effect.WILD_CHAOS) || card.hasEffect(Effect.TRADE)) {
+        this.currentColor = this.rng.randInt(Color.RED, Color.BLUE, this.currentColor);
+      } else if (this.currentPlayer().ai) {
+        this.currentColor = this.currentPlayer().strategy.chooseColor(
+            this, this.currentPlayerIndex);
       } else {
         this.currentColor = ext;
       }
       debug_log("WILD CHOOSE NEXT COLOR", this.currentColor);
-      if (card.value === Value.WILD_CHAOS) {
-        this.currentValue = getRandom(Value.ZERO, Value.NINE);
+      if (card.hasEffect(Effect.WILD_CHAOS)) {
+        this.currentValue = this.rng.randInt(Value.ZERO, Value.NINE);
         debug_log("WILD CHAOS, NEXT VALUE", this.currentValue);
         ext = [this.currentColor, this.currentValue];
-      } else if (card.value === Value.TRADE) {
+      } else if (card.hasEffect(Effect.TRADE)) {
         ext[0] = this.currentColor;
       } else {
         ext = this.currentColor;
@@ -295,31 +549,32 @@ class PunoGame {
   }
 
   takeCardAction(card, ext) {
-    if (card.value === Value.REVERSE) {
+    if (card.hasEffect(Effect.REVERSE)) {
       this.reverse();
       ext = this.penaltyCard === undefined ? 0 : 1;
-    } else if (card.value === Value.TRADE) {
-      const target = this.currentPlayer().ai ? this.findTarget() : ext;
+    } else if (card.hasEffect(Effect.TRADE)) {
+      const target = this.currentPlayer().ai ?
+          this.currentPlayer().strategy.chooseTradeTarget(
+              this, this.currentPlayerIndex) : ext;
       this.trade(this.currentPlayerIndex, target);
       ext = [undefined, target];
-    } else if (card.value === Value.DISCARD_ALL) {
+    } else if (card.hasEffect(Effect.DISCARD_ALL)) {
       this.discardAll(this.currentColor);
-    } else if (card.value === Value.WILD_HIT_ALL) {
+    } else if (card.hasEffect(Effect.HIT_ALL)) {
       this.wildHitAll(this.currentPlayerIndex);
     }
     return ext;
   }
 
+  // A card clearing the damage may add 10 instead, the others add their
+  // points
   setDamagePool(card, ext) {
-    if (this.gameMode === Mode.TRADITIONAL)  return;
+    if (this.gameMode === Mode.TRADITIONAL)  return ext;
     this.damageTypes[card.color] = true;
-    if (card.value === Value.ZERO) {
+    if (card.hasEffect(Effect.CLEAR_DAMAGE)) {
       if (this.currentPlayer().ai) {
-        if (this.gameMode === Mode.DEATH_MATCH || this.damagePool < 30 || !!getRandom(0, 1)) {
-          ext = 0;
-        } else {
-          ext = 1;
-        }
+        ext = this.currentPlayer().strategy.chooseZeroMode(
+            this, this.currentPlayerIndex);
       }
       if (ext === 1) {
         this.resetDamagePool();
@@ -327,8 +582,8 @@ class PunoGame {
         debug_log("+10 damage");
         this.addDamagePool(10, card.color);
       }
-    } else if (Value.ONE <= card.value && card.value <= Value.NINE) {
-      this.addDamagePool(card.value, card.color);
+    } else if (card.hasEffect(Effect.ADD_DAMAGE)) {
+      this.addDamagePool(card.point, card.color);
     }
     debug_log("damage pool", this.damagePool);
     return ext;
@@ -337,31 +592,43 @@ class PunoGame {
   addDamagePool(v, c=null) {
     debug_log("Damage add: " + v);
     this.damagePool += (v || 0);
+    if (v > 0)  this.damageSource = this.currentPlayerIndex;
     if (c)  this.damageTypes[c] = true;
-    GameManager.onDamageChange();
+    this.listener.onDamageChange();
   }
 
   resetDamagePool() {
     debug_log("clear damage");
     this.damagePool = 0;
+    this.damageSource = undefined;
     this.damageTypes.fill(false);
-    GameManager.onDamageChange();
+    this.listener.onDamageChange();
   }
 
   discard(cardIndex, ext=null) {
     const card = this.currentPlayer().hand[cardIndex];
     debug_log("discard: ", card);
+    this.forcedCard = undefined;
     this.currentPlayer().discard(cardIndex);
+    this.currentPlayer().recordPlay(card);
+    if (card.hasEffect(Effect.DRAW_FOUR)) {
+      this.drawFourPlayer = this.currentPlayerIndex;
+      this.drawFourColor = this.currentColor;
+      this.drawFourBluff =
+          this.currentPlayer().findAllCardsByColor(this.currentColor).length > 0;
+    } else {
+      this.clearDrawFour();
+    }
     if (this.currentPlayer().hand.length != 0) {
-      if (card.numbered) {
+      if (card.hasEffect(Effect.ADD_DAMAGE) ||
+          card.hasEffect(Effect.CLEAR_DAMAGE)) {
         ext = this.setDamagePool(card, ext);
-      } else {
-        ext = this.takeCardAction(card, ext);
       }
+      ext = this.takeCardAction(card, ext);
+      ext = this.takeNumberAction(card, ext);
       ext = this.setNextColorAndValue(card, ext);
 
-      if(card.value === Value.DRAW_TWO){this.penaltyPool += 2;}
-      else if(card.value === Value.WILD_DRAW_FOUR){this.penaltyPool += 4;}
+      this.penaltyPool += card.penaltyDraw;
 
       if (this.penaltyCard === undefined) {
         if (card.penalty) {
@@ -373,22 +640,222 @@ class PunoGame {
     } else {
       ext = -1;
     }
-    if (this.currentPlayer().hand.length === 1) {
-      this.currentPlayer().uno();
-    }
     debug_log("ext", ext);
     this.discardPile.push(card);
-    GameManager.onCardPlay(this.currentPlayerIndex, card, ext);
+    this.listener.onCardPlay(this.currentPlayerIndex, card, ext);
+    for (let status of this.currentPlayer().statuses) {
+      status.onCardPlay(this, this.currentPlayerIndex, card);
+    }
+    if (this.currentPlayer().hand.length === 1 &&
+        !this.currentPlayer().unoCalled) {
+      this.openUnoWindow(this.currentPlayerIndex);
+    }
+  }
+
+  /**
+   * The player is down to one card without calling PUNO: the CPU quickest
+   * to react either calls it for itself or catches the player
+   */
+  openUnoWindow(playerIndex) {
+    this.unoTarget = playerIndex;
+    let fastest = -1, fastestTime = -1;
+    for (let i in this.players) {
+      i = parseInt(i);
+      if (!this.players[i].ai || this.players[i].knockOut ||
+          (i !== playerIndex && this.isTeammate(i, playerIndex))) {
+        continue;
+      }
+      const time = this.players[i].strategy.unoReactionTime(this, i);
+      if (time < 0) {
+        continue;
+      }
+      // The player itself wins a tie
+      if (fastest === -1 || time < fastestTime ||
+          (time === fastestTime && i === playerIndex)) {
+        fastest = i;
+        fastestTime = time;
+      }
+    }
+    if (fastest === -1) {
+      return;
+    }
+    this.listener.setTimeout(() => {
+      if (this.unoTarget !== playerIndex || this.roundOver) {
+        return;
+      }
+      if (fastest === playerIndex) {
+        this.callUno(fastest);
+      } else if (this.canCatchUno(fastest)) {
+        this.catchUno(fastest);
+      }
+    }, fastestTime);
+  }
+
+  // At two cards, or at the last one before being caught
+  canCallUno(playerIndex) {
+    const player = this.players[playerIndex];
+    if (this.roundOver || player.knockOut || player.unoCalled) {
+      return false;
+    }
+    return player.hand.length === 2 ||
+           (player.hand.length === 1 && this.unoTarget == playerIndex);
+  }
+
+  callUno(playerIndex) {
+    this.players[playerIndex].uno();
+    if (this.unoTarget == playerIndex) {
+      this.unoTarget = undefined;
+    }
+    this.listener.onUnoCall(playerIndex);
+  }
+
+  canCatchUno(playerIndex) {
+    return !this.roundOver && this.unoTarget !== undefined &&
+           !this.isTeammate(playerIndex, this.unoTarget) &&
+           !this.players[playerIndex].knockOut;
+  }
+
+  // The player who didn't call PUNO draws 2 cards
+  catchUno(playerIndex) {
+    const targetIndex = this.unoTarget;
+    debug_log("CAUGHT WITHOUT UNO", targetIndex);
+    this.unoTarget = undefined;
+    this.listener.onUnoCatch(playerIndex, targetIndex);
+    const cards = this.drawCard(2);
+    this.players[targetIndex].deal(cards);
+    this.listener.onCardDraw(targetIndex, cards);
+  }
+
+  clearDrawFour() {
+    this.drawFourPlayer = undefined;
+    this.drawFourColor = undefined;
+    this.drawFourBluff = false;
+  }
+
+  /**
+   * Whether the player may challenge the Wild Draw Four it has to draw for:
+   * it is only legal when no card of the color in play was left in hand
+   */
+  canChallenge(playerIndex) {
+    return this.penaltyCard !== undefined && this.drawFourPlayer !== undefined &&
+           playerIndex == this.currentPlayerIndex &&
+           playerIndex != this.drawFourPlayer;
+  }
+
+  /**
+   * The current player challenges the last Wild Draw Four, the hand of its
+   * player is revealed. If it was a bluff, that player draws the penalty
+   * instead and the challenger plays its turn; otherwise the challenger
+   * draws it with 2 more cards and its turn is over.
+   * @returns {boolean} - whether the challenge succeeded
+   */
+  challenge() {
+    const targetIndex = this.drawFourPlayer;
+    const success = this.drawFourBluff;
+    const loserIndex = success ? targetIndex : this.currentPlayerIndex;
+    const numCards = this.penaltyPool + (success ? 0 : 2);
+    debug_log("CHALLENGE", targetIndex, success ? "BLUFF" : "LEGAL");
+    this.clearDrawFour();
+    this.penaltyCard = undefined;
+    this.penaltyPool = 0;
+    this.listener.onChallenge(this.currentPlayerIndex, targetIndex, success);
+    const cards = this.drawCard(numCards);
+    this.players[loserIndex].deal(cards);
+    this.listener.onCardDraw(loserIndex, cards);
+    return success;
+  }
+
+  // The 7 and 0 of the 7-0 rule, the 7 returns ext as a trade does
+  takeNumberAction(card, ext) {
+    if (!this.rules.sevenZero) {
+      return ext;
+    }
+    if (card.value === Value.SEVEN) {
+      const target = this.currentPlayer().ai ?
+          this.currentPlayer().strategy.chooseTradeTarget(
+              this, this.currentPlayerIndex) : ext;
+      this.trade(this.currentPlayerIndex, target);
+      ext = [undefined, target];
+    } else if (card.value === Value.ZERO) {
+      this.rotateHands();
+    }
+    return ext;
+  }
+
+  /**
+   * Whether the player may play the card out of turn: it has to be the same
+   * as the top of the discard pile, and no penalty is pending
+   */
+  canJumpIn(playerIndex, card) {
+    const top = this.lastCard();
+    return this.rules.jumpIn && !this.roundOver && top !== null &&
+           playerIndex != this.currentPlayerIndex &&
+           !this.players[playerIndex].knockOut &&
+           this.penaltyCard === undefined && card.color !== Color.WILD &&
+           card.color === top.color && card.value === top.value;
+  }
+
+  // Played when the current turn ends if still possible by then, the first
+  // request is kept
+  requestJumpIn(playerIndex, card, ext=null) {
+    if (!this.jumpInRequest) {
+      this.jumpInRequest = {playerIndex: parseInt(playerIndex), card: card,
+                            ext: ext};
+    }
+  }
+
+  /**
+   * Between two turns, the player requesting first or a CPU willing to
+   * jump in plays, and the turn goes on from it
+   * @returns {boolean} - whether anyone jumped in
+   */
+  processJumpIn() {
+    const request = this.jumpInRequest;
+    this.jumpInRequest = null;
+    if (request && this.canJumpIn(request.playerIndex, request.card)) {
+      const index = this.players[request.playerIndex].findCard(request.card,
+                                                               true);
+      if (index !== -1) {
+        this.jumpIn(request.playerIndex, index, request.ext);
+        return true;
+      }
+    }
+    if (!this.rules.jumpIn) {
+      return false;
+    }
+    for (let i in this.players) {
+      const player = this.players[i];
+      if (!player.ai || i == this.currentPlayerIndex || player.knockOut) {
+        continue;
+      }
+      const index = player.strategy.chooseJumpIn(this, parseInt(i));
+      if (index !== -1) {
+        this.jumpIn(i, index);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  jumpIn(playerIndex, cardIndex, ext=null) {
+    debug_log("JUMP IN", playerIndex);
+    this.currentPlayerIndex = parseInt(playerIndex);
+    this.listener.onJumpIn(this.currentPlayerIndex);
+    this.discard(cardIndex, ext);
   }
 
   getPenalty() {
     debug_log("PENALTY");
-    if (this.penaltyCard.value === Value.SKIP) {
+    if (this.penaltyCard.hasEffect(Effect.SKIP)) {
       debug_log("SKIP");
       this.penaltyCard = undefined;
     } else {
-      const avoidCardIndex =
-          this.currentPlayer().receivePenalty(this.penaltyCard);
+      const avoidCardIndex = this.currentPlayer().ai ?
+          this.currentPlayer().strategy.respondToPenalty(
+              this, this.currentPlayerIndex) :
+          this.currentPlayer().receivePenalty(this.penaltyCard,
+                                              this.currentColor,
+                                              this.rules);
       if (avoidCardIndex != -1) {
         this.discard(avoidCardIndex, 1);
       } else {
@@ -398,9 +865,10 @@ class PunoGame {
           cards = this.drawCard(this.penaltyPool);
         }
         this.currentPlayer().deal(cards);
-        GameManager.onCardDraw(this.currentPlayerIndex, cards);
+        this.listener.onCardDraw(this.currentPlayerIndex, cards);
         this.penaltyCard = undefined;
         this.penaltyPool = 0;
+        this.clearDrawFour();
       }
     }
   }
@@ -412,7 +880,7 @@ class PunoGame {
       debug_log("DEATH MATCH DRAW");
       let cards = this.drawCard(numCardsDiff);
       this.currentPlayer().deal(cards);
-      GameManager.onCardDraw(this.currentPlayerIndex, cards);
+      this.listener.onCardDraw(this.currentPlayerIndex, cards);
     }
   }
 
@@ -420,46 +888,186 @@ class PunoGame {
     debug_log("hand", this.currentPlayer().hand.slice());
     debug_log("CURRENT COLOR:", this.currentColor);
     debug_log("CURRENT VALUE:", this.currentValue);
+    if (this.canChallenge(this.currentPlayerIndex) &&
+        this.currentPlayer().strategy.chooseChallenge(
+            this, this.currentPlayerIndex)) {
+      // The turn goes on only if it was a bluff
+      if (!this.challenge()) {
+        return;
+      }
+    }
     if (this.penaltyCard != undefined) {
       this.getPenalty();
       return;
     }
-    let matchedCardIndex = this.currentPlayer().matching(this.currentColor,
-                                                         this.currentValue);
+    let matchedCardIndex = this.currentPlayer().strategy.chooseCard(
+        this, this.currentPlayerIndex);
     if (matchedCardIndex === -1) {
+      // Before the damage pool, which may freeze it again
+      const frozen = this.isCurrentPlayerDrawSkipped();
       if (this.gameMode === Mode.BATTLE_PUNO ||
-          this.gameMode === Mode.DEATH_MATCH) {
+          this.gameMode === Mode.DEATH_MATCH ||
+          this.gameMode === Mode.TEAM ||
+          this.gameMode === Mode.BLITZ) {
         this.processDeckDamage(this.currentPlayerIndex);
       }
-      const card = this.drawCard(1);
-      if (card[0] === undefined) {
+      if (frozen) {
+        debug_log("frozen => no draw");
+        return;
+      }
+      const cards = this.drawTurnCards();
+      if (cards.length === 0) {
         debug_log("deck empty => player knocked out");
         this.currentPlayer().knockOut = true;
       } else {
         debug_log("no matched card => draw");
-        this.currentPlayer().deal(card);
-        GameManager.onCardDraw(this.currentPlayerIndex, card);
+        this.currentPlayer().deal(cards);
+        this.listener.onCardDraw(this.currentPlayerIndex, cards);
+        const forcedCard = this.findForcedCard(cards);
+        if (forcedCard) {
+          this.discard(this.currentPlayer().hand.indexOf(forcedCard));
+        }
       }
     } else {
       this.discard(matchedCardIndex);
     }
   }
 
+  /**
+   * What the current player plays when its time is up, chosen by the
+   * strategy of its seat like a CPU would: the card forced by the rules,
+   * a card answering the penalty, or a matching card.
+   * @returns {Object} {card, ext} as given to discard, null to draw instead
+   */
+  chooseAutoPlay() {
+    const player = this.currentPlayer();
+    const strategy = player.strategy;
+    let index = -1;
+    if (this.forcedCard) {
+      index = player.hand.indexOf(this.forcedCard);
+    } else if (this.penaltyCard !== undefined) {
+      if (!this.penaltyCard.hasEffect(Effect.SKIP)) {
+        index = strategy.respondToPenalty(this, this.currentPlayerIndex);
+      }
+    } else {
+      index = strategy.chooseCard(this, this.currentPlayerIndex);
+    }
+    if (index < 0) {
+      return null;
+    }
+    const card = player.hand[index];
+    let ext = null;
+    if (this.isCardAbilitySelectionNeeded(card)) {
+      if (card.hasEffect(Effect.CLEAR_DAMAGE)) {
+        ext = strategy.chooseZeroMode(this, this.currentPlayerIndex);
+      } else if (card.hasEffect(Effect.TRADE) || card.value === Value.SEVEN) {
+        ext = strategy.chooseTradeTarget(this, this.currentPlayerIndex);
+      } else {
+        ext = strategy.chooseColor(this, this.currentPlayerIndex);
+      }
+    }
+    return {card: card, ext: ext};
+  }
+
+  /**
+   * The current player draws instead of playing a card: either takes the
+   * pending penalty draws, or the damage pool and one card from the deck,
+   * none when it's frozen.
+   */
+  processDraw() {
+    const penalty = this.penaltyCard !== undefined;
+    const frozen = !penalty && this.isCurrentPlayerDrawSkipped();
+    if (!penalty) {
+      this.processDeckDamage(this.currentPlayerIndex);
+    }
+    let cards = [];
+    if (penalty) {
+      cards = this.drawCard(Math.max(1, this.penaltyPool));
+    } else if (!frozen) {
+      cards = this.drawTurnCards();
+    }
+    this.penaltyCard = undefined;
+    this.penaltyPool = 0;
+    this.clearDrawFour();
+    this.currentPlayer().deal(cards);
+    // Nothing else can be played until then
+    this.forcedCard = penalty ? undefined : this.findForcedCard(cards);
+    this.listener.onCardDraw(this.currentPlayerIndex, cards);
+    return cards;
+  }
+
+  // One card, or until a playable one comes with drawUntilPlayable
+  drawTurnCards() {
+    let cards = [];
+    do {
+      const card = this.drawCard(1)[0];
+      if (card === undefined) {
+        break;
+      }
+      cards.push(card);
+    } while (this.rules.drawUntilPlayable &&
+             !this.isCardPlayable(cards[cards.length - 1]));
+    return cards;
+  }
+
+  // With forcePlay, the last card drawn has to be played if it can be
+  findForcedCard(cards) {
+    const card = cards[cards.length - 1];
+    if (!this.rules.forcePlay || !card || !this.isCardPlayable(card)) {
+      return undefined;
+    }
+    return card;
+  }
+
   processDeckDamage(player_id){
     if (this.gameMode === Mode.TRADITIONAL)  return;
-    this.processPlayerDamage(player_id, this.damagePool, this.damageTypes)
+    const value = this.damagePool;
+    const types = this.damageTypes.slice();
+    const source = this.damageSource;
+    this.processPlayerDamage(player_id, value, types, source)
+    if (value > 0) {
+      this.processElements(player_id, value, types, source);
+    }
     this.resetDamagePool();
     debug_log("reset damage pool");
   }
 
-  processPlayerDamage(player_id, value, dmg_types) {
+  // HP lost by the player, and dealt by source if it's another player
+  recordDamage(player_id, value, source) {
+    const player = this.players[player_id];
+    player.stats.damageTaken += value;
+    if (source === undefined || source == player_id || !this.players[source]) {
+      return;
+    }
+    this.players[source].stats.damageDealt += value;
+    if (value > 0 && player.knockOut) {
+      ++this.players[source].stats.knockOuts;
+    }
+  }
+
+  /**
+   * @param {number} source - the player credited for the damage in the
+   *                          statistics, none if omitted
+   */
+  processPlayerDamage(player_id, value, dmg_types, source) {
     value = (value || 0);
+    for (let status of this.players[player_id].statuses.slice()) {
+      value = status.onDamage(this, player_id, value, dmg_types);
+    }
     debug_log("RECEIVE DAMAGE");
     debug_log("HP:", this.players[player_id].hp + " => " + this.players[player_id].hp - value);
+    const hp = this.players[player_id].hp;
     this.players[player_id].hp = Math.max(this.players[player_id].hp - value, 0);
     this.players[player_id].knockOut = this.players[player_id].hp <= 0;
-    if(this.players[player_id].knockOut){this.players[player_id].damageStack = 0;}
-    GameManager.onHPChange(player_id, dmg_types);
+    this.recordDamage(player_id, hp - this.players[player_id].hp, source);
+    if(this.players[player_id].knockOut){
+      this.players[player_id].damageStack = 0;
+      this.players[player_id].statuses = [];
+    }
+    this.listener.onHPChange(player_id, dmg_types);
+    if (this.gameMode === Mode.TEAM) {
+      this.shareTeamHP(player_id, dmg_types);
+    }
     if(this.gameMode === Mode.DEATH_MATCH){
       for(let i in this.players){
         if(i == player_id || this.players[i].knockOut){continue;}
@@ -468,65 +1076,171 @@ class PunoGame {
     }
   }
 
+  /**
+   * The colors of the damage pool take effect on the player hit by it: red
+   * burns it for the next turns, blue freezes the draw of its next turn,
+   * green blows a card of its hand to the next player and yellow chains
+   * half of the damage to the next player
+   */
+  processElements(player_id, value, dmg_types, source) {
+    const player = this.players[player_id];
+    if (!player.knockOut) {
+      if (dmg_types[Color.RED]) {
+        debug_log("BURN");
+        player.addStatus(new BurnStatus(3, 1, Math.max(1, Math.floor(value / 10))));
+      }
+      if (dmg_types[Color.BLUE]) {
+        debug_log("FREEZE");
+        player.addStatus(new FreezeStatus(1));
+      }
+    }
+    if (this.numAlivePlayers() === 0) {
+      return;
+    }
+    const next = this.getNextAlivePlayerIndex(player_id);
+    if (next == player_id) {
+      return;
+    }
+    if (dmg_types[Color.GREEN]) {
+      debug_log("WIND");
+      this.blowCard(player_id, next);
+    }
+    if (dmg_types[Color.YELLOW]) {
+      debug_log("THUNDER");
+      let types = [false, false, false, false, false];
+      types[Color.YELLOW] = true;
+      this.processPlayerDamage(next, Math.max(1, Math.floor(value / 2)), types,
+                               source);
+    }
+  }
+
+  // A card of the player goes to the target, the last one is kept so the
+  // wind never empties a hand
+  blowCard(player_id, target) {
+    const player = this.players[player_id];
+    if (player.knockOut || player.hand.length < 2) {
+      return;
+    }
+    const index = this.rng.randInt(0, player.hand.length - 1);
+    const card = player.discard(index);
+    this.players[target].deal([card]);
+    this.listener.onCardPass(player_id, target, card);
+  }
+
+  // The statuses of the player take effect and count down as its turn begins
+  processStatusTurnStart() {
+    const player = this.currentPlayer();
+    for (let status of player.statuses.slice()) {
+      if (player.knockOut) {
+        break;
+      }
+      status.onTurnStart(this, this.currentPlayerIndex);
+      status.countDown();
+    }
+  }
+
+  // The ones counted down to 0 are over with the turn
+  processStatusTurnEnd(playerIndex) {
+    const player = this.players[playerIndex];
+    for (let status of player.statuses.slice()) {
+      status.onTurnEnd(this, playerIndex);
+    }
+    player.removeExpiredStatuses();
+  }
+
+  // The partners of the player take the same hit on the team HP
+  shareTeamHP(player_id, dmg_types) {
+    const player = this.players[player_id];
+    for (let i in this.players) {
+      if (i == player_id || !this.isTeammate(i, player_id)) {
+        continue;
+      }
+      this.players[i].hp = player.hp;
+      this.players[i].knockOut = player.knockOut;
+      if (player.knockOut) {
+        this.players[i].statuses = [];
+      }
+      this.listener.onHPChange(i, dmg_types);
+    }
+  }
+
   processPlayerExtraDamage(player_id){
     let pl = this.players[player_id];
     let ar = [];
     let types = [false, false, false, false, false];
     for(let i in pl.hand){ar.push(parseInt(pl.hand[i].color));}
-    ar = shuffleArray(ar);
-    types[ar[0]] = true;
-    let value = Math.max(1, parseInt(GameManager.initHP * pl.damageStack / 100.0))
+    types[this.rng.pick(ar)] = true;
+    let value = Math.max(1, parseInt(pl.initHP * pl.damageStack / 100.0))
     if(pl.damageStack > 0){this.processPlayerDamage(player_id, value, types);}
     pl.damageStack += 1;
   }
 
   endTurn() {
-    GameManager.onTurnEnd(this.currentPlayerIndex);
+    const playerIndex = this.currentPlayerIndex;
+    this.inTurn = false;
+    this.forcedCard = undefined;
+    if (this.scenario && playerIndex === 0) {
+      ++this.scenarioTurns;
+    }
+    this.processStatusTurnEnd(playerIndex);
+    if (this.unoTarget !== undefined && this.unoTarget != playerIndex) {
+      this.unoTarget = undefined;
+    }
     this.currentPlayerIndex = this.getNextPlayerIndex();
+    this.listener.onTurnEnd(playerIndex);
   }
 
-  getNextPlayerIndex() {
-    return this.clockwise ? mod(this.currentPlayerIndex + 1, 4)
-                          : mod(this.currentPlayerIndex - 1, 4);
+  getNextPlayerIndex(playerIndex=this.currentPlayerIndex) {
+    const numPlayers = this.players.length;
+    playerIndex = parseInt(playerIndex);
+    return this.clockwise ? mod(playerIndex + 1, numPlayers)
+                          : mod(playerIndex - 1, numPlayers);
   }
 
-  getNextAlivePlayerIndex() {
-    let nextAlivePlayerIndex = this.getNextPlayerIndex();
+  getNextAlivePlayerIndex(playerIndex=this.currentPlayerIndex) {
+    let nextAlivePlayerIndex = this.getNextPlayerIndex(playerIndex);
     while (this.players[nextAlivePlayerIndex].knockOut) {
       nextAlivePlayerIndex =
-          this.clockwise ? mod(nextAlivePlayerIndex + 1, 4)
-                         : mod(nextAlivePlayerIndex - 1, 4);
+          this.clockwise ? mod(nextAlivePlayerIndex + 1, this.players.length)
+                         : mod(nextAlivePlayerIndex - 1, this.players.length);
     }
     return nextAlivePlayerIndex;
   }
 
   scoreBoard() {
-    return [this.players[0].score, this.players[1].score,
-            this.players[2].score, this.players[3].score];
+    return this.players.map(player => player.score);
   }
 
   gameStart() {
-    GameManager.onGameStart()
+    this.gameOver = false;
+    this.listener.onGameStart();
     debug_log("SCORE GOAL", this.scoreGoal);
     this.roundStart();
   }
 
   roundStart() {
+    this.roundOver = false;
+    ++this.roundCount;
     this.initialize();
-    GameManager.onRoundStart();
+    this.listener.onRoundStart();
   }
 
   update() {
-    if (GameManager.isSceneBusy() || this.flagAIThinking)  return;
+    if (this.roundOver || this.flagAIThinking)  return;
+    if (this.listener.isSceneBusy())  return;
     if (this.isRoundOver())  return this.processResult();
-    if (GameManager.isInTurn()) {
+    if (this.inTurn) {
       if (this.gameMode === Mode.DEATH_MATCH) {
         this.replenish();
       }
+      if (this.processJumpIn()) {
+        return;
+      }
       this.endTurn();
     } else {
       debug_log(this.currentPlayer());
       this.processDeathMatchDamage();
+      this.processStatusTurnStart();
       if (!this.currentPlayer().knockOut) {
         this.processTurnAction();
       } else {
@@ -547,41 +1261,157 @@ class PunoGame {
   }
 
   processTurnAction() {
-    
+    this.inTurn = true;
     if (this.currentPlayer().ai) {
-      GameManager.onNPCTurnBegin(this.currentPlayerIndex);
+      this.listener.onNPCTurnBegin(this.currentPlayerIndex);
     } else {
-      GameManager.onUserTurnBegin(this.currentPlayerIndex);
+      this.listener.onUserTurnBegin(this.currentPlayerIndex);
     }
     if (this.isCurrentPlayerSkipped()) {
-      this.penaltyCard = undefined;
+      // A status skipping the turn is over with it
+      if (this.penaltyCard != undefined) {
+        this.penaltyCard = undefined;
+      }
       this.endTurn();
     } else if (this.currentPlayer().ai) {
       this.flagAIThinking = true;
-      EventManager.setTimeout(()=>{
+      this.listener.setTimeout(()=>{
         this.flagAIThinking = false;
         this.beginTurn();
       }, 30);
     }
   }
 
+  /**
+   * Save the whole table as plain data, meant to be called between two
+   * turns (e.g. in onTurnEnd) so the next turn starts right after restore.
+   */
+  serialize() {
+    const serializeCards = cards => cards.map(card => card.serialize());
+    return {
+      version: 1,
+      initCardNumber: this.initCardNumber,
+      initHP: this.initHP,
+      scoreGoal: this.scoreGoal,
+      extraCardDisabled: this.extraCardDisabled,
+      deckPreset: this.deckPreset,
+      gameMode: this.gameMode,
+      rules: this.rules.serialize(),
+      difficulties: this.difficulties,
+      seed: this.seed,
+      randomState: this.rng.state,
+      players: this.players.map(player => player.serialize()),
+      clockwise: this.clockwise,
+      currentPlayerIndex: this.currentPlayerIndex,
+      currentColor: this.currentColor,
+      currentValue: this.currentValue,
+      deck: serializeCards(this.deck.deck),
+      discardPile: serializeCards(this.discardPile),
+      penaltyCard: this.penaltyCard && this.penaltyCard.serialize(),
+      penaltyPool: this.penaltyPool,
+      forcedCard: this.forcedCard && this.forcedCard.serialize(),
+      jumpInRequest: this.jumpInRequest && {
+        playerIndex: this.jumpInRequest.playerIndex,
+        card: this.jumpInRequest.card.serialize(),
+        ext: this.jumpInRequest.ext
+      },
+      drawFourPlayer: this.drawFourPlayer,
+      drawFourColor: this.drawFourColor,
+      drawFourBluff: this.drawFourBluff,
+      unoTarget: this.unoTarget,
+      damagePool: this.damagePool,
+      damageSource: this.damageSource,
+      damageTypes: this.damageTypes.slice(),
+      timeLimit: this.timeLimit,
+      timeLeft: this.timeLeft,
+      roundCount: this.roundCount,
+      scenario: this.scenario,
+      scenarioTurns: this.scenarioTurns,
+      scenarioCleared: this.scenarioCleared
+    };
+  }
+
+  /**
+   * Rebuild a game from what serialize returned
+   * @param {Object} data - the saved game
+   * @param {Object} options - same as the constructor, except the seat
+   *                           settings which come from the save
+   */
+  static deserialize(data, options={}) {
+    if (data.version !== 1) {
+      throw new Error(`Unsupported save version: ${data.version}`);
+    }
+    options = Object.assign({}, options, {
+      seed: data.seed,
+      numPlayers: data.players.length,
+      difficulties: data.difficulties,
+      rules: data.rules,
+      deckPreset: data.deckPreset,
+      timeLimit: data.timeLimit,
+      scenario: data.scenario
+    });
+    let game = new PunoGame(data.initCardNumber, data.initHP, data.scoreGoal,
+                            data.extraCardDisabled, data.gameMode, options);
+    for (let i in game.players) {
+      game.players[i].restore(data.players[i]);
+    }
+    game.deck = new Deck(game.extraCardDisabled, game.rng, game.deckPreset);
+    game.deck.deck = data.deck.map(card => Card.deserialize(card));
+    game.rng.state = data.randomState;
+    game.discardPile = data.discardPile.map(card => Card.deserialize(card));
+    // The penalty card is the one on top of the discard pile
+    if (data.penaltyCard) {
+      game.penaltyCard = Card.deserialize(data.penaltyCard);
+    }
+    game.clockwise = data.clockwise;
+    game.currentPlayerIndex = data.currentPlayerIndex;
+    game.currentColor = data.currentColor;
+    game.currentValue = data.currentValue;
+    game.penaltyPool = data.penaltyPool;
+    // The card to play is the one drawn in the hand
+    if (data.forcedCard) {
+      const player = game.currentPlayer();
+      const index = player.findCard(Card.deserialize(data.forcedCard), true);
+      game.forcedCard = index === -1 ? undefined : player.hand[index];
+    }
+    if (data.jumpInRequest) {
+      game.jumpInRequest = Object.assign({}, data.jumpInRequest, {
+        card: Card.deserialize(data.jumpInRequest.card)
+      });
+    }
+    game.drawFourPlayer = data.drawFourPlayer;
+    game.drawFourColor = data.drawFourColor;
+    game.drawFourBluff = !!data.drawFourBluff;
+    game.unoTarget = data.unoTarget;
+    game.damagePool = data.damagePool;
+    game.damageSource = data.damageSource;
+    game.damageTypes = data.damageTypes.slice();
+    game.roundCount = data.roundCount || 1;
+    game.scenarioTurns = data.scenarioTurns || 0;
+    game.scenarioCleared = !!data.scenarioCleared;
+    if (data.timeLeft !== undefined) {
+      game.timeLeft = data.timeLeft;
+    }
+    return game;
+  }
+
   processResult() {
+    this.roundOver = true;
+    if (this.scenario) {
+      this.scenarioCleared = Scenario.checkGoal(this) > 0;
+    }
     this.gameResult();
     debug_log(this.scoreBoard());
     if (this.isGameOver()) {
-      GameManager.processGameOver();
+      this.gameOver = true;
+      this.listener.processGameOver();
     } else {
-      GameManager.processRoundOver();
+      this.listener.processRoundOver();
     }
   }
 }
 
 /************************** helper function **************************/
-function getRandom(a, b, filter=undefined) {
-  const random = Math.floor(Math.random() * (b - a + 1) + a);
-  return random != filter ? random : getRandom(a, b, filter);
-}
-
 function mod(n, m) {
   return ((n % m) + m) % m;
 }
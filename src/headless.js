@@ -0,0 +1,64 @@
+// Loads the game engine under Node, without PIXI or the browser page.
+// Usage:
+//   const {PunoGame, GameListener, Mode} = require('./src/headless.js');
+//   let game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+//                           {listener: new MyListener()});
+//   game.players[0].ai = true;
+//   game.gameStart();
+//   while (!game.gameOver) {
+//     game.roundOver ? game.roundStart() : game.update();
+//   }
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// Same order as they are loaded in index.html
+var scripts = [
+  'card/color.js',
+  'card/value.js',
+  'card/definition.js',
+  'card/card.js',
+  'effect.js',
+  'status.js',
+  'mode.js',
+  'rules.js',
+  'random.js',
+  'deck.js',
+  'player.js',
+  'scenario.js',
+  'campaign.js',
+  'strategy.js',
+  'listener.js',
+  'game.js',
+  'replay.js',
+  'achievement.js',
+  'online.js'
+];
+
+var context = vm.createContext({
+  console: console,
+  debug_log: function(){
+    if(process.env.PUNO_DEBUG){console.log.apply(console, arguments);}
+  }
+});
+
+scripts.forEach(function(filename){
+  var file = path.join(__dirname, filename);
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+});
+
+// The card types the page gets from js/assets.js
+context.cardData = JSON.parse(fs.readFileSync(
+  path.join(__dirname, '..', 'js', 'json', 'card.json'), 'utf8'));
+vm.runInContext('CardDefinition.load(cardData)', context);
+
+module.exports = vm.runInContext(
+  '({Color, Value, CardDefinition, Card, Effect, getCardEffects, ' +
+  'getElementEffect, Mode, Status, StatusEffect, RuleSet, Random, Deck, ' +
+  'Player, Scenario, Campaign, Difficulty, AIStrategy, GameListener, ' +
+  'PunoGame, ReplayVersion, encodeReplayCard, decodeReplayCard, ' +
+  'ReplayRecorder, ReplayTable, Achievement, AchievementTracker, ' +
+  'OnlineTable})',
+  context
+);
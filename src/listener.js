@@ -0,0 +1,32 @@
+/**
+ * The interface PunoGame reports its events to. Every hook does nothing by
+ * default, so a headless listener only overrides what it cares about.
+ * GameManager implements the same hooks to drive Scene_Game.
+ */
+class GameListener {
+  // Scheduled functions run immediately when there's nothing to animate
+  setTimeout(func, timer) {
+    func();
+  }
+
+  isSceneBusy() {
+    return false;
+  }
+
+  onGameStart() {}
+  onRoundStart() {}
+  onUserTurnBegin(playerIndex) {}
+  onNPCTurnBegin(playerIndex) {}
+  onTurnEnd(playerIndex) {}
+  onJumpIn(playerIndex) {}
+  onChallenge(playerIndex, targetIndex, success) {}
+  onUnoCall(playerIndex) {}
+  onUnoCatch(playerIndex, targetIndex) {}
+  onCardPlay(playerIndex, card, ext=null) {}
+  onCardDraw(playerIndex, cards, show=false) {}
+  onCardPass(playerIndex, targetIndex, card) {}
+  onHPChange(playerIndex, damageTypes) {}
+  onDamageChange() {}
+  processRoundOver() {}
+  processGameOver() {}
+}
@@ -1,5 +1,10 @@
 const Mode = {
   TRADITIONAL: 0,
   BATTLE_PUNO: 1,
-  DEATH_MATCH: 2
+  DEATH_MATCH: 2,
+  // Battle Puno in two teams of partners sitting across the table
+  TEAM: 3,
+  // Battle Puno against a clock for the whole match, the round being
+  // played when the time is up is the last one
+  BLITZ: 4
 };
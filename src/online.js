@@ -0,0 +1,168 @@
+/**
+ * The table of an online game: it follows the events sent by the server
+ * (see src/room.js) the way ReplayTable follows a log, turned so the seat
+ * of the user is always player 0. The moves of the user are sent to the
+ * server instead of being played, and come back as events.
+ * The cards of the others are hidden as code -1, decoded into cards with a
+ * negative numID.
+ */
+class OnlineTable extends ReplayTable {
+  /**
+   * @param {Object} log - the replay log sent when the game starts
+   * @param {number} seat - seat of the user on the server
+   * @param {function} send - sends a message to the server
+   */
+  constructor(log, seat, send) {
+    super(log);
+    this.seat = seat;
+    this.send = send;
+    for (let i in this.players) {
+      this.players[i].name = log.players[this.toSeat(i)];
+    }
+  }
+
+  static isHidden(card) {
+    return card.numID < 0;
+  }
+
+  toLocal(seat) {
+    return mod(seat - this.seat, this.players.length);
+  }
+
+  toSeat(index) {
+    return mod(parseInt(index) + this.seat, this.players.length);
+  }
+
+  // Seat order to table order
+  rotate(list) {
+    return this.players.map((player, i) => list[this.toSeat(i)]);
+  }
+
+  /**
+   * Queue an event from the server, next() applies it
+   * @param {Array} hand - the whole hand of the user if it changed
+   */
+  receive(event, hand) {
+    let local = Object.assign({}, event);
+    if (typeof event.player === 'number' && event.player >= 0) {
+      local.player = this.toLocal(event.player);
+    }
+    if (typeof event.target === 'number') {
+      local.target = this.toLocal(event.target);
+    }
+    if (event.hands) {
+      local.hands = this.rotate(event.hands);
+    }
+    if (event.type === 'play' && Array.isArray(event.ext) &&
+        this.isTargeting(decodeReplayCard(event.card))) {
+      local.ext = [event.ext[0], this.toLocal(event.ext[1])];
+    }
+    if (event.status) {
+      let status = Object.assign({}, event.status);
+      for (let key of ['current', 'drawFourPlayer', 'unoTarget']) {
+        if (typeof status[key] === 'number') {
+          status[key] = this.toLocal(status[key]);
+        }
+      }
+      for (let key of ['hp', 'knockOut', 'damageStack', 'statuses', 'score',
+                       'handPoints']) {
+        if (status[key]) {
+          status[key] = this.rotate(status[key]);
+        }
+      }
+      local.status = status;
+    }
+    if (hand) {
+      local.hand = hand;
+    }
+    this.events.push(local);
+  }
+
+  next() {
+    const event = this.events[this.position];
+    const step = super.next();
+    if (event.hand) {
+      this.syncHand(event.hand);
+    }
+    // The hand shown to the challenger
+    if (event.type === 'challenge' && event.cards && event.target !== 0) {
+      this.players[event.target].hand = event.cards.map(decodeReplayCard);
+    }
+    return step;
+  }
+
+  // A card the user can't see is played: it's the one played
+  takePlayedCard(event) {
+    const player = this.players[event.player];
+    const card = decodeReplayCard(event.card);
+    if (player && player.findCard(card, true) === -1) {
+      const index = player.hand.findIndex(OnlineTable.isHidden);
+      if (index > -1) {
+        player.hand[index] = card;
+      }
+    }
+    return super.takePlayedCard(event);
+  }
+
+  // Same as a card played, the one blown may not be seen yet
+  takePassedCard(event) {
+    const player = this.players[event.player];
+    const card = decodeReplayCard(event.card);
+    if (player.findCard(card, true) === -1) {
+      const index = player.hand.findIndex(OnlineTable.isHidden);
+      if (index > -1) {
+        player.hand[index] = card;
+      }
+    }
+    return super.takePassedCard(event);
+  }
+
+  // The cards kept in hand stay the same instances, with their sprites
+  syncHand(codes) {
+    let hand = this.players[0].hand.slice();
+    this.players[0].hand = codes.map(code => {
+      const card = decodeReplayCard(code);
+      const index = hand.findIndex(c => c.isEqual(card, true));
+      return index > -1 ? hand.splice(index, 1)[0] : card;
+    });
+  }
+
+  // Cards whose ext is a player
+  isTargeting(card) {
+    return card.value === Value.TRADE ||
+           (card.value === Value.SEVEN && this.rules.sevenZero);
+  }
+
+  discard(cardIndex, ext=null) {
+    this.sendPlay(this.players[0].hand[cardIndex], ext);
+  }
+
+  // The server takes a play out of turn as jumping in
+  requestJumpIn(playerIndex, card, ext=null) {
+    this.sendPlay(card, ext);
+  }
+
+  sendPlay(card, ext) {
+    if (this.isTargeting(card)) {
+      ext = this.toSeat(ext);
+    }
+    this.send({type: 'play', card: encodeReplayCard(card), ext: ext});
+  }
+
+  processDraw() {
+    this.send({type: 'draw'});
+  }
+
+  // The result comes back as a challenge event
+  challenge() {
+    this.send({type: 'challenge'});
+  }
+
+  callUno(playerIndex) {
+    this.send({type: 'uno'});
+  }
+
+  catchUno(playerIndex) {
+    this.send({type: 'catch'});
+  }
+}
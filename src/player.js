@@ -2,12 +2,19 @@ class Player {
   constructor(name, initHP, AI=true) {
     this.name = name;
     this.score = 0;
+    // Points left in hand when the last round was over
+    this.handPoints = 0;
     this.initHP = initHP;
     this.hp = initHP;
     this.ai = AI;
     this.knockOut = false;
     this.hand = [];
     this.damageStack = 0;
+    this.unoCalled = false;
+    // StatusEffect instances, one per status id
+    this.statuses = [];
+    // Counted over the whole game, cardsPlayed by value name
+    this.stats = {damageDealt: 0, damageTaken: 0, knockOuts: 0, cardsPlayed: {}};
   }
 
   reset() {
@@ -15,14 +22,25 @@ class Player {
     this.hand.length = 0;
     this.knockOut = false;
     this.damageStack = 0;
+    this.unoCalled = false;
+    this.statuses = [];
   }
 
   deal(cards) {
     this.hand = this.hand.concat(cards);
     this.sortHand();
+    // The call only holds down to the last card
+    if (this.hand.length > 2) {
+      this.unoCalled = false;
+    }
     return this.hand;
   }
 
+  recordPlay(card) {
+    const name = CardDefinition.get(card.value).name;
+    this.stats.cardsPlayed[name] = (this.stats.cardsPlayed[name] || 0) + 1;
+  }
+
   sortHand() {
     this.hand.sort(function(a, b) {
       if (a.color === b.color) {
@@ -64,7 +82,7 @@ class Player {
     return this.hand.splice(index, 1)[0];
   }
 
-  matching(color, value) {
+  matching(color, value, rng) {
     let matched = [];
     for (let i in this.hand) {
       if (this.hand[i].isMatched(color, value)) {
@@ -72,7 +90,7 @@ class Player {
       }
     }
     if (matched.length === 0)  return -1;
-    return matched[Math.floor(Math.random() * matched.length)];
+    return rng.pick(matched);
   }
 
   findAllCardsByColor(color) {
@@ -85,19 +103,30 @@ class Player {
     return matched.reverse();
   }
 
-  receivePenalty(penaltyCard, currentColor) {
-    if (penaltyCard.value === Value.SKIP) {
+  // The first card with the effect, of the color unless it's -1
+  findCardByEffect(effect, color=-1) {
+    for (let i in this.hand) {
+      if ((color === -1 || this.hand[i].color === color) &&
+          this.hand[i].hasEffect(effect)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  receivePenalty(penaltyCard, currentColor, rules) {
+    if (penaltyCard.hasEffect(Effect.SKIP)) {
       return -1;
     }
-    let matchedCard = this.findCard(new Card(currentColor, Value.SKIP), false);
+    let matchedCard = this.findCardByEffect(Effect.SKIP, currentColor);
     if (matchedCard === -1) {
-      matchedCard = this.findCard(new Card(currentColor, Value.REVERSE), false);
+      matchedCard = this.findCardByEffect(Effect.REVERSE, currentColor);
     }
-    if(matchedCard === -1 && GameManager.game.gameMode === Mode.DEATH_MATCH){
-      matchedCard = this.findCard(new Card(-1, Value.DRAW_TWO), false);
+    if(matchedCard === -1 && rules.stacking){
+      matchedCard = this.findCardByEffect(Effect.DRAW_TWO);
     }
-    if(matchedCard === -1 && GameManager.game.gameMode === Mode.DEATH_MATCH){
-      matchedCard = this.findCard(new Card(-1, Value.WILD_DRAW_FOUR), false);
+    if(matchedCard === -1 && rules.stacking){
+      matchedCard = this.findCardByEffect(Effect.DRAW_FOUR);
     }
     return matchedCard;
   }
@@ -106,8 +135,59 @@ class Player {
     return this.hand.length === 0;
   }
 
+  findStatus(id) {
+    return this.statuses.find(status => status.id === id);
+  }
+
+  addStatus(status) {
+    const current = this.findStatus(status.id);
+    if (current) {
+      current.merge(status);
+    } else {
+      this.statuses.push(status);
+    }
+  }
+
+  removeExpiredStatuses() {
+    this.statuses = this.statuses.filter(status => !status.expired);
+  }
+
   uno() {
     debug_log(this.name, "CALL UNO!!!");
+    this.unoCalled = true;
+  }
+
+  serialize() {
+    return {
+      name: this.name,
+      score: this.score,
+      hp: this.hp,
+      ai: this.ai,
+      knockOut: this.knockOut,
+      damageStack: this.damageStack,
+      unoCalled: this.unoCalled,
+      handPoints: this.handPoints,
+      statuses: this.statuses.map(status => status.serialize()),
+      hand: this.hand.map(card => card.serialize()),
+      stats: this.stats
+    };
+  }
+
+  // Hand order is kept as it was saved
+  restore(data) {
+    this.name = data.name;
+    this.score = data.score;
+    this.hp = data.hp;
+    this.ai = data.ai;
+    this.knockOut = data.knockOut;
+    this.damageStack = data.damageStack;
+    this.unoCalled = !!data.unoCalled;
+    this.handPoints = data.handPoints || 0;
+    this.statuses = (data.statuses || []).map(StatusEffect.deserialize);
+    this.hand = data.hand.map(card => Card.deserialize(card));
+    if (data.stats) {
+      this.stats = data.stats;
+    }
   }
 
   cardsPointSum() {
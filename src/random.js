@@ -0,0 +1,35 @@
+/**
+ * Seedable pseudo random number generator (mulberry32). Everything random
+ * in a game draws from one instance, so the same seed replays the same game.
+ */
+class Random {
+  constructor(seed=Random.newSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  static newSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  // Float in [0, 1), same as Math.random
+  random() {
+    let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Integer in [a, b], never equals to filter
+  randInt(a, b, filter=undefined) {
+    let n = undefined;
+    do {
+      n = Math.floor(this.random() * (b - a + 1) + a);
+    } while (n === filter);
+    return n;
+  }
+
+  pick(array) {
+    return array[Math.floor(this.random() * array.length)];
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * Version of the replay log format, bumped whenever the events change
+ */
+const ReplayVersion = 1;
+
+// A card is written as one integer: numID, color and value
+function encodeReplayCard(card) {
+  return ((card.numID || 0) * 5 + card.color) * 32 + card.value;
+}
+
+function decodeReplayCard(code) {
+  let card = new Card(Math.floor(code / 32) % 5, code % 32);
+  card.numID = Math.floor(code / 160);
+  return card;
+}
+
+/**
+ * Records the events of a game into a replay log and passes them on to
+ * another listener. The log looks like:
+ *   {version, settings, seed, players: [names], events: [...]}
+ * Every event has a type and, if anything changed on the table since the
+ * previous event, a status with the changed fields only (see tableStatus):
+ *   deal   {hands, top}            hands and first card of a round, also
+ *                                  covers the draws choosing the dealer
+ *   turn   {player, jumpIn}        a turn begins, pending penalty is in status,
+ *                                  jumpIn if the player plays out of turn
+ *   draw   {player, cards, show}
+ *   pass   {player, target, card}  the card of player is blown to target
+ *   play   {player, card, ext}     ext as given to onCardPlay
+ *   damage {player, types}         types are the colors of the damage
+ *   challenge {player, target, success, cards}
+ *                                  the player challenges the Wild Draw Four
+ *                                  of target, cards is the hand revealed
+ *   uno    {player}                the player calls PUNO
+ *   catch  {player, target}        target is caught without calling PUNO
+ *   result {gameOver}              round over, scores are in status
+ */
+class ReplayRecorder extends GameListener {
+  constructor(listener=new GameListener()) {
+    super();
+    this.listener = listener;
+    this.game = null;
+    this.log = null;
+    this.status = {};
+    this.dealing = true;
+  }
+
+  attach(game) {
+    this.game = game;
+    this.log = {
+      version: ReplayVersion,
+      settings: {
+        initCardNumber: game.initCardNumber,
+        initHP: game.initHP,
+        scoreGoal: game.scoreGoal,
+        extraCardDisabled: game.extraCardDisabled,
+        deckPreset: game.deckPreset,
+        gameMode: game.gameMode,
+        timeLimit: game.timeLimit,
+        rules: game.rules.serialize()
+      },
+      seed: game.seed,
+      players: game.players.map(player => player.name),
+      events: []
+    };
+  }
+
+  tableStatus() {
+    const game = this.game;
+    // undefined is lost in JSON
+    const orNull = n => n === undefined ? null : n;
+    return {
+      current: orNull(game.currentPlayerIndex),
+      clockwise: game.clockwise,
+      color: orNull(game.currentColor),
+      value: orNull(game.currentValue),
+      penaltyCard: game.penaltyCard ? encodeReplayCard(game.penaltyCard) : null,
+      penaltyPool: game.penaltyPool,
+      forcedCard: game.forcedCard ? encodeReplayCard(game.forcedCard) : null,
+      drawFourPlayer: orNull(game.drawFourPlayer),
+      drawFourColor: orNull(game.drawFourColor),
+      unoTarget: orNull(game.unoTarget),
+      damagePool: game.damagePool,
+      deck: game.deck ? game.deck.length : 0,
+      pile: game.discardPile.length,
+      hp: game.players.map(player => player.hp),
+      knockOut: game.players.map(player => player.knockOut),
+      damageStack: game.players.map(player => player.damageStack),
+      statuses: game.players.map(
+          player => player.statuses.map(status => status.serialize())),
+      score: game.scoreBoard(),
+      handPoints: game.players.map(player => player.handPoints),
+      // Whole seconds, so it only changes once in a while
+      clock: Math.ceil(game.timeLeft)
+    };
+  }
+
+  record(event) {
+    const status = this.tableStatus();
+    let changed = {};
+    for (let key in status) {
+      if (JSON.stringify(status[key]) !== JSON.stringify(this.status[key])) {
+        changed[key] = status[key];
+      }
+    }
+    if (Object.keys(changed).length > 0) {
+      event.status = changed;
+    }
+    this.status = status;
+    this.log.events.push(event);
+  }
+
+  // Writes the whole table, replays can be seeked from here
+  recordDeal() {
+    const top = this.game.lastCard();
+    this.status = {};
+    this.dealing = false;
+    this.record({
+      type: 'deal',
+      hands: this.game.players.map(player => player.hand.map(encodeReplayCard)),
+      top: top ? encodeReplayCard(top) : null
+    });
+  }
+
+  setTimeout(func, timer) {
+    this.listener.setTimeout(func, timer);
+  }
+
+  isSceneBusy() {
+    return this.listener.isSceneBusy();
+  }
+
+  onGameStart() {
+    this.listener.onGameStart();
+  }
+
+  onRoundStart() {
+    this.recordDeal();
+    this.listener.onRoundStart();
+  }
+
+  onUserTurnBegin(playerIndex) {
+    this.record({type: 'turn', player: parseInt(playerIndex)});
+    this.listener.onUserTurnBegin(playerIndex);
+  }
+
+  onNPCTurnBegin(playerIndex) {
+    this.record({type: 'turn', player: parseInt(playerIndex)});
+    this.listener.onNPCTurnBegin(playerIndex);
+  }
+
+  onTurnEnd(playerIndex) {
+    this.listener.onTurnEnd(playerIndex);
+  }
+
+  onJumpIn(playerIndex) {
+    this.record({type: 'turn', player: parseInt(playerIndex), jumpIn: true});
+    this.listener.onJumpIn(playerIndex);
+  }
+
+  onChallenge(playerIndex, targetIndex, success) {
+    this.record({
+      type: 'challenge',
+      player: parseInt(playerIndex),
+      target: parseInt(targetIndex),
+      success: success,
+      cards: this.game.players[targetIndex].hand.map(encodeReplayCard)
+    });
+    this.listener.onChallenge(playerIndex, targetIndex, success);
+  }
+
+  onUnoCall(playerIndex) {
+    this.record({type: 'uno', player: parseInt(playerIndex)});
+    this.listener.onUnoCall(playerIndex);
+  }
+
+  onUnoCatch(playerIndex, targetIndex) {
+    this.record({type: 'catch', player: parseInt(playerIndex),
+                 target: parseInt(targetIndex)});
+    this.listener.onUnoCatch(playerIndex, targetIndex);
+  }
+
+  onCardPlay(playerIndex, card, ext=null) {
+    if (!this.dealing) {
+      let event = {type: 'play', player: parseInt(playerIndex),
+                   card: encodeReplayCard(card)};
+      if (ext !== null && ext !== undefined) {
+        event.ext = ext;
+      }
+      this.record(event);
+    }
+    return this.listener.onCardPlay(playerIndex, card, ext);
+  }
+
+  onCardDraw(playerIndex, cards, show=false) {
+    if (!this.dealing && cards.length > 0) {
+      let event = {type: 'draw', player: parseInt(playerIndex),
+                   cards: cards.map(encodeReplayCard)};
+      if (show) {
+        event.show = true;
+      }
+      this.record(event);
+    }
+    return this.listener.onCardDraw(playerIndex, cards, show);
+  }
+
+  onCardPass(playerIndex, targetIndex, card) {
+    this.record({type: 'pass', player: parseInt(playerIndex),
+                 target: parseInt(targetIndex), card: encodeReplayCard(card)});
+    this.listener.onCardPass(playerIndex, targetIndex, card);
+  }
+
+  onHPChange(playerIndex, damageTypes) {
+    let types = [];
+    for (let i in damageTypes) {
+      if (damageTypes[i]) {
+        types.push(parseInt(i));
+      }
+    }
+    this.record({type: 'damage', player: parseInt(playerIndex), types: types});
+    this.listener.onHPChange(playerIndex, damageTypes);
+  }
+
+  onDamageChange() {
+    this.listener.onDamageChange();
+  }
+
+  processRoundOver() {
+    this.record({type: 'result'});
+    this.dealing = true;
+    this.listener.processRoundOver();
+  }
+
+  processGameOver() {
+    this.record({type: 'result', gameOver: true});
+    this.dealing = true;
+    this.listener.processGameOver();
+  }
+}
+
+/**
+ * A table that follows a replay log instead of playing: next() applies one
+ * event and seek() jumps to any position. It never runs the turns itself,
+ * the rest of PunoGame is only there for the scene to read the table.
+ */
+class ReplayTable extends PunoGame {
+  constructor(log) {
+    if (!ReplayTable.isLogValid(log)) {
+      throw new Error(`Unsupported replay version: ${log && log.version}`);
+    }
+    const settings = log.settings;
+    super(settings.initCardNumber, settings.initHP, settings.scoreGoal,
+          settings.extraCardDisabled, settings.gameMode,
+          {seed: log.seed, numPlayers: log.players.length,
+           rules: settings.rules, deckPreset: settings.deckPreset,
+           timeLimit: settings.timeLimit});
+    for (let i in this.players) {
+      this.players[i].name = log.players[i];
+    }
+    this.events = log.events;
+    this.position = 0;
+    // Only the number of cards left is recorded
+    this.deck = {length: 0};
+  }
+
+  static isLogValid(log) {
+    return !!log && log.version === ReplayVersion && Array.isArray(log.events);
+  }
+
+  get ended() {
+    return this.position >= this.events.length;
+  }
+
+  update() {}
+
+  // The clock comes from the log
+  tick(seconds) {}
+
+  /**
+   * Apply the next event
+   * @returns {Object} - the event with its cards as the Card instances on
+   *                     the table: {type, player, cards, card, ext, types,
+   *                     target, success}
+   */
+  next() {
+    const event = this.events[this.position++];
+    let step = {type: event.type, player: event.player, ext: event.ext,
+                gameOver: !!event.gameOver};
+    switch (event.type) {
+      case 'deal':
+        for (let i in this.players) {
+          this.players[i].reset();
+          this.players[i].hand = event.hands[i].map(decodeReplayCard);
+        }
+        this.discardPile = event.top === null ? [] : [decodeReplayCard(event.top)];
+        step.card = this.lastCard();
+        break;
+      case 'draw':
+        step.cards = event.cards.map(decodeReplayCard);
+        this.players[event.player].deal(step.cards);
+        break;
+      case 'pass':
+        step.target = event.target;
+        step.card = this.takePassedCard(event);
+        this.players[event.target].deal([step.card]);
+        break;
+      case 'play':
+        step.card = this.takePlayedCard(event);
+        this.discardPile.push(step.card);
+        break;
+      case 'challenge':
+        step.target = event.target;
+        step.success = event.success;
+        break;
+      case 'uno':
+        this.players[event.player].uno();
+        break;
+      case 'catch':
+        step.target = event.target;
+        break;
+      case 'damage':
+        step.types = [false, false, false, false, false];
+        for (let i in event.types) {
+          step.types[event.types[i]] = true;
+        }
+        break;
+    }
+    this.applyStatus(event.status || {});
+    return step;
+  }
+
+  // The first card of a round is played by nobody (-1)
+  takePlayedCard(event) {
+    const card = decodeReplayCard(event.card);
+    const player = this.players[event.player];
+    if (!player) {
+      return card;
+    }
+    const index = player.findCard(card, true);
+    if (index === -1) {
+      return card;
+    }
+    const played = player.discard(index);
+    const effects = getCardEffects(played, event.ext, this.rules);
+    // Same as PunoGame.trade, hands were swapped before the event
+    if (effects.includes(Effect.TRADE) && Array.isArray(event.ext)) {
+      const target = this.players[event.ext[1]];
+      if (target && !player.knockOut && !target.knockOut) {
+        [player.hand, target.hand] = [target.hand, player.hand];
+      }
+    } else if (effects.includes(Effect.ROTATE_HANDS)) {
+      this.rotateHands();
+    }
+    return played;
+  }
+
+  // The card blown by the wind, the instance of the hand when it's there
+  takePassedCard(event) {
+    const card = decodeReplayCard(event.card);
+    const player = this.players[event.player];
+    const index = player.findCard(card, true);
+    return index === -1 ? card : player.discard(index);
+  }
+
+  applyStatus(status) {
+    const keys = {
+      current: 'currentPlayerIndex',
+      clockwise: 'clockwise',
+      color: 'currentColor',
+      value: 'currentValue',
+      penaltyPool: 'penaltyPool',
+      drawFourPlayer: 'drawFourPlayer',
+      drawFourColor: 'drawFourColor',
+      unoTarget: 'unoTarget',
+      damagePool: 'damagePool',
+      clock: 'timeLeft'
+    };
+    for (let key in keys) {
+      if (key in status) {
+        this[keys[key]] = status[key] === null ? undefined : status[key];
+      }
+    }
+    if ('penaltyCard' in status) {
+      this.penaltyCard = status.penaltyCard === null ? undefined :
+                         decodeReplayCard(status.penaltyCard);
+    }
+    if ('forcedCard' in status) {
+      this.forcedCard = status.forcedCard === null ? undefined :
+                        decodeReplayCard(status.forcedCard);
+    }
+    if ('deck' in status) {
+      this.deck.length = status.deck;
+    }
+    // The discard pile was shuffled back into the deck
+    if ('pile' in status && status.pile < this.discardPile.length) {
+      this.discardPile.splice(0, this.discardPile.length - status.pile);
+    }
+    if ('statuses' in status) {
+      for (let i in this.players) {
+        this.players[i].statuses =
+            status.statuses[i].map(StatusEffect.deserialize);
+      }
+    }
+    const fields = ['hp', 'knockOut', 'damageStack', 'score', 'handPoints'];
+    for (let i in fields) {
+      if (!(fields[i] in status)) {
+        continue;
+      }
+      for (let j in this.players) {
+        this.players[j][fields[i]] = status[fields[i]][j];
+      }
+    }
+  }
+
+  /**
+   * Jump right before the event at position, replaying silently from the
+   * deal of its round. The first deal is always applied.
+   */
+  seek(position) {
+    position = Math.max(1, Math.min(position, this.events.length));
+    let start = position - 1;
+    while (start > 0 && this.events[start].type !== 'deal') {
+      --start;
+    }
+    this.position = start;
+    while (this.position < position) {
+      this.next();
+    }
+  }
+}
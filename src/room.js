@@ -0,0 +1,690 @@
+// Game rooms of the LAN server: every room runs an authoritative PunoGame,
+// the browsers only send their moves and receive the table events.
+// Messages are JSON objects with a type, from the client:
+//   list                          rooms waiting for players
+//   create {name, options}        options: name (of the room), mode,
+//                                 initCardNumber, initHP, scoreGoal,
+//                                 extraCardDisabled, numPlayers, difficulties
+//                                 (of the CPU seats in order), rules (see
+//                                 RuleSet), deckPreset (see Deck)
+//   join   {name, code}
+//   leave
+//   ready  {ready}
+//   kick   {seat}                 host only, the seat is open again
+//   fill   {seat}                 host only, a CPU takes the open seat, all
+//                                 open seats if omitted
+//   start                         host only when the others are ready, open
+//                                 seats are played by CPU
+//   play   {card, ext}            card as encoded in replay logs, ext as
+//                                 given to PunoGame.discard, out of turn it
+//                                 jumps in if the rules allow
+//   draw
+//   challenge                     the Wild Draw Four the seat has to draw for
+//   uno                           call PUNO, at any time
+//   catch                         catch the player who didn't call PUNO
+// and from the server:
+//   rooms  {rooms}                answer of list
+//   joined {code, seat}
+//   room   {room}                 whenever the seats or the state change
+//   start  {seat, log}            log is a replay log without events
+//   event  {event, hand}          replay event seen from the seat, hand is
+//                                 the whole hand of the seat when it changed
+//   kicked
+//   error  {message}
+
+const {Effect, getCardEffects, Mode, RuleSet, Deck, Difficulty, PunoGame,
+       ReplayRecorder, encodeReplayCard,
+       decodeReplayCard} = require('./headless.js');
+
+// Engine timers count frames, slowed down so the browsers have the time
+// to animate them
+const FRAME_TIME = 1000 / 30;
+// Frames before the next round starts
+const ROUND_INTERVAL = 180;
+// Card codes of the other players' hands are hidden as this
+const HIDDEN_CARD = -1;
+
+const DefaultRoomOptions = {
+  name: '',
+  mode: Mode.BATTLE_PUNO,
+  initCardNumber: 7,
+  initHP: 200,
+  scoreGoal: 500,
+  extraCardDisabled: false,
+  numPlayers: 4,
+  difficulties: [],
+  rules: new RuleSet().serialize(),
+  deckPreset: null
+};
+
+// Same limits as the game options of the title screen
+const RoomOptionLimits = {
+  initCardNumber: [4, 10],
+  initHP: [50, 1000],
+  scoreGoal: [100, 5000],
+  numPlayers: [2, 8]
+};
+
+function parseRoomOptions(options={}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid room options');
+  }
+  let result = Object.assign({}, DefaultRoomOptions);
+  if (Object.values(Mode).indexOf(options.mode) > -1) {
+    result.mode = options.mode;
+  }
+  if (typeof options.name === 'string') {
+    result.name = options.name.trim().slice(0, 24);
+  }
+  for (let key in RoomOptionLimits) {
+    const n = options[key];
+    const [min, max] = RoomOptionLimits[key];
+    if (Number.isInteger(n) && min <= n && n <= max) {
+      result[key] = n;
+    }
+  }
+  if (result.mode === Mode.TEAM) {
+    result.numPlayers = PunoGame.numTeamPlayers;
+  }
+  result.extraCardDisabled = !!options.extraCardDisabled;
+  if (options.rules && typeof options.rules === 'object') {
+    result.rules = new RuleSet(options.rules).serialize();
+  }
+  // A preset that can't deal the hands is left for the standard deck
+  if (options.deckPreset) {
+    const preset = Deck.parsePreset(options.deckPreset);
+    const numDealt = result.numPlayers * result.initCardNumber;
+    if (Deck.isPlayable(result.extraCardDisabled, preset, numDealt,
+                        result.numPlayers)) {
+      result.deckPreset = preset;
+    }
+  }
+  const levels = Object.values(Difficulty);
+  const difficulties = Array.isArray(options.difficulties) ?
+                       options.difficulties : [];
+  result.difficulties = [];
+  for (let i = 0; i < result.numPlayers; ++i) {
+    result.difficulties.push(levels.indexOf(difficulties[i]) > -1 ?
+                             difficulties[i] : Difficulty.NORMAL);
+  }
+  return result;
+}
+
+/**
+ * One table of the server. It listens to its own game and forwards the
+ * recorded events to the seats, hiding the cards they shouldn't see.
+ * A seat is null when open, a client, or {cpu: true} when filled by CPU.
+ */
+class GameRoom extends ReplayRecorder {
+  constructor(code, options) {
+    super();
+    this.code = code;
+    this.options = parseRoomOptions(options);
+    this.seats = new Array(this.options.numPlayers).fill(null);
+    this.host = null;
+    this.game = null;
+    this.pending = 0;
+    this.waiting = null;
+    this.advancing = false;
+    this.timers = [];
+    this.hands = [];
+    // When the blitz clock was last run, null between rounds
+    this.clockTime = null;
+  }
+
+  get started() {
+    return !!this.game;
+  }
+
+  get clients() {
+    return this.seats.filter(seat => seat !== null && !seat.cpu);
+  }
+
+  isEveryoneReady() {
+    return this.clients.every(client => client.ready || client.seat === this.host);
+  }
+
+  info() {
+    return {
+      code: this.code,
+      options: this.options,
+      started: this.started,
+      host: this.host,
+      seats: this.seats.map(seat => {
+        if (seat === null) {
+          return null;
+        }
+        return seat.cpu ? {cpu: true} : {name: seat.name, ready: seat.ready};
+      })
+    };
+  }
+
+  send(client, message) {
+    client.connection.send(JSON.stringify(message));
+  }
+
+  broadcast(message) {
+    for (let client of this.clients) {
+      this.send(client, message);
+    }
+  }
+
+  broadcastInfo() {
+    this.broadcast({type: 'room', room: this.info()});
+  }
+
+  /**
+   * @returns {number} - the seat taken, -1 if the room is full
+   */
+  join(client) {
+    const seat = this.seats.indexOf(null);
+    if (this.started || seat === -1) {
+      return -1;
+    }
+    this.seats[seat] = client;
+    client.ready = false;
+    if (this.host === null) {
+      this.host = seat;
+    }
+    client.room = this;
+    client.seat = seat;
+    this.send(client, {type: 'joined', code: this.code, seat: seat});
+    this.broadcastInfo();
+    return seat;
+  }
+
+  // The CPU takes over the seat of a player leaving a started game
+  leave(client) {
+    const seat = client.seat;
+    this.seats[seat] = this.started ? {cpu: true} : null;
+    client.room = null;
+    client.seat = null;
+    if (this.host === seat) {
+      const next = this.clients[0];
+      this.host = next ? next.seat : null;
+    }
+    if (this.started) {
+      if (this.clients.length === 0) {
+        return this.stop();
+      }
+      this.game.players[seat].ai = true;
+      if (this.waiting === seat) {
+        this.waiting = null;
+        this.game.flagAIThinking = true;
+        this.setTimeout(() => {
+          this.game.flagAIThinking = false;
+          this.autoPlay();
+        }, 30);
+      }
+    }
+    this.broadcastInfo();
+  }
+
+  // The turn of a player leaving goes on from where it was, as the turn
+  // timer plays it offline: a card drawn under forcePlay is still the one
+  // played
+  autoPlay() {
+    const game = this.game;
+    let play = game.chooseAutoPlay();
+    if (!play) {
+      game.processDraw();
+      play = game.forcedCard !== undefined ? game.chooseAutoPlay() : null;
+    }
+    if (play) {
+      game.discard(game.currentPlayer().hand.indexOf(play.card), play.ext);
+    }
+  }
+
+  // Open seats are filled, or emptied if it is a CPU
+  toggleCPU(seat) {
+    if (this.seats[seat] === null) {
+      this.seats[seat] = {cpu: true};
+    } else if (this.seats[seat].cpu) {
+      this.seats[seat] = null;
+    }
+    this.broadcastInfo();
+  }
+
+  fillCPU() {
+    for (let i in this.seats) {
+      if (this.seats[i] === null) {
+        this.seats[i] = {cpu: true};
+      }
+    }
+    this.broadcastInfo();
+  }
+
+  setReady(client, ready) {
+    client.ready = !!ready;
+    this.broadcastInfo();
+  }
+
+  start() {
+    const options = this.options;
+    // Every CPU seat takes the next difficulty, like CPU1~CPU7 offline
+    let difficulties = [], cpu = 0;
+    for (let i in this.seats) {
+      const human = this.seats[i] && !this.seats[i].cpu;
+      difficulties.push(human ? Difficulty.NORMAL : options.difficulties[cpu++]);
+    }
+    this.game = new PunoGame(options.initCardNumber, options.initHP,
+                             options.scoreGoal, options.extraCardDisabled,
+                             options.mode, {
+      listener: this,
+      numPlayers: options.numPlayers,
+      difficulties: difficulties,
+      rules: options.rules,
+      deckPreset: options.deckPreset
+    });
+    cpu = 0;
+    for (let i in this.seats) {
+      const seat = this.seats[i];
+      const human = seat !== null && !seat.cpu;
+      this.game.players[i].ai = !human;
+      this.game.players[i].name = human ? seat.name : 'CPU' + (++cpu);
+    }
+    this.attach(this.game);
+    this.dealing = true;
+    this.hands = [];
+    for (let client of this.clients) {
+      this.send(client, {type: 'start', seat: client.seat, log: this.log});
+    }
+    this.broadcastInfo();
+    this.clockTime = Date.now();
+    this.game.gameStart();
+    this.advance();
+  }
+
+  // Back to waiting for players
+  stop() {
+    for (let timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers = [];
+    this.pending = 0;
+    this.waiting = null;
+    this.game = null;
+    for (let client of this.clients) {
+      client.ready = false;
+    }
+    this.broadcastInfo();
+  }
+
+  /**
+   * Run the game until it waits for a human player or a timer
+   */
+  advance() {
+    if (this.advancing) {
+      return;
+    }
+    this.advancing = true;
+    const game = this.game;
+    this.runClock();
+    while (game === this.game && game && !game.gameOver && !game.roundOver &&
+           !game.flagAIThinking && !this.isSceneBusy()) {
+      game.update();
+    }
+    this.advancing = false;
+  }
+
+  // The blitz clock runs in real time, it is checked whenever the game goes on
+  runClock() {
+    const now = Date.now();
+    if (this.game && this.clockTime !== null) {
+      this.game.tick((now - this.clockTime) / 1000);
+    }
+    this.clockTime = now;
+  }
+
+  /**
+   * Checks a move of the seat in its turn, or out of turn to jump in
+   * @returns {string} - the reason the move is refused, null if it's valid
+   */
+  validatePlay(seat, cardCode, ext, jumpIn=false) {
+    const game = this.game;
+    if (!game || (!jumpIn && (this.waiting !== seat || this.pending > 0))) {
+      return 'Not your turn';
+    }
+    if (!Number.isInteger(cardCode) || cardCode < 0) {
+      return 'Invalid card';
+    }
+    const card = decodeReplayCard(cardCode);
+    if (game.players[seat].findCard(card, true) === -1) {
+      return 'Card not in hand';
+    }
+    if (jumpIn ? !game.canJumpIn(seat, card) : !game.isCardPlayable(card)) {
+      return 'Card not playable';
+    }
+    if (!game.isCardAbilitySelectionNeeded(card)) {
+      return null;
+    }
+    // The choices of PunoGame.chooseAutoPlay
+    if (getCardEffects(card, null, game.rules).includes(Effect.TRADE)) {
+      if (game.findTargets(seat).indexOf(ext) === -1) {
+        return 'Invalid trade target';
+      }
+    } else if (card.hasEffect(Effect.CLEAR_DAMAGE)) {
+      if (ext !== 0 && ext !== 1) {
+        return 'Invalid zero mode';
+      }
+    } else if (!Number.isInteger(ext) || ext < 1 || ext > 4) {
+      return 'Invalid color';
+    }
+    return null;
+  }
+
+  play(client, cardCode, ext=null) {
+    const jumpIn = !!this.game && this.game.rules.jumpIn &&
+                   this.waiting !== client.seat;
+    const error = this.validatePlay(client.seat, cardCode, ext, jumpIn);
+    if (error) {
+      return this.send(client, {type: 'error', message: error});
+    }
+    const card = decodeReplayCard(cardCode);
+    if (jumpIn) {
+      this.game.requestJumpIn(client.seat, card, ext);
+    } else {
+      const player = this.game.players[client.seat];
+      this.waiting = null;
+      this.game.discard(player.findCard(card, true), ext);
+    }
+    this.advance();
+  }
+
+  draw(client) {
+    if (!this.game || this.waiting !== client.seat || this.pending > 0) {
+      return this.send(client, {type: 'error', message: 'Not your turn'});
+    }
+    this.waiting = null;
+    this.game.processDraw();
+    // The card drawn has to be played first
+    if (this.game.forcedCard !== undefined) {
+      this.waiting = client.seat;
+    }
+    this.advance();
+  }
+
+  challenge(client) {
+    if (!this.game || this.waiting !== client.seat || this.pending > 0 ||
+        !this.game.canChallenge(client.seat)) {
+      return this.send(client, {type: 'error', message: 'Cannot challenge'});
+    }
+    // A successful challenger keeps its turn
+    if (!this.game.challenge()) {
+      this.waiting = null;
+    }
+    this.advance();
+  }
+
+  callUno(client) {
+    if (!this.game || !this.game.canCallUno(client.seat)) {
+      return this.send(client, {type: 'error', message: 'Cannot call PUNO'});
+    }
+    this.game.callUno(client.seat);
+    this.advance();
+  }
+
+  catchUno(client) {
+    if (!this.game || !this.game.canCatchUno(client.seat)) {
+      return this.send(client, {type: 'error', message: 'Nobody to catch'});
+    }
+    this.game.catchUno(client.seat);
+    this.advance();
+  }
+
+  // What the seat may know about the event
+  viewEvent(event, seat) {
+    const hide = cards => cards.map(() => HIDDEN_CARD);
+    if (event.type === 'deal') {
+      return Object.assign({}, event, {
+        hands: event.hands.map((hand, i) => i === seat ? hand : hide(hand))
+      });
+    }
+    if (event.type === 'draw' && event.player !== seat && !event.show) {
+      let view = Object.assign({}, event, {cards: hide(event.cards)});
+      // The card the drawer is forced to play is one of them
+      if (event.status && event.status.forcedCard) {
+        view.status = Object.assign({}, event.status,
+                                    {forcedCard: HIDDEN_CARD});
+      }
+      return view;
+    }
+    // The card blown by the wind is seen by both hands
+    if (event.type === 'pass' && event.player !== seat &&
+        event.target !== seat) {
+      return Object.assign({}, event, {card: HIDDEN_CARD});
+    }
+    // Only the challenger sees the hand
+    if (event.type === 'challenge' && event.player !== seat &&
+        event.target !== seat) {
+      let view = Object.assign({}, event);
+      delete view.cards;
+      return view;
+    }
+    return event;
+  }
+
+  record(event) {
+    super.record(event);
+    for (let client of this.clients) {
+      let message = {type: 'event', event: this.viewEvent(event, client.seat)};
+      const hand = this.game.players[client.seat].hand.map(encodeReplayCard);
+      if (event.type !== 'deal' &&
+          JSON.stringify(hand) !== JSON.stringify(this.hands[client.seat])) {
+        message.hand = hand;
+      }
+      this.hands[client.seat] = hand;
+      this.send(client, message);
+    }
+  }
+
+  setTimeout(func, timer) {
+    const game = this.game;
+    ++this.pending;
+    const id = setTimeout(() => {
+      this.timers.splice(this.timers.indexOf(id), 1);
+      --this.pending;
+      if (game === this.game) {
+        func();
+        this.advance();
+      }
+    }, timer * FRAME_TIME);
+    this.timers.push(id);
+  }
+
+  isSceneBusy() {
+    return this.pending > 0 || this.waiting !== null;
+  }
+
+  onUserTurnBegin(playerIndex) {
+    this.waiting = parseInt(playerIndex);
+    super.onUserTurnBegin(playerIndex);
+  }
+
+  onTurnEnd(playerIndex) {
+    this.waiting = null;
+    super.onTurnEnd(playerIndex);
+  }
+
+  processRoundOver() {
+    super.processRoundOver();
+    this.clockTime = null;
+    this.setTimeout(() => this.game.roundStart(), ROUND_INTERVAL);
+  }
+
+  processGameOver() {
+    super.processGameOver();
+    this.stop();
+  }
+}
+
+/**
+ * Keeps the rooms and dispatches the messages of the connections
+ */
+class RoomManager {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  // Four letters, without the ones easy to mistake for another
+  newCode() {
+    const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < 4; ++i) {
+        code += letters[Math.floor(Math.random() * letters.length)];
+      }
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  connect(connection) {
+    let client = {connection: connection, name: 'Player', room: null,
+                  seat: null, ready: false};
+    connection.on('message', text => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        return this.sendError(client, 'Invalid message');
+      }
+      if (message && typeof message.type === 'string') {
+        // A bad message fails for its sender only, not the whole server
+        try {
+          this.handleMessage(client, message);
+        } catch (e) {
+          this.sendError(client, e.message);
+        }
+      }
+    });
+    connection.on('close', () => this.leave(client));
+  }
+
+  sendError(client, message) {
+    client.connection.send(JSON.stringify({type: 'error', message: message}));
+  }
+
+  setName(client, name) {
+    if (typeof name === 'string' && name.trim()) {
+      client.name = name.trim().slice(0, 16);
+    }
+  }
+
+  handleMessage(client, message) {
+    const room = client.room;
+    switch (message.type) {
+      case 'list':
+        return client.connection.send(JSON.stringify({
+          type: 'rooms',
+          rooms: [...this.rooms.values()].filter(r => !r.started)
+                                         .map(r => r.info())
+        }));
+      case 'create': {
+        if (room) {
+          return this.sendError(client, 'Already in a room');
+        }
+        this.setName(client, message.name);
+        const created = new GameRoom(this.newCode(), message.options);
+        this.rooms.set(created.code, created);
+        return created.join(client);
+      }
+      case 'join': {
+        if (room) {
+          return this.sendError(client, 'Already in a room');
+        }
+        const target = this.rooms.get(String(message.code).toUpperCase());
+        if (!target) {
+          return this.sendError(client, 'Room not found');
+        }
+        this.setName(client, message.name);
+        if (target.join(client) === -1) {
+          return this.sendError(client, 'Room is full or started');
+        }
+        return;
+      }
+      case 'leave':
+        return this.leave(client);
+      case 'ready':
+        if (!room || room.started) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.setReady(client, message.ready);
+      case 'kick':
+      case 'fill':
+        if (!room || room.host !== client.seat || room.started) {
+          return this.sendError(client, 'Only the host can change the seats');
+        }
+        if (message.type === 'fill' && message.seat === undefined) {
+          return room.fillCPU();
+        }
+        return this.changeSeat(room, message.seat);
+      case 'start':
+        if (!room || room.host !== client.seat || room.started) {
+          return this.sendError(client, 'Only the host can start');
+        }
+        if (!room.isEveryoneReady()) {
+          return this.sendError(client, 'Not everyone is ready');
+        }
+        return room.start();
+      case 'play':
+        if (!room) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.play(client, message.card, message.ext);
+      case 'draw':
+        if (!room) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.draw(client);
+      case 'challenge':
+        if (!room) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.challenge(client);
+      case 'uno':
+        if (!room) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.callUno(client);
+      case 'catch':
+        if (!room) {
+          return this.sendError(client, 'Not in a room');
+        }
+        return room.catchUno(client);
+      default:
+        return this.sendError(client, `Unknown message: ${message.type}`);
+    }
+  }
+
+  // Kick the player of the seat, or fill/empty it with CPU
+  changeSeat(room, seat) {
+    if (!Number.isInteger(seat) || seat < 0 || seat >= room.seats.length) {
+      throw new Error('Invalid seat');
+    }
+    const target = room.seats[seat];
+    if (seat === room.host) {
+      return;
+    }
+    if (target === null || target.cpu) {
+      return room.toggleCPU(seat);
+    }
+    room.leave(target);
+    target.connection.send(JSON.stringify({type: 'kicked'}));
+  }
+
+  leave(client) {
+    const room = client.room;
+    if (!room) {
+      return;
+    }
+    room.leave(client);
+    if (room.clients.length === 0) {
+      room.stop();
+      this.rooms.delete(room.code);
+    }
+  }
+}
+
+module.exports = {GameRoom: GameRoom, RoomManager: RoomManager,
+                  parseRoomOptions: parseRoomOptions};
@@ -0,0 +1,54 @@
+/**
+ * The house rules a game is played with on top of its mode, each one turned
+ * on or off on its own:
+ *   stacking             a Draw Two or Wild Draw Four passes its penalty on
+ *                        with another one, the draws add up
+ *   jumpIn               a card identical to the top of the discard pile is
+ *                        played out of turn, the turn goes on from there
+ *   sevenZero            a 7 swaps hands with another player, a 0 passes
+ *                        every hand to the next player
+ *   drawUntilPlayable    draw until a playable card comes instead of one
+ *   forcePlay            the card drawn has to be played if it's playable
+ *   startingCardEffects  the first card of a round takes effect as if the
+ *                        dealer played it
+ */
+class RuleSet {
+  /**
+   * @param {Object} rules - value of the rules, the default for the ones
+   *                         omitted
+   */
+  constructor(rules={}) {
+    rules = rules || {};
+    for (let key in RuleSet.defaults) {
+      this[key] = key in rules ? !!rules[key] : RuleSet.defaults[key];
+    }
+  }
+
+  static get defaults() {
+    return {
+      stacking: false,
+      jumpIn: false,
+      sevenZero: false,
+      drawUntilPlayable: false,
+      forcePlay: false,
+      startingCardEffects: false
+    };
+  }
+
+  static get keys() {
+    return Object.keys(RuleSet.defaults);
+  }
+
+  // The rules each mode was played with before they could be changed
+  static forMode(gameMode) {
+    return new RuleSet({stacking: gameMode === Mode.DEATH_MATCH});
+  }
+
+  serialize() {
+    let data = {};
+    for (let key of RuleSet.keys) {
+      data[key] = this[key];
+    }
+    return data;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * The puzzles: hand-authored starting positions with a goal, loaded from
+ * js/json/puzzle.json by the page (js/assets.js). Each entry gives:
+ *   id           saved with the puzzles cleared, don't change it
+ *   name, description
+ *   mode         name of its Mode, BATTLE_PUNO if omitted
+ *   rules        the house rules (see RuleSet), the ones of the mode if omitted
+ *   initHP       the full HP, 200 if omitted
+ *   players      [{hp, hand}] the user first, hp is initHP if omitted
+ *   deck         the cards drawn in this order, nothing else is in it
+ *   top          the card on the discard pile
+ *   color        the current color, the one of top if omitted
+ *   current      who plays first, the user (0) if omitted
+ *   clockwise    false to start counterclockwise
+ *   damagePool   damage waiting for the next player to draw
+ *   goal         {type, turns, target}: the user has turns of its own to
+ *                reach it, the others answering in between
+ * A card is written as its Color and Value names, like 'RED SEVEN' or
+ * 'WILD WILD_DRAW_FOUR'.
+ */
+class Scenario {
+  static load(data) {
+    Scenario._data = data.puzzles.map(entry => Scenario.parse(entry));
+  }
+
+  static isReady() {
+    return !!Scenario._data;
+  }
+
+  static all() {
+    return (Scenario._data || []).slice();
+  }
+
+  static get(id) {
+    return Scenario.all().find(puzzle => puzzle.id === id) || null;
+  }
+
+  // Checks the names of an entry, the cards stay written as in the file
+  static parse(entry) {
+    const mode = Mode[entry.mode || 'BATTLE_PUNO'];
+    if (mode === undefined) {
+      throw new Error(`Unknown mode of puzzle ${entry.id}: ${entry.mode}`);
+    }
+    if (!Array.isArray(entry.players) || entry.players.length < 2) {
+      throw new Error(`Puzzle ${entry.id} needs at least 2 players`);
+    }
+    const goal = Object.assign({turns: 1}, entry.goal);
+    if (Object.values(Scenario.Goal).indexOf(goal.type) === -1) {
+      throw new Error(`Unknown goal of puzzle ${entry.id}: ${goal.type}`);
+    }
+    if (goal.type === Scenario.Goal.KNOCK_OUT &&
+        !(goal.target > 0 && goal.target < entry.players.length)) {
+      throw new Error(`Invalid goal target of puzzle ${entry.id}: ${goal.target}`);
+    }
+    let cards = entry.deck.concat([entry.top]);
+    for (let player of entry.players) {
+      cards = cards.concat(player.hand);
+    }
+    cards.forEach(name => Scenario.parseCard(name));
+    if (entry.color !== undefined && Color[entry.color] === undefined) {
+      throw new Error(`Unknown color of puzzle ${entry.id}: ${entry.color}`);
+    }
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      description: entry.description || '',
+      mode: mode,
+      rules: entry.rules || null,
+      initHP: entry.initHP || 200,
+      players: entry.players.map(player => ({
+        hp: player.hp || entry.initHP || 200,
+        hand: player.hand.slice()
+      })),
+      deck: entry.deck.slice(),
+      top: entry.top,
+      color: entry.color,
+      current: entry.current || 0,
+      clockwise: entry.clockwise !== false,
+      damagePool: entry.damagePool || 0,
+      goal: goal,
+      seed: entry.seed
+    };
+  }
+
+  static parseCard(name) {
+    const [color, value] = String(name).split(' ');
+    if (Color[color] === undefined || Value[value] === undefined) {
+      throw new Error(`Unknown card: ${name}`);
+    }
+    return new Card(Color[color], Value[value]);
+  }
+
+  // Cards of the same type get their own numID, like in a Deck
+  static createCards(names, counts) {
+    return names.map(name => {
+      let card = Scenario.parseCard(name);
+      const key = card.color * 32 + card.value;
+      card.numID = counts[key] || 0;
+      counts[key] = card.numID + 1;
+      return card;
+    });
+  }
+
+  /**
+   * Whether the user reached the goal of the puzzle played by game
+   * @returns {number} 1 if it did, -1 if it can't anymore, 0 otherwise
+   */
+  static checkGoal(game) {
+    const goal = game.scenario.goal;
+    const user = game.players[0];
+    let done = false;
+    if (goal.type === Scenario.Goal.KNOCK_OUT) {
+      done = game.players[goal.target].knockOut;
+    } else if (goal.type === Scenario.Goal.GO_OUT) {
+      done = user.isGoingOut();
+    }
+    if (done) {
+      return 1;
+    }
+    if (user.knockOut) {
+      return -1;
+    }
+    // Every turn given was played, and it's the user's again
+    if (game.scenarioTurns >= goal.turns && !game.inTurn &&
+        game.currentPlayerIndex === 0) {
+      return -1;
+    }
+    return 0;
+  }
+}
+
+Scenario.Goal = {
+  KNOCK_OUT: 'knockOut',   // knock out the player target
+  GO_OUT: 'goOut'          // play every card in hand
+};
+Scenario._data = null;
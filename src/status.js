@@ -0,0 +1,130 @@
+/**
+ * An enum with the status effect ids
+ * @enum {number}
+ */
+const Status = {
+  BURN: 0,    // Loses HP at the beginning of its turns
+  FREEZE: 1   // Draws no card on its next turn
+};
+
+/**
+ * Something lasting on a player, like the elements of the damage it took.
+ * It lasts a number of turns of the player (-1 until the end of the round)
+ * counted down as each of them begins, and stacks when applied again.
+ * PunoGame calls the hooks with itself and the index of the player:
+ *   onTurnStart   before the player takes its turn
+ *   onTurnEnd     when its turn is over
+ *   onDamage      on each damage taken, returns the damage left
+ *   onCardPlay    on each card played
+ *   skipsTurn     whether the turn beginning is skipped
+ *   skipsDraw     whether the card drawn in the turn is skipped
+ */
+class StatusEffect {
+  /**
+   * @param {number} turns - turns it lasts, -1 for the whole round
+   * @param {number} stacks - how many times it was applied
+   * @param {number} value - strength of one stack, meaning is up to the status
+   */
+  constructor(turns=-1, stacks=1, value=0) {
+    this.turns = turns;
+    this.stacks = stacks;
+    this.value = value;
+  }
+
+  static create(id, turns, stacks, value) {
+    switch (id) {
+      case Status.BURN:
+        return new BurnStatus(turns, stacks, value);
+      case Status.FREEZE:
+        return new FreezeStatus(turns, stacks, value);
+      default:
+        throw new Error(`Unknown status: ${id}`);
+    }
+  }
+
+  static deserialize(data) {
+    return StatusEffect.create(data.id, data.turns, data.stacks, data.value);
+  }
+
+  get id() {
+    throw new Error('StatusEffect.id is not overridden');
+  }
+
+  get maxStacks() {
+    return 1;
+  }
+
+  get expired() {
+    return this.turns === 0;
+  }
+
+  // Applied again: the stacks add up and the longest duration is kept
+  merge(status) {
+    this.stacks = Math.min(this.maxStacks, this.stacks + status.stacks);
+    if (this.turns < 0 || status.turns < 0) {
+      this.turns = -1;
+    } else {
+      this.turns = Math.max(this.turns, status.turns);
+    }
+    this.value = Math.max(this.value, status.value);
+  }
+
+  countDown() {
+    if (this.turns > 0) {
+      --this.turns;
+    }
+  }
+
+  onTurnStart(game, playerIndex) {}
+
+  onTurnEnd(game, playerIndex) {}
+
+  onDamage(game, playerIndex, value, types) {
+    return value;
+  }
+
+  onCardPlay(game, playerIndex, card) {}
+
+  skipsTurn(game, playerIndex) {
+    return false;
+  }
+
+  skipsDraw(game, playerIndex) {
+    return false;
+  }
+
+  serialize() {
+    return {id: this.id, turns: this.turns, stacks: this.stacks,
+            value: this.value};
+  }
+}
+
+// Red damage: value HP per stack at the beginning of each turn
+class BurnStatus extends StatusEffect {
+  get id() {
+    return Status.BURN;
+  }
+
+  get maxStacks() {
+    return 3;
+  }
+
+  onTurnStart(game, playerIndex) {
+    let types = [false, false, false, false, false];
+    types[Color.RED] = true;
+    game.processPlayerDamage(playerIndex, this.value * this.stacks, types);
+  }
+}
+
+// Blue damage: no card is drawn in the next turn, the damage pool and the
+// penalties still are
+class FreezeStatus extends StatusEffect {
+  get id() {
+    return Status.FREEZE;
+  }
+
+  // Counted down to 0 as the turn it lasts begins, not in the turn it hit
+  skipsDraw(game, playerIndex) {
+    return this.turns === 0;
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * An enum with the CPU difficulty levels
+ * @enum {number}
+ */
+const Difficulty = {
+  EASY: 0,
+  NORMAL: 1,
+  HARD: 2
+};
+
+/**
+ * How a CPU player makes its decisions. Every method receives the game and
+ * the index of the deciding player. The base class is the Easy level: it
+ * plays any matching card and picks colors at random.
+ */
+class AIStrategy {
+  static create(difficulty) {
+    switch (difficulty) {
+      case Difficulty.EASY:
+        return new AIStrategy();
+      case Difficulty.HARD:
+        return new HardStrategy();
+      default:
+        return new NormalStrategy();
+    }
+  }
+
+  // Index of the card to play in hand, -1 to draw instead
+  chooseCard(game, playerIndex) {
+    return game.players[playerIndex].matching(game.currentColor,
+                                              game.currentValue, game.rng);
+  }
+
+  // Next color after a wild card
+  chooseColor(game, playerIndex) {
+    return game.rng.randInt(Color.RED, Color.BLUE, game.currentColor);
+  }
+
+  // Index of the player to exchange hands with
+  chooseTradeTarget(game, playerIndex) {
+    let target = undefined;
+    for (let i of game.findTargets(playerIndex)) {
+      if (target === undefined ||
+         game.players[i].hand.length < game.players[target].hand.length) {
+        target = i;
+      }
+    }
+    return target;
+  }
+
+  // 0 to add 10 to the damage pool, 1 to reset it
+  chooseZeroMode(game, playerIndex) {
+    if (game.gameMode === Mode.DEATH_MATCH || game.damagePool < 30 ||
+        !!game.rng.randInt(0, 1)) {
+      return 0;
+    }
+    return 1;
+  }
+
+  // Index of the card to pass the penalty on in hand, -1 to take it
+  respondToPenalty(game, playerIndex) {
+    return game.players[playerIndex].receivePenalty(game.penaltyCard,
+                                                    game.currentColor,
+                                                    game.rules);
+  }
+
+  // Index of the card to jump in with in hand, -1 to let the turn go on
+  chooseJumpIn(game, playerIndex) {
+    return -1;
+  }
+
+  // Whether to challenge the Wild Draw Four played on the player
+  chooseChallenge(game, playerIndex) {
+    return game.rng.randInt(0, 3) === 0;
+  }
+
+  // Frames before reacting to game.unoTarget left with one card without
+  // calling PUNO: calling it if it's the player itself, catching it
+  // otherwise. -1 if the player doesn't react at all
+  unoReactionTime(game, playerIndex) {
+    if (playerIndex == game.unoTarget) {
+      return game.rng.randInt(0, 2) ? 30 : -1;
+    }
+    return game.rng.randInt(0, 1) ? 45 : -1;
+  }
+
+  /*------------------------------ helpers ------------------------------*/
+  // Number of cards of each color, indexed by Color
+  countColors(cards) {
+    let counts = [0, 0, 0, 0, 0];
+    for (let i in cards) {
+      ++counts[cards[i].color];
+    }
+    return counts;
+  }
+
+  // The color with highest weight, ties are broken at random
+  bestColor(game, weights) {
+    let best = [];
+    for (let color = Color.RED; color <= Color.BLUE; ++color) {
+      if (best.length === 0 || weights[color] > weights[best[0]]) {
+        best = [color];
+      } else if (weights[color] === weights[best[0]]) {
+        best.push(color);
+      }
+    }
+    return game.rng.pick(best);
+  }
+}
+
+/**
+ * Counts the colors in hand: keeps the color it has the most of, dumps high
+ * point cards first and holds wild cards until nothing else matches.
+ */
+class NormalStrategy extends AIStrategy {
+  chooseCard(game, playerIndex) {
+    const hand = game.players[playerIndex].hand;
+    const weights = this.cardWeights(game, playerIndex);
+    let best = -1;
+    for (let i in hand) {
+      if (!hand[i].isMatched(game.currentColor, game.currentValue)) {
+        continue;
+      }
+      if (best === -1 || weights[i] > weights[best]) {
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  chooseColor(game, playerIndex) {
+    const counts = this.countColors(game.players[playerIndex].hand);
+    return this.bestColor(game, counts);
+  }
+
+  chooseZeroMode(game, playerIndex) {
+    if (game.gameMode === Mode.DEATH_MATCH || game.damagePool < 30) {
+      return 0;
+    }
+    return 1;
+  }
+
+  chooseJumpIn(game, playerIndex) {
+    const hand = game.players[playerIndex].hand;
+    for (let i in hand) {
+      if (game.canJumpIn(playerIndex, hand[i])) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // A big hand is likely to have held the color
+  chooseChallenge(game, playerIndex) {
+    return game.players[game.drawFourPlayer].hand.length >= 5;
+  }
+
+  unoReactionTime(game, playerIndex) {
+    if (playerIndex == game.unoTarget) {
+      return game.rng.randInt(0, 9) ? 8 : -1;
+    }
+    return 25;
+  }
+
+  // How much the player wants to get rid of each card in hand
+  cardWeights(game, playerIndex) {
+    const hand = game.players[playerIndex].hand;
+    const counts = this.countColors(hand);
+    let weights = [];
+    for (let i in hand) {
+      if (hand[i].color === Color.WILD) {
+        weights.push(-1);
+      } else {
+        weights.push(counts[hand[i].color] * 100 + hand[i].point);
+      }
+    }
+    return weights;
+  }
+}
+
+/**
+ * Remembers the discard pile and watches the other hands: switches to the
+ * colors the others are short of, and throws its attack cards at whoever
+ * is close to going out, bluffing a Wild Draw Four if it has to. Challenges
+ * when the unseen cards make a bluff more likely than not.
+ */
+class HardStrategy extends NormalStrategy {
+  chooseColor(game, playerIndex) {
+    const counts = this.countColors(game.players[playerIndex].hand);
+    const unseen = this.countUnseenColors(game, playerIndex);
+    let weights = [0, 0, 0, 0, 0];
+    for (let color = Color.RED; color <= Color.BLUE; ++color) {
+      weights[color] = counts[color] * 100 - unseen[color];
+    }
+    return this.bestColor(game, weights);
+  }
+
+  chooseTradeTarget(game, playerIndex) {
+    let target = undefined;
+    for (let i of game.findTargets(playerIndex)) {
+      const hand = game.players[i].hand.length;
+      if (target === undefined || hand < game.players[target].hand.length ||
+          (hand === game.players[target].hand.length &&
+           game.players[i].score > game.players[target].score)) {
+        target = i;
+      }
+    }
+    return target;
+  }
+
+  chooseZeroMode(game, playerIndex) {
+    if (game.gameMode === Mode.DEATH_MATCH || game.damagePool < 30) {
+      return 0;
+    }
+    // Keep the pool growing only if the next one is likely to draw it
+    const next = game.players[game.getNextAlivePlayerIndex()];
+    const counts = this.countColors(game.players[playerIndex].hand);
+    return next.hand.length > counts[game.currentColor] ? 0 : 1;
+  }
+
+  respondToPenalty(game, playerIndex) {
+    const player = game.players[playerIndex];
+    const skip = player.findCard(new Card(game.currentColor, Value.SKIP));
+    const reverse = player.findCard(new Card(game.currentColor, Value.REVERSE));
+    if (skip === -1 || reverse === -1) {
+      return super.respondToPenalty(game, playerIndex);
+    }
+    // Skip passes it on, reverse sends it back; hit the smaller hand
+    const next = game.players[game.getNextAlivePlayerIndex()];
+    const prev = game.players[this.getPrevAlivePlayerIndex(game)];
+    return next.hand.length <= prev.hand.length ? skip : reverse;
+  }
+
+  chooseChallenge(game, playerIndex) {
+    // Chances that none of the cards in hand has the color, drawn from the
+    // unseen ones
+    const unseen = this.countUnseenColors(game, playerIndex);
+    const matching = Math.max(0, unseen[game.drawFourColor]);
+    if (matching === 0) {
+      return false;
+    }
+    let others = 0;
+    for (let color = Color.RED; color <= Color.BLUE; ++color) {
+      if (color !== game.drawFourColor) {
+        others += Math.max(0, unseen[color]);
+      }
+    }
+    const hand = game.players[game.drawFourPlayer].hand.length;
+    let legal = 1;
+    for (let k = 0; k < hand && legal > 0; ++k) {
+      legal *= Math.max(0, others - k) / (others + matching - k);
+    }
+    return legal < 0.5;
+  }
+
+  unoReactionTime(game, playerIndex) {
+    return playerIndex == game.unoTarget ? 3 : 10;
+  }
+
+  cardWeights(game, playerIndex) {
+    let weights = super.cardWeights(game, playerIndex);
+    const hand = game.players[playerIndex].hand;
+    const next = game.players[game.getNextAlivePlayerIndex()];
+    if (next.hand.length > 2) {
+      return weights;
+    }
+    for (let i in hand) {
+      if (hand[i].value === Value.SKIP || hand[i].value === Value.DRAW_TWO ||
+          hand[i].value === Value.WILD_DRAW_FOUR) {
+        weights[i] += 1000;
+      }
+    }
+    return weights;
+  }
+
+  // Cards of each color neither on the discard pile nor in own hand
+  countUnseenColors(game, playerIndex) {
+    let unseen = [0, 0, 0, 0, 0];
+    for (let color = Color.RED; color <= Color.BLUE; ++color) {
+      for (let value = Value.ZERO; value <= Value.DRAW_TWO; ++value) {
+        unseen[color] += new Card(color, value).numCards;
+      }
+    }
+    const seen = this.countColors(game.discardPile);
+    const own = this.countColors(game.players[playerIndex].hand);
+    for (let color = Color.RED; color <= Color.BLUE; ++color) {
+      unseen[color] -= seen[color] + own[color];
+    }
+    return unseen;
+  }
+
+  getPrevAlivePlayerIndex(game) {
+    const step = game.clockwise ? -1 : 1;
+    let index = mod(game.currentPlayerIndex + step, game.players.length);
+    while (game.players[index].knockOut) {
+      index = mod(index + step, game.players.length);
+    }
+    return index;
+  }
+}
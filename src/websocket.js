@@ -0,0 +1,180 @@
+// The server side of WebSocket (RFC 6455) on top of node's http server, only
+// what the game rooms need: text messages, ping and close. Messages larger
+// than maxPayload, counting all of their frames, or not masked by the
+// client close the connection.
+// Usage:
+//   server.on('upgrade', function(req, socket){
+//     handleUpgrade(req, socket, function(connection){
+//       connection.on('message', function(text){ connection.send(text); });
+//     });
+//   });
+
+var crypto = require('crypto');
+var EventEmitter = require('events');
+
+var GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+var OpCode = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, maxPayload=1 << 20) {
+    super();
+    this.socket = socket;
+    this.maxPayload = maxPayload;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    // Size of the fragments of the message so far
+    this.fragmentBytes = 0;
+    this.closed = false;
+    socket.on('data', data => this.onData(data));
+    socket.on('close', () => this.onClose());
+    socket.on('error', () => this.onClose());
+  }
+
+  send(text) {
+    this.sendFrame(OpCode.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  close(code=1000) {
+    if (this.closed) {
+      return;
+    }
+    let payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.sendFrame(OpCode.CLOSE, payload);
+    this.socket.end();
+    this.onClose();
+  }
+
+  // Frames sent by the server are never masked
+  sendFrame(opcode, payload) {
+    if (this.closed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+      header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+      header.writeUInt32BE(payload.length >>> 0, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) {
+      this.onFrame(frame);
+    }
+  }
+
+  // Takes one complete frame out of the buffer, null if not arrived yet
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+    const masked = !!(buffer[1] & 0x80);
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    if (!masked || length > this.maxPayload) {
+      this.close(1002);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) {
+      return null;
+    }
+    const mask = buffer.slice(offset, offset + 4);
+    let payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; ++i) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.slice(offset + 4 + length);
+    return {fin: !!(buffer[0] & 0x80), opcode: buffer[0] & 0x0F,
+            payload: payload};
+  }
+
+  onFrame(frame) {
+    switch (frame.opcode) {
+      case OpCode.TEXT:
+      case OpCode.BINARY:
+      case OpCode.CONTINUATION:
+        this.fragmentBytes += frame.payload.length;
+        if (this.fragmentBytes > this.maxPayload) {
+          this.fragments = [];
+          this.close(1009);
+          break;
+        }
+        this.fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.emit('message', message);
+        }
+        break;
+      case OpCode.PING:
+        this.sendFrame(OpCode.PONG, frame.payload);
+        break;
+      case OpCode.CLOSE:
+        this.close();
+        break;
+    }
+  }
+
+  onClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Answers the upgrade request of http.Server
+ * @param {function} onConnection - called with the WebSocketConnection
+ */
+function handleUpgrade(req, socket, onConnection) {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers['upgrade']).toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+               'Upgrade: websocket\r\n' +
+               'Connection: Upgrade\r\n' +
+               'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+  onConnection(new WebSocketConnection(socket));
+}
+
+module.exports = {WebSocketConnection: WebSocketConnection,
+                  handleUpgrade: handleUpgrade};
@@ -0,0 +1,35 @@
+// Checks of the deck presets under Node, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Deck, Mode, PunoGame} = require('../src/headless.js');
+
+const NUMBERS = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX',
+                 'SEVEN', 'EIGHT', 'NINE'];
+
+// A preset keeping the numbers given with 9 copies each
+function numbersPreset(kept) {
+  let copies = {};
+  for (const name of NUMBERS) {
+    copies[name] = kept.includes(name) ? 9 : 0;
+  }
+  return {name: kept.join(' '), copies: copies};
+}
+
+test('a preset needs a number for each player', () => {
+  assert.ok(!Deck.isPlayable(false, numbersPreset([]), 8, 2));
+  assert.ok(!Deck.isPlayable(false, numbersPreset(['FIVE']), 8, 2));
+  assert.ok(Deck.isPlayable(false, numbersPreset(['FIVE', 'SIX']), 8, 2));
+  assert.ok(!Deck.isPlayable(false, numbersPreset(['FIVE', 'SIX']), 12, 3));
+});
+
+test('the dealer is chosen whatever the deck', () => {
+  const game = new PunoGame(4, 200, 500, false, Mode.BATTLE_PUNO,
+                            {seed: 1, numPlayers: 2});
+  for (const kept of [[], ['FIVE']]) {
+    game.deck = new Deck(false, game.rng, numbersPreset(kept));
+    const dealer = game.chooseDealer();
+    assert.ok(dealer === 0 || dealer === 1, `with ${kept}`);
+  }
+});
@@ -0,0 +1,90 @@
+// Checks that the card effects of js/json/card.json are followed everywhere,
+// run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const {Color, Value, CardDefinition, Card, Mode, GameListener, PunoGame,
+       ReplayRecorder, ReplayTable,
+       encodeReplayCard} = require('../src/headless.js');
+const {GameRoom} = require('../src/room.js');
+
+const FILE = path.join(__dirname, '..', 'js', 'json', 'card.json');
+
+// A Wild trades hands and the Trade only changes the color while fn runs
+function withWildTrade(fn) {
+  const data = JSON.parse(fs.readFileSync(FILE, 'utf8'));
+  data.cards.find(entry => entry.value === 'WILD').effects =
+      ['CHOOSE_COLOR', 'TRADE'];
+  data.cards.find(entry => entry.value === 'TRADE').effects =
+      ['CHOOSE_COLOR'];
+  CardDefinition.load(data);
+  try {
+    fn();
+  } finally {
+    CardDefinition.load(JSON.parse(fs.readFileSync(FILE, 'utf8')));
+  }
+}
+
+const handsOf = game => JSON.stringify(game.players.map(
+    player => player.hand.map(encodeReplayCard)));
+
+// The hands at the beginning of each turn, with the position in the log
+class HandListener extends GameListener {
+  constructor() {
+    super();
+    this.hands = [];
+  }
+
+  onNPCTurnBegin() {
+    this.hands.push([this.recorder.log.events.length, handsOf(this.game)]);
+  }
+}
+
+test('a replay follows the effects of the definitions', () => {
+  withWildTrade(() => {
+    const listener = new HandListener();
+    const recorder = new ReplayRecorder(listener);
+    const game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+                              {listener: recorder, seed: 4, numPlayers: 4});
+    listener.recorder = recorder;
+    listener.game = game;
+    recorder.attach(game);
+    game.players[0].ai = true;
+    game.gameStart();
+    for (let n = 0; !game.gameOver && n < 3000; ++n) {
+      game.roundOver ? game.roundStart() : game.update();
+    }
+    const log = JSON.parse(JSON.stringify(recorder.log));
+    const wildTrades = log.events.filter(event => event.type === 'play' &&
+        event.card === encodeReplayCard(new Card(Color.WILD, Value.WILD)) &&
+        Array.isArray(event.ext));
+    assert.ok(wildTrades.length > 0);
+    const table = new ReplayTable(log);
+    for (const [position, hands] of listener.hands) {
+      table.seek(position);
+      assert.strictEqual(handsOf(table), hands, `at event ${position}`);
+    }
+  });
+});
+
+test('the room asks a target for the cards that trade', () => {
+  withWildTrade(() => {
+    const room = new GameRoom('TEST', {numPlayers: 3});
+    room.game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+                             {seed: 1, numPlayers: 3});
+    room.game.gameStart();
+    room.waiting = 0;
+    const wild = new Card(Color.WILD, Value.WILD);
+    const trade = new Card(Color.WILD, Value.TRADE);
+    wild.numID = trade.numID = 0;
+    room.game.players[0].hand.push(wild, trade);
+    const play = (card, ext) =>
+        room.validatePlay(0, encodeReplayCard(card), ext);
+    assert.strictEqual(play(wild, 1), null);
+    assert.strictEqual(play(wild, 0), 'Invalid trade target');
+    assert.strictEqual(play(trade, Color.BLUE), null);
+  });
+});
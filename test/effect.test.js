@@ -0,0 +1,78 @@
+// Checks of the engine under Node, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const {Color, Value, CardDefinition, Card, Effect, getCardEffects, Mode,
+       PunoGame} = require('../src/headless.js');
+
+// The pool a zero leaves, played by the user with ext
+function playZero(ext) {
+  const game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO, {seed: 1});
+  game.currentPlayerIndex = 0;
+  game.addDamagePool(20, Color.RED);
+  game.setDamagePool(new Card(Color.BLUE, Value.ZERO), ext);
+  return game.damagePool;
+}
+
+test('the effects of a zero agree with PunoGame.setDamagePool', () => {
+  const zero = new Card(Color.BLUE, Value.ZERO);
+  for (const ext of [0, 1, null]) {
+    const effects = getCardEffects(zero, ext, null, Mode.BATTLE_PUNO);
+    const pool = playZero(ext);
+    if (effects.includes(Effect.CLEAR_DAMAGE)) {
+      assert.strictEqual(pool, 0, `ext ${ext}`);
+    } else {
+      assert.ok(effects.includes(Effect.ADD_DAMAGE), `ext ${ext}`);
+      assert.strictEqual(pool, 30, `ext ${ext}`);
+    }
+  }
+});
+
+test('the elements only come with battle damage', () => {
+  const red = new Card(Color.RED, Value.FIVE);
+  const zero = new Card(Color.BLUE, Value.ZERO);
+  assert.ok(!getCardEffects(red, 0, null, Mode.TRADITIONAL)
+    .includes(Effect.BURN));
+  assert.ok(getCardEffects(red, 0, null, Mode.BATTLE_PUNO)
+    .includes(Effect.BURN));
+  assert.ok(!getCardEffects(zero, 1, null, Mode.BATTLE_PUNO)
+    .includes(Effect.FREEZE));
+  assert.ok(getCardEffects(zero, 0, null, Mode.BATTLE_PUNO)
+    .includes(Effect.FREEZE));
+});
+
+test('the engine plays the effects of js/json/card.json', () => {
+  const file = path.join(__dirname, '..', 'js', 'json', 'card.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const six = data.cards.find(entry => entry.value === 'SIX');
+  six.effects = ['ADD_DAMAGE', 'REVERSE'];
+  CardDefinition.load(data);
+  try {
+    const game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+                              {seed: 1});
+    game.gameStart();
+    const player = game.currentPlayer();
+    player.hand.push(new Card(Color.RED, Value.SIX));
+    const clockwise = game.clockwise;
+    const pool = game.damagePool;
+    game.discard(player.hand.length - 1);
+    assert.strictEqual(game.clockwise, !clockwise);
+    assert.strictEqual(game.damagePool, pool + 6);
+  } finally {
+    CardDefinition.load(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+});
+
+test('there is no damage in traditional mode', () => {
+  for (const value of [Value.ZERO, Value.FIVE, Value.SEVEN]) {
+    const card = new Card(Color.GREEN, value);
+    for (const rules of [null, {sevenZero: true}]) {
+      const effects = getCardEffects(card, 0, rules, Mode.TRADITIONAL);
+      assert.ok(!effects.includes(Effect.ADD_DAMAGE), `value ${value}`);
+      assert.ok(!effects.includes(Effect.CLEAR_DAMAGE), `value ${value}`);
+    }
+  }
+});
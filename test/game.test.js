@@ -0,0 +1,75 @@
+// Checks of the saved games under Node, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const {Color, Value, Card, Mode, Status, StatusEffect, Scenario,
+       PunoGame} = require('../src/headless.js');
+
+function restore(game) {
+  return PunoGame.deserialize(JSON.parse(JSON.stringify(game.serialize())));
+}
+
+test('the card to play and the jump-in request are saved', () => {
+  const game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+                            {seed: 3, numPlayers: 3});
+  game.gameStart();
+  const player = game.currentPlayer();
+  const other = game.players[(game.currentPlayerIndex + 1) % 3];
+  game.forcedCard = player.hand[2];
+  game.requestJumpIn(1, other.hand[0], 2);
+  const restored = restore(game);
+  assert.strictEqual(restored.forcedCard,
+                     restored.currentPlayer().hand[2]);
+  assert.ok(restored.jumpInRequest.card.isEqual(other.hand[0], true));
+  assert.strictEqual(restored.jumpInRequest.playerIndex, 1);
+  assert.strictEqual(restored.jumpInRequest.ext, 2);
+});
+
+test('the state of the players is saved', () => {
+  const game = new PunoGame(7, 200, 500, false, Mode.BATTLE_PUNO,
+                            {seed: 4, numPlayers: 3});
+  game.gameStart();
+  const player = game.players[1];
+  player.unoCalled = true;
+  player.statuses.push(StatusEffect.create(Status.BURN, 2, 1, 10));
+  game.gameResult();
+  const restored = restore(game).players[1];
+  assert.strictEqual(restored.handPoints, player.cardsPointSum());
+  assert.strictEqual(restored.unoCalled, true);
+  assert.strictEqual(JSON.stringify(restored.statuses.map(s => s.serialize())),
+                     JSON.stringify(player.statuses.map(s => s.serialize())));
+});
+
+test('the puzzle played is saved', () => {
+  const file = path.join(__dirname, '..', 'js', 'json', 'puzzle.json');
+  Scenario.load(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const puzzle = Scenario.all()[0];
+  const game = new PunoGame(7, puzzle.initHP, 500, false, puzzle.mode,
+                            {seed: 1, numPlayers: puzzle.players.length,
+                             rules: puzzle.rules, scenario: puzzle});
+  game.gameStart();
+  game.scenarioTurns = 1;
+  const restored = restore(game);
+  assert.strictEqual(JSON.stringify(restored.scenario),
+                     JSON.stringify(puzzle));
+  assert.strictEqual(restored.scenarioTurns, 1);
+  assert.strictEqual(restored.scenarioCleared, false);
+});
+
+test('the 7 of the user trades with the target given in every mode', () => {
+  for (const gameMode of [Mode.TRADITIONAL, Mode.BATTLE_PUNO]) {
+    const game = new PunoGame(7, 200, 500, false, gameMode,
+                              {seed: 2, numPlayers: 3,
+                               rules: {sevenZero: true}});
+    game.gameStart();
+    game.currentPlayerIndex = 0;
+    const seven = new Card(Color.RED, Value.SEVEN);
+    const kept = new Card(Color.BLUE, Value.ONE);
+    game.players[0].hand.push(seven, kept);
+    game.discard(game.players[0].hand.indexOf(seven), 2);
+    assert.ok(game.players[2].hand.includes(kept), `mode ${gameMode}`);
+  }
+});
@@ -0,0 +1,43 @@
+// Checks of the online table under Node, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Mode, PunoGame, ReplayRecorder,
+       OnlineTable} = require('../src/headless.js');
+
+// Plays a few rounds, the events are sent to the table of seat as the
+// server would
+function followGame(gameMode, seat) {
+  const recorder = new ReplayRecorder();
+  const game = new PunoGame(7, 200, 500, false, gameMode,
+                            {listener: recorder, seed: 7, numPlayers: 3});
+  recorder.attach(game);
+  game.players.forEach(player => player.ai = true);
+  const table = new OnlineTable(Object.assign({}, recorder.log, {events: []}),
+                                seat, () => {});
+  let sent = 0;
+  game.gameStart();
+  for (let n = 0; !game.gameOver && n < 3000; ++n) {
+    game.roundOver ? game.roundStart() : game.update();
+    for (; sent < recorder.log.events.length; ++sent) {
+      table.receive(recorder.log.events[sent]);
+      table.next();
+    }
+  }
+  return {game: game, table: table};
+}
+
+test('the seats are turned so the user is player 0', () => {
+  for (const gameMode of [Mode.BATTLE_PUNO, Mode.BLITZ]) {
+    const {game, table} = followGame(gameMode, 1);
+    assert.ok(game.players.some(player => player.handPoints > 0));
+    for (let i in table.players) {
+      const player = game.players[table.toSeat(i)];
+      for (const key of ['hp', 'knockOut', 'score', 'handPoints']) {
+        assert.deepStrictEqual(table.players[i][key], player[key],
+                               `${key} of player ${i} in mode ${gameMode}`);
+      }
+    }
+  }
+});
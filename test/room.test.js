@@ -0,0 +1,57 @@
+// Checks of the game rooms of the LAN server, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Color, Value, Card, Mode} = require('../src/headless.js');
+const {GameRoom} = require('../src/room.js');
+
+function fakeClient(name) {
+  return {name: name, connection: {send() {}}, room: null, seat: null,
+          ready: false};
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits for the turn of a player, the deal is animated in real time
+async function waitTurn(room) {
+  for (let i = 0; i < 200 && (room.waiting === null || room.pending > 0);
+       ++i) {
+    await sleep(50);
+  }
+  assert.notStrictEqual(room.waiting, null);
+}
+
+test('the card drawn by a player leaving is still the one played',
+     async () => {
+  const room = new GameRoom('TEST', {numPlayers: 2, mode: Mode.BATTLE_PUNO,
+                                     rules: {forcePlay: true}});
+  const clients = [fakeClient('A'), fakeClient('B')];
+  clients.forEach(client => room.join(client));
+  room.start();
+  try {
+    await waitTurn(room);
+    const seat = room.waiting;
+    const game = room.game;
+    // Red cards the CPU would rather play than the one drawn
+    game.penaltyCard = undefined;
+    game.currentColor = Color.RED;
+    game.currentValue = Value.NINE;
+    game.players[seat].hand = [new Card(Color.RED, Value.DRAW_TWO),
+                               new Card(Color.RED, Value.SKIP),
+                               new Card(Color.RED, Value.EIGHT)];
+    const drawn = new Card(Color.RED, Value.ONE);
+    drawn.numID = 1;
+    game.deck.deck.push(drawn);
+    room.draw(clients[seat]);
+    assert.strictEqual(game.forcedCard, drawn);
+    room.leave(clients[seat]);
+    for (let i = 0; i < 100 && game.players[seat].hand.includes(drawn); ++i) {
+      await sleep(50);
+    }
+    assert.ok(game.discardPile.includes(drawn));
+    assert.strictEqual(game.players[seat].hand.length, 3);
+  } finally {
+    room.stop();
+  }
+});
@@ -0,0 +1,59 @@
+// Checks of the WebSocket server under Node, run with:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const {WebSocketConnection} = require('../src/websocket.js');
+
+// A socket keeping what the server writes
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.ended = false;
+  }
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+// A frame from the client, masked with zeros so the payload stays as is
+function clientFrame(opcode, text, fin) {
+  const payload = Buffer.from(text, 'utf8');
+  const header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length,
+                              0, 0, 0, 0]);
+  return Buffer.concat([header, payload]);
+}
+
+test('a message is put together from its fragments', () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket, 16);
+  let messages = [];
+  connection.on('message', text => messages.push(text));
+  socket.emit('data', clientFrame(0x1, 'Hello ', false));
+  socket.emit('data', clientFrame(0x0, 'world', true));
+  socket.emit('data', clientFrame(0x1, '0123456789ABCDEF', true));
+  assert.deepStrictEqual(messages, ['Hello world', '0123456789ABCDEF']);
+  assert.ok(!socket.ended);
+});
+
+test('the fragments of a message count toward maxPayload', () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket, 16);
+  connection.on('message', () => assert.fail('message over maxPayload'));
+  socket.emit('data', clientFrame(0x1, '0123456789', false));
+  for (let i = 0; i < 10 && !socket.ended; ++i) {
+    socket.emit('data', clientFrame(0x0, '0123456789', false));
+  }
+  assert.ok(socket.ended);
+  assert.strictEqual(connection.fragments.length, 0);
+  const close = socket.written[socket.written.length - 1];
+  assert.strictEqual(close[0] & 0x0F, 0x8);
+  assert.strictEqual(close.readUInt16BE(2), 1009);
+});